@@ -0,0 +1,16 @@
+// Web Worker del tablero: ejecuta las tareas de engine/tasks.mjs fuera del hilo de la interfaz
+// Recibe {id, task, payload} y responde {id, type: 'progress', done, total, label}, {id, type: 'result', result}
+// o {id, type: 'error', message}. La cancelación la hace el tablero terminando el worker.
+import { ANALYSIS_TASKS } from './engine/index.mjs';
+
+self.onmessage = (event) => {
+    const { id, task, payload } = event.data;
+    const run = ANALYSIS_TASKS[task];
+    try {
+        if (!run) throw new Error(`Tarea desconocida: ${task}`);
+        const result = run(payload, (done, total, label) => self.postMessage({ id, type: 'progress', done, total, label }));
+        self.postMessage({ id, type: 'result', result });
+    } catch (e) {
+        self.postMessage({ id, type: 'error', message: e.message });
+    }
+};
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// Línea de comandos: ejecuta las cinco etapas del tablero sobre un archivo de datos y emite el informe
+//   node cli.mjs analyze datos.txt --horizon 12 --format json --output informe.json
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import {
+    FREQUENCIES, IMPUTATION_METHODS, RESAMPLE_AGGREGATIONS, SERIES_TRANSFORMS, analyzeSeries, guessColumnMapping,
+    mapImportedRows, parseDelimitedText, parseFlexibleDate, parseJSONDataset, prepareSeries, validateDataset
+} from './engine/index.mjs';
+
+const MAX_FORECAST_HORIZON = 60;
+
+const USAGE = `Uso: node cli.mjs analyze <archivo> [opciones]
+
+Archivos: texto delimitado (TXT, CSV, TSV) o JSON; la primera columna de fechas y las columnas numéricas son series.
+
+Opciones:
+  --horizon <n>           Horizonte de pronóstico (1-${MAX_FORECAST_HORIZON}, por defecto 12)
+  --levels <a,b,...>      Niveles de confianza en % (por defecto 80,95)
+  --order <p,d,q[,c]>     Orden del modelo de trabajo; c = 1 incluye constante y c = 0 la omite (por defecto
+                          solo con d = 0); "auto" usa el mejor del ranking
+  --transform <tipo>      ${Object.keys(SERIES_TRANSFORMS).join(' | ')} (por defecto none)
+  --lambda <método>       Método de λ para Box-Cox: guerrero | loglik
+  --frequency <f>         ${Object.keys(FREQUENCIES).join(' | ')} (por defecto daily)
+  --aggregation <a>       ${Object.keys(RESAMPLE_AGGREGATIONS).join(' | ')} (por defecto last)
+  --imputation <m>        ${Object.keys(IMPUTATION_METHODS).join(' | ')} (por defecto none)
+  --series <nombre>       Columna a analizar cuando el archivo trae varias (por defecto la primera)
+  --from <fecha>          Primera fecha incluida
+  --to <fecha>            Última fecha incluida
+  --format <formato>      text | json (por defecto text)
+  --output <archivo>      Escribe el informe en un archivo en lugar de la salida estándar
+  --help                  Muestra esta ayuda`;
+
+// Opciones --clave valor (o --clave=valor) y argumentos posicionales
+function parseArguments(argv) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        if (key === 'help') flags.help = true;
+        else if (inline != null) flags[key] = inline;
+        else if (i + 1 < argv.length) flags[key] = argv[++i];
+        else throw new Error(`Falta el valor de --${key}.`);
+    }
+    return { positional, flags };
+}
+
+function parsePositiveInt(value, name, max) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > max) throw new Error(`--${name} debe ser un entero entre 1 y ${max}.`);
+    return n;
+}
+
+function parseChoice(value, options, name) {
+    if (!Object.prototype.hasOwnProperty.call(options, value)) {
+        throw new Error(`--${name} debe ser uno de: ${Object.keys(options).join(', ')}.`);
+    }
+    return value;
+}
+
+function parseOrder(value) {
+    if (value === 'auto') return 'auto';
+    const parts = String(value).split(',').map(v => Number(v.trim()));
+    if (parts.length < 3 || parts.length > 4 || parts.some(v => !Number.isInteger(v) || v < 0)
+        || parts[0] > 5 || parts[1] > 2 || parts[2] > 5) {
+        throw new Error('--order debe ser "auto" o p,d,q[,c] con p, q ≤ 5 y d ≤ 2.');
+    }
+    // Sin cuarto campo la constante queda sin definir y fitARIMA la incluye solo con d = 0
+    const order = { p: parts[0], d: parts[1], q: parts[2] };
+    if (parts.length === 4) order.includeConstant = parts[3] === 1;
+    return order;
+}
+
+function parseLevels(value) {
+    const levels = String(value).split(',').map(v => Number(v.trim()));
+    if (!levels.length || levels.some(v => !(v > 0 && v < 100))) throw new Error('--levels debe ser una lista de porcentajes entre 0 y 100.');
+    return [...new Set(levels)].sort((a, b) => a - b);
+}
+
+function parseDateFlag(value, name) {
+    const iso = parseFlexibleDate(value);
+    if (!iso) throw new Error(`--${name}: fecha no reconocida "${value}".`);
+    return iso;
+}
+
+// Opciones del análisis a partir de las banderas
+function analysisOptions(flags) {
+    const transformType = flags.transform != null ? parseChoice(flags.transform, SERIES_TRANSFORMS, 'transform') : 'none';
+    const lambdaMethod = flags.lambda != null ? parseChoice(flags.lambda, { guerrero: true, loglik: true }, 'lambda') : 'guerrero';
+    const format = flags.format != null ? parseChoice(flags.format, { text: true, json: true }, 'format') : 'text';
+    return {
+        horizon: flags.horizon != null ? parsePositiveInt(flags.horizon, 'horizon', MAX_FORECAST_HORIZON) : 12,
+        confidenceLevels: flags.levels != null ? parseLevels(flags.levels) : [80, 95],
+        order: flags.order != null ? parseOrder(flags.order) : null,
+        transform: { type: transformType, lambdaMethod },
+        frequency: flags.frequency != null ? parseChoice(flags.frequency, FREQUENCIES, 'frequency') : 'daily',
+        aggregation: flags.aggregation != null ? parseChoice(flags.aggregation, RESAMPLE_AGGREGATIONS, 'aggregation') : 'last',
+        imputation: flags.imputation != null ? parseChoice(flags.imputation, IMPUTATION_METHODS, 'imputation') : 'none',
+        dateFrom: flags.from != null ? parseDateFlag(flags.from, 'from') : '',
+        dateTo: flags.to != null ? parseDateFlag(flags.to, 'to') : '',
+        series: flags.series,
+        format,
+        output: flags.output
+    };
+}
+
+// Lee el archivo con el mismo importador que el tablero usa para datos.txt (delimitador, fechas y columnas)
+async function loadSeriesFile(path, seriesName) {
+    const extension = extname(path).slice(1).toLowerCase();
+    if (extension === 'xlsx' || extension === 'xls') {
+        throw new Error('Los libros de Excel solo se pueden importar desde el tablero; exporte la hoja a CSV.');
+    }
+    const text = await readFile(path, 'utf8');
+    const table = extension === 'json' ? parseJSONDataset(text) : parseDelimitedText(text, extension);
+    if (!table.rows.length) throw new Error(`${path} no contiene filas de datos.`);
+    const mapped = mapImportedRows(table, guessColumnMapping(table));
+    const name = seriesName != null ? seriesName : mapped.names[0];
+    if (!mapped.names.includes(name)) {
+        throw new Error(`La serie "${name}" no existe; columnas disponibles: ${mapped.names.join(', ')}.`);
+    }
+    const records = mapped.rows
+        .filter(r => isFinite(r.values[name]))
+        .map(r => ({ line: r.line, text: r.text, date: r.date, price: r.values[name] }));
+    if (!records.length) throw new Error(`La serie "${name}" no tiene observaciones válidas.`);
+    return { records, rejected: mapped.rejected, name, names: mapped.names };
+}
+
+const fixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : 'N/A');
+const pValue = (p) => (isFinite(p) ? (p < 0.001 ? '< 0.001' : p.toFixed(3)) : 'N/A');
+
+// Informe legible por etapas
+function formatTextReport(report) {
+    const { source, series, exploration, identification, estimation, validation, forecasts } = report;
+    const s = exploration.descriptives;
+    const lines = [];
+    const section = (title) => lines.push('', title, '-'.repeat(title.length));
+    const unitRoot = (label, r) => {
+        lines.push(`  ${label}: ADF ${fixed(r.adf.statistic, 3)} (p ${pValue(r.adf.pValue)}), KPSS ${fixed(r.kpss.statistic, 3)} (p ${pValue(r.kpss.pValue)}), PP ${fixed(r.pp.statistic, 3)} (p ${pValue(r.pp.pValue)})`);
+        lines.push(`    Veredicto: ${r.verdict}`);
+    };
+
+    lines.push(`Informe de series de tiempo: ${source.file} · serie ${source.series}`);
+    lines.push(`${series.observations} observaciones ${FREQUENCIES[series.frequency].adjective} del ${series.firstDate} al ${series.lastDate}`
+        + ` (${source.rejected} líneas rechazadas, ${source.qualityIssues} incidencias de calidad, ${series.imputed} imputadas)`);
+    if (source.warning) lines.push(`Aviso: ${source.warning}`);
+
+    section('Etapa 1 · Exploración');
+    lines.push(`  Media ${fixed(s.mean)} · mediana ${fixed(s.median)} · desv. estándar ${fixed(s.stdDev)} · CV ${fixed(s.cv, 2)}%`);
+    lines.push(`  Mínimo ${fixed(s.min)} · máximo ${fixed(s.max)} · asimetría ${fixed(s.skewness, 3)} · curtosis ${fixed(s.kurtosis, 3)}`);
+    lines.push(`  Valores atípicos (IQR): ${exploration.outliers.length}`);
+    unitRoot('Nivel', exploration.stationarity.level);
+    unitRoot('Primera diferencia', exploration.stationarity.firstDifference);
+
+    section('Etapa 2 · Identificación');
+    lines.push(`  Transformación: ${identification.transform.label}`);
+    lines.push(`  Banda de confianza 95%: ±${fixed(identification.confidenceBand, 3)}`);
+    lines.push('  Rezago      ACF     PACF');
+    identification.acf.slice(1, 11).forEach((v, i) => {
+        lines.push(`  ${String(i + 1).padStart(6)} ${fixed(v, 3).padStart(8)} ${fixed(identification.pacf[i + 1], 3).padStart(8)}`);
+    });
+    lines.push(`  Ranking (${identification.criterion}, d = ${identification.differencing}):`);
+    [...identification.ranking, ...identification.ets]
+        .sort((a, b) => (a.admissible === b.admissible ? a[identification.criterion] - b[identification.criterion] : a.admissible ? -1 : 1))
+        .forEach((m, i) => {
+            lines.push(`  ${String(i + 1).padStart(3)}. ${m.name.padEnd(32)} ${identification.criterion} ${fixed(m[identification.criterion], 2).padStart(10)}${m.admissible ? '' : '  (no admisible)'}`);
+        });
+
+    section(`Etapa 3 · Estimación: ${estimation.model}`);
+    lines.push('  Parámetro   Estimación      E.E.        t   p-valor');
+    estimation.coefficients.forEach(c => {
+        lines.push(`  ${c.name.padEnd(9)} ${fixed(c.estimate, 5).padStart(12)} ${fixed(c.se, 5).padStart(9)} ${fixed(c.t, 2).padStart(8)} ${pValue(c.pValue).padStart(9)}`);
+    });
+    lines.push(`  σ² ${fixed(estimation.sigma2, 6)} · log L ${fixed(estimation.logL, 2)} · AIC ${fixed(estimation.AIC, 2)} · AICc ${fixed(estimation.AICc, 2)} · BIC ${fixed(estimation.BIC, 2)}`);
+    lines.push(`  Estacionario: ${estimation.stationary ? 'sí' : 'no'} · invertible: ${estimation.invertible ? 'sí' : 'no'} · convergencia: ${estimation.converged ? 'sí' : 'no'}`);
+
+    section('Etapa 4 · Validación');
+    const r = validation.residuals;
+    lines.push(`  Residuos: media ${fixed(r.mean, 6)} · desv. estándar ${fixed(r.stdDev, 6)}`);
+    lines.push(`  Jarque-Bera ${fixed(r.jarqueBera.jb, 2)} (p ${pValue(r.jarqueBera.pValue)})`);
+    r.ljungBox.forEach(lb => lines.push(`  Ljung-Box Q(${lb.lag}) ${fixed(lb.Q, 2)} (p ${pValue(lb.pValue)})`));
+    lines.push(`  ARCH-LM(1) ${fixed(r.archLM.LM, 2)} (p ${pValue(r.archLM.pValue)})`);
+    lines.push(`  Backtesting a 1 paso: ${validation.holdout.observations} períodos desde ${validation.holdout.firstDate}`);
+    lines.push('  Modelo                              RMSE      MAE   MAPE %   MASE   Skill');
+    validation.holdout.models.forEach(m => {
+        lines.push(`  ${m.name.padEnd(32)} ${fixed(m.rmse).padStart(8)} ${fixed(m.mae).padStart(8)} ${fixed(m.mape, 3).padStart(8)} ${fixed(m.mase, 3).padStart(6)} ${fixed(m.skill, 3).padStart(7)}`);
+    });
+
+    section(`Etapa 5 · Pronóstico a ${forecasts.horizon} períodos`);
+    lines.push(`  Último dato: ${forecasts.lastDate} = ${fixed(forecasts.lastPrice)}`);
+    lines.push(`  Fecha        Pronóstico  ${forecasts.confidenceLevels.map(l => `IC ${l}%`.padEnd(22)).join('')}`);
+    forecasts.path.forEach(f => {
+        const intervals = f.intervals.map(ci => `[${fixed(ci.lower)}, ${fixed(ci.upper)}]`.padEnd(22)).join('');
+        lines.push(`  ${f.date}  ${fixed(f.forecast).padStart(10)}  ${intervals}`);
+    });
+    return lines.map(l => l.trimEnd()).join('\n') + '\n';
+}
+
+async function analyzeCommand(file, flags) {
+    const options = analysisOptions(flags);
+    const loaded = await loadSeriesFile(file, options.series);
+    const quality = validateDataset(loaded.records, loaded.rejected);
+    const prepared = prepareSeries(loaded.records, {
+        quality,
+        dateFrom: options.dateFrom,
+        dateTo: options.dateTo,
+        imputation: options.imputation,
+        frequency: options.frequency,
+        aggregation: options.aggregation
+    });
+    const analysis = analyzeSeries(prepared.series, {
+        horizon: options.horizon,
+        confidenceLevels: options.confidenceLevels,
+        order: options.order,
+        transform: options.transform,
+        frequency: prepared.frequency
+    });
+    const report = {
+        source: {
+            file: basename(file),
+            series: loaded.name,
+            availableSeries: loaded.names,
+            rejected: quality.rejected.length,
+            qualityIssues: quality.issues.length,
+            warning: prepared.warning
+        },
+        ...analysis
+    };
+    const output = options.format === 'json' ? JSON.stringify(report, null, 2) + '\n' : formatTextReport(report);
+    if (options.output) {
+        await writeFile(options.output, output, 'utf8');
+        console.error(`Informe escrito en ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+async function main(argv) {
+    const { positional, flags } = parseArguments(argv);
+    const [command, file] = positional;
+    if (flags.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (command !== 'analyze') throw new Error(`Comando desconocido "${command}".\n\n${USAGE}`);
+    if (!file) throw new Error(`Falta el archivo de datos.\n\n${USAGE}`);
+    await analyzeCommand(file, flags);
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,488 @@
+import { studentTQuantile, studentTTwoTailedP } from './distributions.mjs';
+import { invertMatrix, minimizeBFGS, nelderMead, numericalHessian, solveLinearSystem } from './numerics.mjs';
+import { adfTest, differenceSeries } from './statistics.mjs';
+
+// ============================================================================
+// ESTIMACIÓN ARIMA(p,d,q) POR MÁXIMA VEROSIMILITUD EXACTA
+// ============================================================================
+
+// Orden predeterminado del modelo de trabajo usado por las etapas 3, 4 y 5 (tablero y CLI)
+export const MODEL_ORDER = { p: 1, d: 1, q: 0, includeConstant: false };
+
+// Nombre del modelo, p. ej. "ARIMA(1,1,0) con deriva"
+export function arimaModelLabel(order) {
+    const constant = order.includeConstant ? (order.d === 0 ? ' con media' : ' con deriva') : '';
+    return `ARIMA(${order.p},${order.d},${order.q})${constant}`;
+}
+
+// Convierte autocorrelaciones parciales (|r| < 1) en coeficientes de un polinomio estacionario (Durbin-Levinson)
+export function partialsToCoefficients(partials) {
+    const coefs = [];
+    for (let k = 0; k < partials.length; k++) {
+        const r = partials[k];
+        const prev = coefs.slice();
+        for (let j = 0; j < k; j++) coefs[j] = prev[j] - r * prev[k - 1 - j];
+        coefs[k] = r;
+    }
+    return coefs;
+}
+
+// Matrices de la representación en espacio de estados de Harvey para ARMA(p,q)
+export function buildARMAStateSpace(ar, ma) {
+    const r = Math.max(ar.length, ma.length + 1);
+    const T = Array.from({ length: r }, () => new Array(r).fill(0));
+    for (let i = 0; i < r; i++) {
+        if (i < ar.length) T[i][0] = ar[i];
+        if (i + 1 < r) T[i][i + 1] = 1;
+    }
+    const R = Array.from({ length: r }, (_, i) => (i === 0 ? 1 : (ma[i - 1] || 0)));
+    return { r, T, R };
+}
+
+// Covarianza estacionaria del estado: resuelve P = T·P·T' + R·R' (null si no es estacionario)
+export function solveStationaryCovariance(T, R) {
+    const r = R.length;
+    const dim = r * r;
+    const A = Array.from({ length: dim }, () => new Array(dim).fill(0));
+    const b = new Array(dim).fill(0);
+    for (let i = 0; i < r; i++) {
+        for (let j = 0; j < r; j++) {
+            const row = i * r + j;
+            b[row] = R[i] * R[j];
+            A[row][row] += 1;
+            for (let k = 0; k < r; k++) {
+                for (let l = 0; l < r; l++) {
+                    A[row][k * r + l] -= T[i][k] * T[j][l];
+                }
+            }
+        }
+    }
+    const vec = solveLinearSystem(A, b);
+    if (!vec) return null;
+    const P = Array.from({ length: r }, (_, i) => vec.slice(i * r, (i + 1) * r));
+    for (let i = 0; i < r; i++) {
+        if (!(P[i][i] >= 0) || !isFinite(P[i][i])) return null;
+    }
+    return P;
+}
+
+// Filtro de Kalman sobre una serie de media cero; σ² queda concentrada fuera de la verosimilitud.
+// Cuando la ganancia converge se pasa a la recursión de estado estacionario (mucho más barata).
+export function arimaKalmanFilter(w, ar, ma) {
+    const { r, T, R } = buildARMAStateSpace(ar, ma);
+    let P = solveStationaryCovariance(T, R);
+    if (!P) return null;
+    const a = new Array(r).fill(0);
+    const au = new Array(r).fill(0);
+    const K = new Array(r).fill(0);
+    const Pu = Array.from({ length: r }, () => new Array(r).fill(0));
+    const TP = Array.from({ length: r }, () => new Array(r).fill(0));
+    let ssq = 0;
+    let sumLogF = 0;
+    let steady = false;
+    let F = P[0][0];
+    const residuals = [];
+    for (let t = 0; t < w.length; t++) {
+        const v = w[t] - a[0];
+        if (!steady) {
+            F = P[0][0];
+            if (!(F > 1e-12) || !isFinite(F)) return null;
+            for (let i = 0; i < r; i++) K[i] = P[i][0] / F;
+        }
+        for (let i = 0; i < r; i++) au[i] = a[i] + K[i] * v;
+        // Predicción del estado: a = T·a⁺ (T tiene φ en la primera columna y unos sobre la diagonal)
+        for (let i = 0; i < r; i++) a[i] = T[i][0] * au[0] + (i + 1 < r ? au[i + 1] : 0);
+        if (!steady) {
+            for (let i = 0; i < r; i++) {
+                for (let j = 0; j < r; j++) Pu[i][j] = P[i][j] - K[i] * P[0][j];
+            }
+            // P = T·P⁺·T' + R·R' aprovechando la estructura de T
+            let change = 0;
+            for (let i = 0; i < r; i++) {
+                for (let j = 0; j < r; j++) TP[i][j] = T[i][0] * Pu[0][j] + (i + 1 < r ? Pu[i + 1][j] : 0);
+            }
+            for (let i = 0; i < r; i++) {
+                for (let j = 0; j < r; j++) {
+                    const value = TP[i][0] * T[j][0] + (j + 1 < r ? TP[i][j + 1] : 0) + R[i] * R[j];
+                    change = Math.max(change, Math.abs(value - P[i][j]));
+                    P[i][j] = value;
+                }
+            }
+            if (change < 1e-12) steady = true;
+        }
+        residuals.push(v / Math.sqrt(F));
+        ssq += v * v / F;
+        sumLogF += Math.log(F);
+    }
+    return { residuals, ssq, sumLogF, a, P, T };
+}
+
+// Suma de cuadrados condicional (CSS): residuos desde t = p con innovaciones previas nulas; devuelve (n/2)·log(SS/n)
+export function conditionalSumOfSquares(w, ar, ma, mu = 0) {
+    const p = ar.length;
+    const e = new Array(w.length).fill(0);
+    let ssq = 0;
+    for (let t = p; t < w.length; t++) {
+        let v = w[t] - mu;
+        for (let i = 0; i < p; i++) v -= ar[i] * (w[t - 1 - i] - mu);
+        for (let j = 0; j < ma.length && j < t; j++) v -= ma[j] * e[t - 1 - j];
+        e[t] = v;
+        ssq += v * v;
+    }
+    const n = w.length - p;
+    return n > 0 && ssq > 0 ? 0.5 * n * Math.log(ssq / n) : Infinity;
+}
+
+// Log-verosimilitud gaussiana exacta con σ² concentrada
+export function arimaConcentratedLogLik(filter, n) {
+    const sigma2 = filter.ssq / n;
+    return -0.5 * (n * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1) + filter.sumLogF);
+}
+
+// Ajuste ARIMA(p,d,q) por máxima verosimilitud exacta (filtro de Kalman sobre la serie diferenciada)
+export function fitARIMA(data, options = {}) {
+    const { p = 0, d = 1, q = 0 } = options;
+    const includeConstant = options.includeConstant ?? (d === 0);
+    const series = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data.slice()
+        : data.map(row => row.price);
+    const w = differenceSeries(series, d);
+    const n = w.length;
+    const k = p + q + (includeConstant ? 1 : 0) + 1;
+    const failed = {
+        order: { p, d, q }, includeConstant, ar: [], ma: [], mean: NaN, coefficients: [],
+        sigma2: NaN, logL: NaN, AIC: NaN, AICc: NaN, BIC: NaN, k, nobs: n,
+        residuals: [], converged: false, iterations: 0, series, differenced: w, state: null
+    };
+    if (n < k + 2) return failed;
+
+    const meanW = w.reduce((a, b) => a + b, 0) / n;
+    const sdW = Math.sqrt(w.reduce((a, b) => a + (b - meanW) * (b - meanW), 0) / n) || 1;
+
+    // Parámetros libres: AR y MA vía autocorrelaciones parciales (tanh) para garantizar estacionariedad e invertibilidad
+    const unpack = (z) => ({
+        ar: partialsToCoefficients(z.slice(0, p).map(Math.tanh)),
+        ma: partialsToCoefficients(z.slice(p, p + q).map(Math.tanh)).map(c => -c),
+        mu: includeConstant ? meanW + sdW * z[p + q] : 0
+    });
+    const negLogLik = (ar, ma, mu) => {
+        const filter = arimaKalmanFilter(w.map(v => v - mu), ar, ma);
+        return filter ? -arimaConcentratedLogLik(filter, n) : Infinity;
+    };
+    const objective = (z) => {
+        const { ar, ma, mu } = unpack(z);
+        return negLogLik(ar, ma, mu);
+    };
+
+    const dim = p + q + (includeConstant ? 1 : 0);
+    // Puntos de partida: el origen y, con p + q ≥ 2 (superficies con varios óptimos locales), las estimaciones
+    // por suma de cuadrados condicional (CSS); se conserva el de mayor verosimilitud entre los óptimos interiores
+    // (estacionarios e invertibles), porque los del borde cancelan raíces AR y MA y no son modelos admisibles
+    const starts = [new Array(dim).fill(0)];
+    if (p + q >= 2) {
+        const cssObjective = (z) => {
+            const { ar, ma, mu } = unpack(z);
+            return conditionalSumOfSquares(w, ar, ma, mu);
+        };
+        const css = minimizeBFGS(cssObjective, starts[0]);
+        if (isFinite(css.fx)) starts.push(css.x);
+    }
+    // Arranque en caliente: coordenadas de un ajuste previo del mismo orden (options.start),
+    // con la media reexpresada en la escala de la serie actual
+    const start = options.start;
+    const warmStarted = !!(start && start.unconstrained && start.order.p === p && start.order.q === q && start.includeConstant === includeConstant);
+    if (warmStarted) {
+        const warm = start.unconstrained.slice();
+        if (includeConstant && isFinite(start.mean)) warm[p + q] = (start.mean - meanW) / sdW;
+        starts.unshift(warm);
+    }
+    let z = starts[0];
+    let iterations = 0;
+    let converged = true;
+    if (dim > 0) {
+        // BFGS desde cada punto de partida; si no converge se refina con Nelder-Mead
+        let best = null;
+        starts.forEach(z0 => {
+            let opt = minimizeBFGS(objective, z0);
+            iterations += opt.iterations;
+            if (!opt.converged) {
+                const polish = nelderMead(objective, opt.x, { step: 0.05 });
+                iterations += polish.iterations;
+                opt = polish.fx <= opt.fx ? polish : { ...opt, converged: polish.converged };
+            }
+            const { ar, ma } = unpack(opt.x);
+            const roots = checkARMARoots(ar, ma);
+            opt.interior = roots.stationary && roots.invertible;
+            if (!best || (opt.interior && !best.interior) || (opt.interior === best.interior && opt.fx < best.fx - 1e-9)) best = opt;
+        });
+        z = best.x;
+        converged = best.converged && isFinite(best.fx);
+    }
+
+    const { ar, ma, mu } = unpack(z);
+    const filter = arimaKalmanFilter(w.map(v => v - mu), ar, ma);
+    if (!filter) return failed;
+    const sigma2 = filter.ssq / n;
+    const logL = arimaConcentratedLogLik(filter, n);
+    const residuals = filter.residuals.slice();
+
+    // Errores estándar: inversa del Hessiano de -ℓ en el espacio natural de parámetros
+    const natural = [...ar, ...ma, ...(includeConstant ? [mu] : [])];
+    const natNegLogLik = (x) => negLogLik(x.slice(0, p), x.slice(p, p + q), includeConstant ? x[p + q] : 0);
+    const steps = natural.map((v, i) => 1e-4 * Math.max(Math.abs(v), i < p + q ? 1 : sdW));
+    const hessian = dim > 0 ? numericalHessian(natNegLogLik, natural, steps) : [];
+    const covariance = dim > 0 ? invertMatrix(hessian) : [];
+
+    const names = [
+        ...ar.map((_, i) => ({ name: `φ${i + 1}`, type: 'ar', lag: i + 1 })),
+        ...ma.map((_, i) => ({ name: `θ${i + 1}`, type: 'ma', lag: i + 1 })),
+        ...(includeConstant ? [{ name: d === 0 ? 'μ' : 'δ', type: 'constant', lag: 0 }] : [])
+    ];
+    // Pruebas t de Student con n - (parámetros de la media) grados de libertad
+    const df = Math.max(1, n - dim);
+    const tCritical = studentTQuantile(0.975, df);
+    const coefficients = names.map((meta, i) => {
+        const variance = covariance ? covariance[i][i] : NaN;
+        const se = variance > 0 ? Math.sqrt(variance) : NaN;
+        const t = isFinite(se) && se > 0 ? natural[i] / se : NaN;
+        const pValue = isFinite(t) ? studentTTwoTailedP(t, df) : NaN;
+        return {
+            ...meta, estimate: natural[i], se, t, pValue, df,
+            ciLower: natural[i] - tCritical * se,
+            ciUpper: natural[i] + tCritical * se
+        };
+    });
+
+    const AIC = -2 * logL + 2 * k;
+    const AICc = n - k - 1 > 0 ? AIC + (2 * k * (k + 1)) / (n - k - 1) : NaN;
+    const BIC = -2 * logL + k * Math.log(n);
+
+    return {
+        order: { p, d, q }, includeConstant, ar, ma, mean: mu, coefficients,
+        sigma2, logL, AIC, AICc, BIC, k, nobs: n,
+        residuals, converged, iterations, series, differenced: w,
+        state: { a: filter.a, T: filter.T },
+        unconstrained: z.slice(),
+        warmStarted
+    };
+}
+
+// Pesos ψ del modelo integrado: θ(L) / (φ(L)(1-L)^d)
+export function arimaPsiWeights(ar, ma, d, count) {
+    let phiStar = [1, ...ar.map(c => -c)];
+    for (let k = 0; k < d; k++) {
+        const next = new Array(phiStar.length + 1).fill(0);
+        phiStar.forEach((c, i) => { next[i] += c; next[i + 1] -= c; });
+        phiStar = next;
+    }
+    const psi = [1];
+    for (let j = 1; j < count; j++) {
+        let v = j <= ma.length ? ma[j - 1] : 0;
+        for (let i = 1; i < phiStar.length && i <= j; i++) v -= phiStar[i] * psi[j - i];
+        psi.push(v);
+    }
+    return psi;
+}
+
+// Pronósticos en niveles con error estándar a partir de un ajuste de fitARIMA
+export function forecastARIMA(fit, horizon = 12) {
+    const { d } = fit.order;
+    if (!fit.state || !isFinite(fit.sigma2)) {
+        return Array.from({ length: horizon }, (_, i) => ({ period: i + 1, forecast: NaN, se: NaN }));
+    }
+    // Últimos valores de cada nivel de diferenciación (0 = serie original)
+    const lastLevels = [];
+    let level = fit.series.slice();
+    for (let k = 0; k < d; k++) {
+        lastLevels.push(level[level.length - 1]);
+        level = differenceSeries(level, 1);
+    }
+    const psi = arimaPsiWeights(fit.ar, fit.ma, d, horizon);
+    let a = fit.state.a.slice();
+    const T = fit.state.T;
+    const out = [];
+    let cumPsi2 = 0;
+    for (let h = 1; h <= horizon; h++) {
+        let value = fit.mean + a[0];
+        for (let k = d - 1; k >= 0; k--) {
+            value = lastLevels[k] + value;
+            lastLevels[k] = value;
+        }
+        cumPsi2 += psi[h - 1] * psi[h - 1];
+        out.push({ period: h, forecast: value, se: Math.sqrt(fit.sigma2 * cumPsi2) });
+        a = T.map(row => row.reduce((s, tij, j) => s + tij * a[j], 0));
+    }
+    return out;
+}
+
+// ============================================================================
+// SELECCIÓN AUTOMÁTICA DE ÓRDENES (AUTO-ARIMA)
+// ============================================================================
+
+// Espacio de búsqueda por defecto de la selección automática
+export const AUTO_ARIMA_DEFAULTS = { maxP: 3, maxQ: 3, maxD: 2, criterion: 'AICc', stepwise: false };
+
+// Módulos de las raíces de c0 + c1·z + ... + ck·z^k (método de Durand-Kerner)
+export function polynomialRootModuli(coefs) {
+    const c = coefs.slice();
+    while (c.length > 1 && Math.abs(c[c.length - 1]) < 1e-12) c.pop();
+    const degree = c.length - 1;
+    if (degree < 1) return [];
+    const monic = c.map(v => v / c[degree]);
+    const mul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+    const div = (a, b) => {
+        const den = b[0] * b[0] + b[1] * b[1];
+        return [(a[0] * b[0] + a[1] * b[1]) / den, (a[1] * b[0] - a[0] * b[1]) / den];
+    };
+    const evaluate = (z) => {
+        let acc = [1, 0];
+        for (let k = degree - 1; k >= 0; k--) {
+            acc = mul(acc, z);
+            acc[0] += monic[k];
+        }
+        return acc;
+    };
+    let roots = Array.from({ length: degree }, (_, k) => {
+        let z = [1, 0];
+        for (let i = 0; i < k; i++) z = mul(z, [0.4, 0.9]);
+        return z;
+    });
+    for (let iter = 0; iter < 500; iter++) {
+        let maxDelta = 0;
+        roots = roots.map((z, i) => {
+            let den = [1, 0];
+            roots.forEach((other, j) => { if (j !== i) den = mul(den, [z[0] - other[0], z[1] - other[1]]); });
+            const delta = div(evaluate(z), den);
+            maxDelta = Math.max(maxDelta, Math.hypot(delta[0], delta[1]));
+            return [z[0] - delta[0], z[1] - delta[1]];
+        });
+        if (maxDelta < 1e-12) break;
+    }
+    return roots.map(z => Math.hypot(z[0], z[1]));
+}
+
+// Estacionariedad (raíces AR) e invertibilidad (raíces MA) fuera del círculo unitario con margen
+export function checkARMARoots(ar, ma, margin = 1.01) {
+    const arModuli = polynomialRootModuli([1, ...ar.map(c => -c)]);
+    const maModuli = polynomialRootModuli([1, ...ma]);
+    const arMinModulus = arModuli.length ? Math.min(...arModuli) : Infinity;
+    const maMinModulus = maModuli.length ? Math.min(...maModuli) : Infinity;
+    return {
+        arMinModulus,
+        maMinModulus,
+        stationary: arMinModulus > margin,
+        invertible: maMinModulus > margin
+    };
+}
+
+// Orden de diferenciación: se diferencia hasta que la prueba de raíz unitaria rechaza H₀
+export function selectDifferencingOrder(series, maxD = 2) {
+    const tests = [];
+    let current = series.slice();
+    for (let d = 0; d <= maxD; d++) {
+        const adf = adfTest(current);
+        tests.push({ d, statistic: adf.statistic, pValue: adf.pValue, isStationary: adf.isStationary });
+        if (adf.isStationary) return { d, tests };
+        if (d < maxD) current = differenceSeries(current, 1);
+    }
+    return { d: maxD, tests };
+}
+
+// Orden del ranking: modelos admisibles primero; dentro de cada grupo, menor criterio y luego menor BIC
+export function compareLeaderboardEntries(a, b) {
+    return (Number(b.admissible) - Number(a.admissible))
+        || ((isFinite(a.score) ? a.score : Infinity) - (isFinite(b.score) ? b.score : Infinity))
+        || (a.BIC - b.BIC);
+}
+
+// Búsqueda automática de órdenes ARIMA (exhaustiva o por pasos de Hyndman-Khandakar)
+// options.onProgress(ajustados, total, modelo) se llama tras cada ajuste (total null en la búsqueda por pasos)
+export function autoARIMA(data, options = {}) {
+    const { maxP, maxQ, maxD, criterion, stepwise } = { ...AUTO_ARIMA_DEFAULTS, ...options };
+    const series = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data.slice()
+        : data.map(row => row.price);
+    const differencing = options.d != null
+        ? { d: options.d, tests: [] }
+        : selectDifferencingOrder(series, maxD);
+    const d = differencing.d;
+    // Constante (media o deriva) solo tiene sentido con d ≤ 1
+    const constantChoices = options.includeConstant != null
+        ? [options.includeConstant]
+        : (d <= 1 ? [false, true] : [false]);
+
+    const fitted = new Map();
+    const total = stepwise ? null : (maxP + 1) * (maxQ + 1) * constantChoices.length;
+    const evaluate = (p, q, includeConstant) => {
+        if (p < 0 || q < 0 || p > maxP || q > maxQ) return null;
+        const key = `${p},${q},${includeConstant}`;
+        if (fitted.has(key)) return fitted.get(key);
+        const fit = fitARIMA(series, { p, d, q, includeConstant });
+        const roots = checkARMARoots(fit.ar, fit.ma);
+        const entry = {
+            name: arimaModelLabel({ p, d, q, includeConstant }),
+            order: { p, d, q },
+            includeConstant,
+            AIC: fit.AIC,
+            AICc: fit.AICc,
+            BIC: fit.BIC,
+            logL: fit.logL,
+            k: fit.k,
+            score: fit[criterion],
+            converged: fit.converged,
+            stationary: roots.stationary,
+            invertible: roots.invertible,
+            fit
+        };
+        entry.admissible = isFinite(entry.score) && entry.converged && entry.stationary && entry.invertible;
+        fitted.set(key, entry);
+        if (options.onProgress) options.onProgress(fitted.size, total, entry.name);
+        return entry;
+    };
+
+    if (stepwise) {
+        const startConstant = constantChoices[constantChoices.length - 1];
+        let best = null;
+        [[2, 2], [0, 0], [1, 0], [0, 1]].forEach(([p, q]) => {
+            const entry = evaluate(Math.min(p, maxP), Math.min(q, maxQ), startConstant);
+            if (entry && entry.admissible && (!best || entry.score < best.score)) best = entry;
+        });
+        let improved = Boolean(best);
+        while (improved) {
+            improved = false;
+            const { p, q } = best.order;
+            const c = best.includeConstant;
+            const neighbours = [
+                [p - 1, q, c], [p + 1, q, c], [p, q - 1, c], [p, q + 1, c],
+                [p - 1, q - 1, c], [p + 1, q + 1, c], [p - 1, q + 1, c], [p + 1, q - 1, c],
+                ...constantChoices.filter(other => other !== c).map(other => [p, q, other])
+            ];
+            for (const [np, nq, nc] of neighbours) {
+                const entry = evaluate(np, nq, nc);
+                if (entry && entry.admissible && entry.score < best.score - 1e-9) {
+                    best = entry;
+                    improved = true;
+                }
+            }
+        }
+    } else {
+        for (let p = 0; p <= maxP; p++) {
+            for (let q = 0; q <= maxQ; q++) {
+                constantChoices.forEach(c => evaluate(p, q, c));
+            }
+        }
+    }
+
+    const leaderboard = [...fitted.values()].sort(compareLeaderboardEntries);
+    leaderboard.forEach((m, i) => { m.rank = i + 1; });
+
+    return {
+        d,
+        differencing,
+        criterion,
+        stepwise,
+        space: { maxP, maxQ, maxD },
+        best: leaderboard.find(m => m.admissible) || null,
+        leaderboard
+    };
+}
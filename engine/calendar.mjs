@@ -0,0 +1,285 @@
+// Fechas: interpretación flexible, calendario de días hábiles del Perú y fechas de pronóstico
+
+// Conversión de fechas con formato tipo '15Oct24', '01Ene25', etc. a 'YYYY-MM-DD'
+export function parseCustomDate(dateStr) {
+    return parseFlexibleDate(dateStr, { format: 'monthName' });
+}
+
+// --- Interpretación flexible de fechas ---
+// Nombres y abreviaturas de meses en español e inglés (sin tildes)
+export const MONTH_NAMES = {
+    ene: 1, enero: 1, jan: 1, january: 1,
+    feb: 2, febrero: 2, february: 2,
+    mar: 3, marzo: 3, march: 3,
+    abr: 4, abril: 4, apr: 4, april: 4,
+    may: 5, mayo: 5,
+    jun: 6, junio: 6, june: 6,
+    jul: 7, julio: 7, july: 7,
+    ago: 8, agosto: 8, aug: 8, august: 8,
+    set: 9, sep: 9, sept: 9, setiembre: 9, septiembre: 9, september: 9,
+    oct: 10, octubre: 10, october: 10,
+    nov: 11, noviembre: 11, november: 11,
+    dic: 12, diciembre: 12, dec: 12, december: 12
+};
+export const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+export const MS_PER_DAY = 86400000;
+
+// Fecha ISO a partir de sus partes, rechazando fechas inexistentes (p. ej. 31/02)
+export function isoFromParts(year, month, day) {
+    if (year < 100) year += year < 70 ? 2000 : 1900;
+    const d = new Date(Date.UTC(year, month - 1, day));
+    if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function isoFromUTCMillis(ms) {
+    const d = new Date(ms);
+    return isNaN(d.getTime()) ? null : isoFromParts(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+}
+
+export function numericDateValue(value) {
+    if (typeof value === 'number') return value;
+    const str = String(value).trim();
+    return /^\d+(\.\d+)?$/.test(str) ? parseFloat(str) : NaN;
+}
+
+// Intérpretes por formato: cada uno devuelve 'YYYY-MM-DD' o null
+export const DATE_FORMATS = {
+    iso: {
+        label: 'ISO (AAAA-MM-DD)',
+        parse: (s) => {
+            const m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(s);
+            return m ? isoFromParts(+m[1], +m[2], +m[3]) : null;
+        }
+    },
+    dmy: {
+        label: 'DD/MM/AAAA',
+        parse: (s) => {
+            const m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/.exec(s);
+            return m ? isoFromParts(+m[3], +m[2], +m[1]) : null;
+        }
+    },
+    mdy: {
+        label: 'MM/DD/AAAA',
+        parse: (s) => {
+            const m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/.exec(s);
+            return m ? isoFromParts(+m[3], +m[1], +m[2]) : null;
+        }
+    },
+    monthName: {
+        label: 'Mes con nombre (15Oct24, 15 de octubre de 2024, Oct 15, 2024)',
+        parse: (s) => {
+            const t = s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/\bde(l)?\b/g, ' ').replace(/[,.]/g, ' ').trim();
+            let m = /^(\d{1,2})[\s\-/]*([a-z]+)[\s\-/]*(\d{4}|\d{2})$/.exec(t);
+            if (m && MONTH_NAMES[m[2]]) return isoFromParts(+m[3], MONTH_NAMES[m[2]], +m[1]);
+            m = /^([a-z]+)[\s\-/]*(\d{1,2})[\s\-/]+(\d{4}|\d{2})$/.exec(t);
+            if (m && MONTH_NAMES[m[1]]) return isoFromParts(+m[3], MONTH_NAMES[m[1]], +m[2]);
+            return null;
+        }
+    },
+    excel: {
+        label: 'Número de serie de Excel',
+        parse: (s) => {
+            const n = numericDateValue(s);
+            return n >= 1 && n < 2958466 ? isoFromUTCMillis(EXCEL_EPOCH_UTC + Math.floor(n) * MS_PER_DAY) : null;
+        }
+    },
+    timestamp: {
+        label: 'Marca de tiempo Unix (s o ms)',
+        parse: (s) => {
+            const n = numericDateValue(s);
+            if (!(n >= 1e9)) return null;
+            return isoFromUTCMillis(n >= 1e11 ? n : n * 1000);
+        }
+    }
+};
+
+// En modo automático se prueban los formatos en este orden; los números solo se aceptan
+// como serie de Excel (1927–2173) o como marca de tiempo Unix
+export const AUTO_DATE_FORMAT_ORDER = ['iso', 'dmy', 'mdy', 'monthName', 'timestamp', 'excel'];
+
+// Convierte un valor (texto, número o Date) a 'YYYY-MM-DD' con el formato indicado o 'auto'
+export function parseFlexibleDate(value, options = {}) {
+    const { format = 'auto' } = options;
+    if (value == null || value === '') return null;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return isoFromParts(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+    const str = String(value).trim();
+    if (format !== 'auto') return DATE_FORMATS[format] ? DATE_FORMATS[format].parse(str) : null;
+    const n = numericDateValue(str);
+    for (const key of AUTO_DATE_FORMAT_ORDER) {
+        if (key === 'excel' && !(n >= 1e4 && n < 1e5)) continue;
+        const iso = DATE_FORMATS[key].parse(str);
+        if (iso) return iso;
+    }
+    return null;
+}
+
+// Elige el formato que interpreta más valores de la columna (resuelve DD/MM frente a MM/DD)
+export function detectDateFormat(values) {
+    const sample = values.filter(v => v != null && v !== '').slice(0, 200);
+    if (sample.some(v => v instanceof Date)) return 'auto';
+    let bestFormat = 'auto';
+    let bestCount = 0;
+    AUTO_DATE_FORMAT_ORDER.forEach(key => {
+        const count = sample.filter(v => parseFlexibleDate(v, { format: key }) != null).length;
+        if (count > bestCount) {
+            bestCount = count;
+            bestFormat = key;
+        }
+    });
+    return bestFormat;
+}
+
+// Interpreta una columna completa y reporta las filas que no se pudieron convertir
+export function parseDateColumn(values, options = {}) {
+    const requested = options.format || 'auto';
+    const format = requested === 'auto' ? detectDateFormat(values) : requested;
+    const dates = [];
+    const failures = [];
+    values.forEach((v, i) => {
+        const iso = parseFlexibleDate(v, { format });
+        dates.push(iso);
+        if (!iso) failures.push({ index: i, value: v });
+    });
+    return { format, requested, dates, failures };
+}
+export const WEEKDAY_NAMES_ES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+export function isoToUTCMillis(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+export function shiftISODate(iso, days) {
+    return isoFromUTCMillis(isoToUTCMillis(iso) + days * MS_PER_DAY);
+}
+
+export function isoWeekday(iso) {
+    return new Date(isoToUTCMillis(iso)).getUTCDay();
+}
+
+// --- Calendario de feriados nacionales del Perú ---
+// Feriados de fecha fija; `since` indica el primer año en que rige el feriado
+export const PERU_FIXED_HOLIDAYS = [
+    { month: 1, day: 1, name: 'Año Nuevo' },
+    { month: 5, day: 1, name: 'Día del Trabajo' },
+    { month: 6, day: 7, name: 'Batalla de Arica y Día de la Bandera', since: 2024 },
+    { month: 6, day: 29, name: 'San Pedro y San Pablo' },
+    { month: 7, day: 23, name: 'Día de la Fuerza Aérea del Perú', since: 2023 },
+    { month: 7, day: 28, name: 'Fiestas Patrias' },
+    { month: 7, day: 29, name: 'Fiestas Patrias' },
+    { month: 8, day: 6, name: 'Batalla de Junín', since: 2022 },
+    { month: 8, day: 30, name: 'Santa Rosa de Lima' },
+    { month: 10, day: 8, name: 'Combate de Angamos' },
+    { month: 11, day: 1, name: 'Día de Todos los Santos' },
+    { month: 12, day: 8, name: 'Inmaculada Concepción' },
+    { month: 12, day: 9, name: 'Batalla de Ayacucho', since: 2022 },
+    { month: 12, day: 25, name: 'Navidad' }
+];
+// Feriados móviles de Semana Santa, como desplazamiento en días respecto al Domingo de Pascua
+export const PERU_EASTER_HOLIDAYS = [
+    { offset: -3, name: 'Jueves Santo' },
+    { offset: -2, name: 'Viernes Santo' }
+];
+// Las funciones de días hábiles reciben el calendario { closures }: cierres adicionales definidos por el usuario
+// como Map fecha ISO → motivo (sin closures solo cuentan los fines de semana y los feriados nacionales)
+
+// Domingo de Pascua (algoritmo gregoriano anónimo de Meeus/Jones/Butcher)
+export function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return isoFromParts(year, month, day);
+}
+
+// Feriados nacionales de un año: Map fecha ISO → nombre
+export function peruHolidays(year) {
+    const holidays = new Map();
+    PERU_FIXED_HOLIDAYS
+        .filter(hd => !hd.since || year >= hd.since)
+        .forEach(hd => holidays.set(isoFromParts(year, hd.month, hd.day), hd.name));
+    const easter = easterSunday(year);
+    PERU_EASTER_HOLIDAYS.forEach(hd => holidays.set(shiftISODate(easter, hd.offset), hd.name));
+    return holidays;
+}
+
+// Nombre del feriado o cierre adicional de una fecha, o null si es un día normal
+export function holidayName(iso, { closures } = {}) {
+    if (closures && closures.has(iso)) return closures.get(iso);
+    return peruHolidays(parseInt(iso.slice(0, 4), 10)).get(iso) || null;
+}
+
+// Día hábil: lunes a viernes que no es feriado nacional ni cierre adicional
+export function isBusinessDay(iso, calendar = {}) {
+    const wd = isoWeekday(iso);
+    return wd !== 0 && wd !== 6 && !holidayName(iso, calendar);
+}
+
+// Días hábiles entre dos fechas ISO (inclusive)
+export function businessDayCalendar(start, end, calendar = {}) {
+    const days = [];
+    for (let d = start; d <= end; d = shiftISODate(d, 1)) if (isBusinessDay(d, calendar)) days.push(d);
+    return days;
+}
+
+// Clave del período al que pertenece una fecha (semana ISO iniciada en lunes, mes o trimestre)
+export function periodKey(iso, frequency) {
+    if (frequency === 'weekly') return shiftISODate(iso, -((isoWeekday(iso) + 6) % 7));
+    if (frequency === 'monthly') return iso.slice(0, 7);
+    if (frequency === 'quarterly') return `${iso.slice(0, 4)}-T${Math.floor((parseInt(iso.slice(5, 7), 10) - 1) / 3) + 1}`;
+    return iso;
+}
+
+// Último día hábil en o antes de una fecha
+export function lastBusinessDayOnOrBefore(iso, calendar = {}) {
+    let d = iso;
+    while (!isBusinessDay(d, calendar)) d = shiftISODate(d, -1);
+    return d;
+}
+
+// Fecha del pronóstico a h períodos según la frecuencia (cierre hábil del período)
+export function forecastDate(lastDate, h, frequency = 'daily', calendar = {}) {
+    if (frequency === 'daily') return getNextBusinessDay(lastDate, h, calendar);
+    const iso = parseFlexibleDate(lastDate);
+    if (frequency === 'weekly') {
+        const friday = shiftISODate(periodKey(iso, 'weekly'), 4 + 7 * h);
+        return lastBusinessDayOnOrBefore(friday, calendar);
+    }
+    const monthsAhead = frequency === 'monthly' ? h : 3 * h;
+    const year = parseInt(iso.slice(0, 4), 10);
+    const month = parseInt(iso.slice(5, 7), 10);
+    const periodEndMonth = frequency === 'monthly' ? month : Math.ceil(month / 3) * 3;
+    const target = periodEndMonth + monthsAhead;
+    const endOfMonth = isoFromUTCMillis(Date.UTC(year, target, 0));
+    return lastBusinessDayOnOrBefore(endOfMonth, calendar);
+}
+
+// Función auxiliar para obtener próximos días hábiles (omite fines de semana, feriados y cierres)
+export function getNextBusinessDay(lastDate, daysAhead, calendar = {}) {
+    let date = parseFlexibleDate(lastDate);
+    let addedDays = 0;
+    
+    while (addedDays < daysAhead) {
+        date = shiftISODate(date, 1);
+        if (isBusinessDay(date, calendar)) {
+            addedDays++;
+        }
+    }
+    
+    return date;
+}
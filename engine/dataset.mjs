@@ -0,0 +1,504 @@
+// Datos de la serie: lectura de archivos, validación de calidad, regularización hábil y remuestreo
+import {
+    MS_PER_DAY, WEEKDAY_NAMES_ES, businessDayCalendar, holidayName, isBusinessDay, isoToUTCMillis, isoWeekday,
+    parseDateColumn, parseFlexibleDate, periodKey, shiftISODate
+} from './calendar.mjs';
+import { nelderMead } from './numerics.mjs';
+import { calculateDescriptiveStats } from './statistics.mjs';
+
+// Construye la serie enriquecida (orden cronológico y variaciones) a partir de filas {date, price, imputed?, ...}
+export function buildDollarData(rows) {
+    const sorted = rows.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+    return sorted.map((r, i) => {
+        const prev = i > 0 ? sorted[i - 1].price : null;
+        const variation = prev != null ? (r.price - prev) : 0;
+        const variationPercent = prev != null && prev !== 0 ? (variation / prev) * 100 : 0;
+        return {
+            ...r,
+            variation,
+            variationPercent,
+            imputed: !!r.imputed
+        };
+    });
+}
+
+// --- Calidad de datos: validación de la serie al cargar ---
+export const QUALITY_DEFAULTS = { jumpThreshold: 6 };
+// Tipos de incidencia con sus acciones disponibles (la primera opción es la predeterminada)
+export const QUALITY_ISSUE_TYPES = {
+    duplicate: { label: 'Fecha duplicada', actions: ['drop', 'keep', 'fix'], fix: 'Promediar registros' },
+    nonPositive: { label: 'Precio no positivo', actions: ['drop', 'keep', 'fix'], fix: 'Promedio de vecinos' },
+    nonBusinessDay: { label: 'Día no hábil', actions: ['keep', 'drop', 'fix'], fix: 'Mover al día hábil anterior' },
+    jump: { label: 'Salto inverosímil', actions: ['keep', 'drop', 'fix'], fix: 'Promedio de vecinos' },
+    missingBusinessDay: { label: 'Día hábil faltante', actions: ['keep', 'fix'], fix: 'Interpolación lineal' }
+};
+export const QUALITY_ACTION_LABELS = { drop: 'Eliminar', keep: 'Mantener', fix: 'Corregir' };
+
+// Detecta duplicados, precios no positivos, días no hábiles, saltos y días hábiles faltantes
+// records: [{line, text, date, price}] aceptados; rejected: [{line, text, reason}]; options.closures son los cierres
+// adicionales del calendario hábil (Map fecha ISO → motivo)
+export function validateDataset(records, rejected = [], options = {}) {
+    const { jumpThreshold = QUALITY_DEFAULTS.jumpThreshold, closures } = options;
+    const calendar = { closures };
+    const sorted = records
+        .map((r, index) => ({ ...r, index }))
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.index - b.index));
+    const issues = [];
+    const issueFor = (type, date, group, detail) => ({
+        id: `${type}-${group.length ? group[0].index : date}`,
+        type,
+        date,
+        records: group.map(r => r.index),
+        lines: group.map(r => r.line),
+        detail
+    });
+
+    const byDate = new Map();
+    sorted.forEach(r => {
+        if (!byDate.has(r.date)) byDate.set(r.date, []);
+        byDate.get(r.date).push(r);
+    });
+    byDate.forEach((group, date) => {
+        if (group.length > 1) issues.push(issueFor('duplicate', date, group, `${group.length} registros: ${group.map(r => r.price).join(' / ')}`));
+    });
+    sorted.forEach(r => {
+        if (!(r.price > 0)) issues.push(issueFor('nonPositive', r.date, [r], `Precio ${r.price}`));
+        if (!isBusinessDay(r.date, calendar)) {
+            const holiday = holidayName(r.date, calendar);
+            issues.push(issueFor('nonBusinessDay', r.date, [r], holiday ? `Feriado: ${holiday}` : `Cae en ${WEEKDAY_NAMES_ES[isoWeekday(r.date)]}`));
+        }
+    });
+
+    // Saltos: retornos logarítmicos atípicos según mediana y MAD (o desviación estándar si MAD = 0);
+    // el regreso inmediato de un pico aislado no se marca como un segundo salto
+    const unique = [...byDate.values()].map(g => g[0]).filter(r => r.price > 0);
+    const returns = unique.slice(1).map((r, i) => Math.log(r.price / unique[i].price));
+    if (returns.length >= 5) {
+        const center = calculateDescriptiveStats(returns).median;
+        const mad = 1.4826 * calculateDescriptiveStats(returns.map(x => Math.abs(x - center))).median;
+        const scale = mad > 0 ? mad : calculateDescriptiveStats(returns).stdDev;
+        if (scale > 0) {
+            let previousJump = 0;
+            returns.forEach((x, i) => {
+                const z = (x - center) / scale;
+                const isJump = Math.abs(z) > jumpThreshold;
+                const isReversal = isJump && previousJump !== 0 && Math.sign(z) !== Math.sign(previousJump);
+                previousJump = isJump && !isReversal ? z : 0;
+                if (isJump && !isReversal) {
+                    issues.push(issueFor('jump', unique[i + 1].date, [unique[i + 1]], `Variación ${(x * 100).toFixed(2)}% (${z.toFixed(1)} desv. robustas)`));
+                }
+            });
+        }
+    }
+
+    // Días hábiles sin observación entre la primera y la última fecha
+    if (sorted.length) {
+        const last = sorted[sorted.length - 1].date;
+        for (let d = sorted[0].date; d <= last; d = shiftISODate(d, 1)) {
+            if (isBusinessDay(d, calendar) && !byDate.has(d)) issues.push(issueFor('missingBusinessDay', d, [], 'Sin observación'));
+        }
+    }
+
+    const counts = {};
+    Object.keys(QUALITY_ISSUE_TYPES).forEach(type => { counts[type] = issues.filter(i => i.type === type).length; });
+    return {
+        totalLines: records.length + rejected.length,
+        accepted: records.length,
+        rejected,
+        issues,
+        counts,
+        jumpThreshold
+    };
+}
+
+// Acción elegida para una incidencia (o la predeterminada de su tipo)
+export function qualityActionFor(issue, actions = {}) {
+    return actions[issue.id] || QUALITY_ISSUE_TYPES[issue.type].actions[0];
+}
+
+// Aplica las decisiones (eliminar, mantener, corregir) y devuelve filas {date, price, imputed} ordenadas
+export function applyQualityActions(records, report, actions = {}, calendar = {}) {
+    const rows = records.map(r => ({ date: r.date, price: r.price, removed: false, needsFix: false }));
+    const present = new Set(rows.map(r => r.date));
+    const toInterpolate = [];
+    report.issues.forEach(issue => {
+        const action = qualityActionFor(issue, actions);
+        if (action === 'keep') return;
+        const targets = issue.records.map(i => rows[i]);
+        if (issue.type === 'duplicate') {
+            if (action === 'fix') targets[0].price = targets.reduce((a, r) => a + r.price, 0) / targets.length;
+            targets.slice(1).forEach(r => { r.removed = true; });
+        } else if (issue.type === 'nonBusinessDay') {
+            const target = targets[0];
+            let previous = shiftISODate(target.date, -1);
+            while (!isBusinessDay(previous, calendar)) previous = shiftISODate(previous, -1);
+            if (action === 'fix' && !present.has(previous)) {
+                target.date = previous;
+                present.add(previous);
+            } else {
+                target.removed = true;
+            }
+        } else if (issue.type === 'missingBusinessDay') {
+            toInterpolate.push(issue.date);
+        } else if (action === 'drop') {
+            targets[0].removed = true;
+        } else {
+            targets[0].needsFix = true;
+        }
+    });
+
+    const kept = rows.filter(r => !r.removed).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    kept.forEach((r, i) => {
+        if (!r.needsFix) return;
+        let prev = null;
+        let next = null;
+        for (let j = i - 1; j >= 0 && !prev; j--) if (!kept[j].needsFix) prev = kept[j];
+        for (let j = i + 1; j < kept.length && !next; j++) if (!kept[j].needsFix) next = kept[j];
+        if (prev && next) r.price = (prev.price + next.price) / 2;
+        else if (prev || next) r.price = (prev || next).price;
+    });
+
+    const keptDates = new Set(kept.map(r => r.date));
+    const inserted = [];
+    toInterpolate.filter(d => !keptDates.has(d)).forEach(date => {
+        const t = isoToUTCMillis(date);
+        let prev = null;
+        let next = null;
+        kept.forEach(r => {
+            if (r.date < date) prev = r;
+            else if (!next && r.date > date) next = r;
+        });
+        if (!prev || !next) return;
+        const tPrev = isoToUTCMillis(prev.date);
+        const w = (t - tPrev) / (isoToUTCMillis(next.date) - tPrev);
+        inserted.push({ date, price: prev.price + w * (next.price - prev.price), imputed: true });
+    });
+
+    return kept.concat(inserted)
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+        .map(r => ({ date: r.date, price: r.price, imputed: !!r.imputed }));
+}
+
+// --- Regularización a calendario de días hábiles e imputación de faltantes ---
+export const IMPUTATION_METHODS = {
+    none: 'Sin regularizar (se mantienen los huecos)',
+    locf: 'Arrastre del último valor (LOCF)',
+    linear: 'Interpolación lineal',
+    kalman: 'Suavizado de Kalman (nivel local)'
+};
+
+// Filtro y suavizador de Kalman del modelo de nivel local con observaciones faltantes (NaN)
+// y_t = μ_t + ε_t, μ_{t+1} = μ_t + η_t; q = σ²_η/σ²_ε se estima por máxima verosimilitud concentrada
+export function kalmanSmoothLocalLevel(values) {
+    const n = values.length;
+    const first = values.findIndex(v => isFinite(v));
+    if (first < 0) return { smoothed: values.slice(), q: NaN, sigma2: NaN };
+    const diffuse = 1e7 * (1 + values[first] * values[first]);
+
+    const run = (q) => {
+        const aPred = new Array(n), pPred = new Array(n), aFilt = new Array(n), pFilt = new Array(n);
+        let a = values[first];
+        let p = diffuse;
+        let sumLogF = 0, sumV2F = 0, used = 0;
+        for (let t = 0; t < n; t++) {
+            aPred[t] = a;
+            pPred[t] = p;
+            if (isFinite(values[t])) {
+                const v = values[t] - a;
+                const f = p + 1;
+                if (t > first) {
+                    sumLogF += Math.log(f);
+                    sumV2F += v * v / f;
+                    used++;
+                }
+                a += (p / f) * v;
+                p -= p * p / f;
+            }
+            aFilt[t] = a;
+            pFilt[t] = p;
+            p += q;
+        }
+        const sigma2 = used > 0 ? sumV2F / used : NaN;
+        const negLogL = used > 0 && sigma2 > 0 ? 0.5 * (used * Math.log(sigma2) + sumLogF) : Infinity;
+        return { aPred, pPred, aFilt, pFilt, sigma2, negLogL };
+    };
+
+    const opt = nelderMead(x => run(Math.exp(x[0])).negLogL, [0], { step: 1 });
+    const q = Math.exp(Math.max(-20, Math.min(20, opt.x[0])));
+    const fit = run(q);
+    const smoothed = new Array(n);
+    smoothed[n - 1] = fit.aFilt[n - 1];
+    for (let t = n - 2; t >= 0; t--) {
+        const gain = fit.pFilt[t] / fit.pPred[t + 1];
+        smoothed[t] = fit.aFilt[t] + gain * (smoothed[t + 1] - fit.aPred[t + 1]);
+    }
+    return { smoothed, q, sigma2: fit.sigma2 };
+}
+
+// Completa el calendario de días hábiles y rellena los faltantes con el método elegido;
+// las observaciones existentes (incluidas las de días no hábiles conservadas) no se modifican
+export function regularizeBusinessDays(rows, options = {}) {
+    const { method = 'none', closures } = options;
+    if (!rows.length) return { rows: [], missing: [], method, imputedCount: 0 };
+    const observed = new Map(rows.map(r => [r.date, r]));
+    const missing = businessDayCalendar(rows[0].date, rows[rows.length - 1].date, { closures }).filter(d => !observed.has(d));
+    if (method === 'none' || !missing.length) {
+        return { rows: rows.slice(), missing, method, imputedCount: rows.filter(r => r.imputed).length };
+    }
+
+    const merged = rows.concat(missing.map(date => ({ date, price: NaN, imputed: true })))
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    const values = merged.map(r => r.price);
+    let kalman = null;
+    if (method === 'kalman') {
+        kalman = kalmanSmoothLocalLevel(values);
+        merged.forEach((r, i) => { if (!isFinite(r.price)) r.price = kalman.smoothed[i]; });
+    } else if (method === 'locf') {
+        merged.forEach((r, i) => { if (!isFinite(r.price) && i > 0) r.price = merged[i - 1].price; });
+    } else {
+        // Interpolación lineal en el índice de días hábiles (espaciado uniforme)
+        merged.forEach((r, i) => {
+            if (isFinite(r.price)) return;
+            let prev = i - 1;
+            let next = i + 1;
+            while (prev > 0 && !isFinite(values[prev])) prev--;
+            while (next < merged.length - 1 && !isFinite(values[next])) next++;
+            const w = (i - prev) / (next - prev);
+            r.price = values[prev] + w * (values[next] - values[prev]);
+        });
+    }
+    return {
+        rows: merged,
+        missing,
+        method,
+        imputedCount: merged.filter(r => r.imputed).length,
+        kalman: kalman ? { q: kalman.q, sigma2: kalman.sigma2 } : null
+    };
+}
+
+// --- Remuestreo a frecuencias semanal, mensual y trimestral ---
+// seasonalPeriod alimenta a Holt-Winters; unit nombra los horizontes de pronóstico
+export const FREQUENCIES = {
+    daily: { label: 'Diaria', adjective: 'diarias', unit: ['día hábil', 'días hábiles'], seasonalPeriod: 5 },
+    weekly: { label: 'Semanal', adjective: 'semanales', unit: ['semana', 'semanas'], seasonalPeriod: 52 },
+    monthly: { label: 'Mensual', adjective: 'mensuales', unit: ['mes', 'meses'], seasonalPeriod: 12 },
+    quarterly: { label: 'Trimestral', adjective: 'trimestrales', unit: ['trimestre', 'trimestres'], seasonalPeriod: 4 }
+};
+export const RESAMPLE_AGGREGATIONS = {
+    last: 'Último valor del período (cierre)',
+    mean: 'Promedio del período',
+    ohlc: 'OHLC (apertura, máximo, mínimo y cierre)',
+    vwap: 'Promedio ponderado (VWAP; por tiempo si no hay volumen)'
+};
+export const RESAMPLE_MIN_OBSERVATIONS = 30;
+
+// Agrega la serie diaria por período; la fecha de cada período es la de su última observación
+export function resampleSeries(rows, options = {}) {
+    const { frequency = 'daily', aggregation = 'last' } = options;
+    if (frequency === 'daily') return rows.slice();
+    const groups = [];
+    rows.forEach((r, i) => {
+        const key = periodKey(r.date, frequency);
+        if (!groups.length || groups[groups.length - 1].key !== key) groups.push({ key, rows: [], weights: [] });
+        // Peso VWAP: volumen si existe; si no, días naturales hasta la siguiente observación
+        const next = rows[i + 1];
+        const duration = next ? Math.max(1, (isoToUTCMillis(next.date) - isoToUTCMillis(r.date)) / MS_PER_DAY) : 1;
+        groups[groups.length - 1].rows.push(r);
+        groups[groups.length - 1].weights.push(isFinite(r.volume) && r.volume > 0 ? r.volume : duration);
+    });
+    return groups.map(g => {
+        const prices = g.rows.map(r => r.price);
+        const close = prices[prices.length - 1];
+        const totalWeight = g.weights.reduce((a, b) => a + b, 0);
+        const price = aggregation === 'mean' ? prices.reduce((a, b) => a + b, 0) / prices.length
+            : aggregation === 'vwap' ? prices.reduce((a, p, i) => a + p * g.weights[i], 0) / totalWeight
+            : close;
+        return {
+            date: g.rows[g.rows.length - 1].date,
+            period: g.key,
+            price,
+            open: prices[0],
+            high: Math.max(...prices),
+            low: Math.min(...prices),
+            close,
+            count: prices.length,
+            imputed: g.rows.every(r => r.imputed)
+        };
+    });
+}
+
+// Restringe las observaciones al rango de fechas elegido (extremos incluidos)
+export function filterByDateRange(rows, from, to) {
+    if (!from && !to) return rows;
+    return rows.filter(r => (!from || r.date >= from) && (!to || r.date <= to));
+}
+
+// Serie lista para el análisis: decisiones de calidad, rango de fechas, regularización hábil y frecuencia.
+// Si la frecuencia pedida deja menos de RESAMPLE_MIN_OBSERVATIONS períodos se conserva la serie diaria
+export function prepareSeries(records, options = {}) {
+    const {
+        closures,
+        quality = validateDataset(records, [], { closures }),
+        actions = {},
+        dateFrom = '',
+        dateTo = '',
+        imputation = 'none',
+        aggregation = 'last'
+    } = options;
+    let frequency = FREQUENCIES[options.frequency] ? options.frequency : 'daily';
+    const cleaned = filterByDateRange(applyQualityActions(records, quality, actions, { closures }), dateFrom, dateTo);
+    const regularization = regularizeBusinessDays(cleaned, { method: imputation, closures });
+    const daily = buildDollarData(regularization.rows);
+    let warning = null;
+    const resampled = frequency === 'daily' ? null : resampleSeries(daily, { frequency, aggregation });
+    if (resampled && resampled.length < RESAMPLE_MIN_OBSERVATIONS) {
+        warning = `La frecuencia ${FREQUENCIES[frequency].label.toLowerCase()} deja menos de ${RESAMPLE_MIN_OBSERVATIONS} observaciones; se usa la serie diaria.`;
+        frequency = 'daily';
+    }
+    return {
+        quality,
+        regularization,
+        daily,
+        frequency,
+        series: frequency === 'daily' ? daily : buildDollarData(resampled),
+        warning
+    };
+}
+
+// --- Lectura de archivos delimitados y JSON: tabla cruda y mapeo de columnas ---
+// Convierte un valor numérico con coma o punto decimal (y separador de miles opcional)
+export function parseImportedNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : NaN;
+    let str = String(value == null ? '' : value).trim().replace(/\s/g, '');
+    if (!str) return NaN;
+    const lastComma = str.lastIndexOf(',');
+    const lastDot = str.lastIndexOf('.');
+    if (lastComma > lastDot) str = str.replace(/\./g, '').replace(',', '.');
+    else if (lastComma >= 0) str = str.replace(/,/g, '');
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str) ? parseFloat(str) : NaN;
+}
+
+// Divide una línea respetando campos entre comillas dobles
+export function splitDelimitedLine(line, delimiter) {
+    if (delimiter === 'whitespace') return line.trim().split(/\s+/);
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Elige el separador que produce un número constante (≥ 2) de columnas en las primeras líneas
+export function detectDelimiter(lines, extension) {
+    const candidates = extension === 'tsv' ? ['\t']
+        : extension === 'csv' ? [';', ',', '\t']
+        : ['\t', ';', 'whitespace', ','];
+    const sample = lines.slice(0, 20);
+    for (const delimiter of candidates) {
+        const counts = sample.map(l => splitDelimitedLine(l, delimiter).length);
+        if (counts.length && counts[0] >= 2 && counts.every(c => c === counts[0])) return delimiter;
+    }
+    return candidates[candidates.length - 1];
+}
+
+// Una fila es encabezado si ninguna celda es número ni fecha reconocible
+export function rowLooksLikeHeader(row) {
+    return row.length > 0 && row.every(cell => !isFinite(parseImportedNumber(cell)) && !parseFlexibleDate(cell));
+}
+
+// Tabla cruda {headers, rows} a partir de filas de celdas
+export function buildRawTable(cells) {
+    const rows = cells.filter(r => r.some(c => String(c).trim() !== ''));
+    const width = rows.reduce((m, r) => Math.max(m, r.length), 0);
+    const hasHeader = rows.length > 1 && rowLooksLikeHeader(rows[0]);
+    const headers = hasHeader
+        ? Array.from({ length: width }, (_, i) => String(rows[0][i] != null && rows[0][i] !== '' ? rows[0][i] : `Columna ${i + 1}`))
+        : Array.from({ length: width }, (_, i) => `Columna ${i + 1}`);
+    return { headers, rows: hasHeader ? rows.slice(1) : rows, hasHeader };
+}
+
+export function parseDelimitedText(text, extension) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim().length > 0);
+    const delimiter = detectDelimiter(lines, extension);
+    return { ...buildRawTable(lines.map(l => splitDelimitedLine(l, delimiter))), delimiter };
+}
+
+// Acepta arreglos de objetos, arreglos de arreglos, {clave: [...]} o un mapa fecha → valor
+export function parseJSONDataset(text) {
+    let data = JSON.parse(text);
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+        const arrayKey = Object.keys(data).find(k => Array.isArray(data[k]));
+        data = arrayKey ? data[arrayKey] : Object.entries(data);
+    }
+    if (!Array.isArray(data) || data.length === 0) throw new Error('El JSON no contiene registros');
+    if (Array.isArray(data[0])) return buildRawTable(data);
+    const headers = [];
+    data.forEach(obj => Object.keys(obj || {}).forEach(k => { if (!headers.includes(k)) headers.push(k); }));
+    return { headers, rows: data.map(obj => headers.map(h => (obj && obj[h] != null ? obj[h] : ''))), hasHeader: true };
+}
+
+// Sugiere columnas: la de mayor proporción de fechas válidas y la numérica más completa
+// (se prefieren las columnas a la derecha de la fecha, donde suelen estar los precios)
+export function guessColumnMapping(table) {
+    const sample = table.rows.slice(0, 20);
+    const share = (col, test) => sample.filter(r => test(r[col])).length / Math.max(1, sample.length);
+    const cols = table.headers.map((_, i) => i);
+    const best = (candidates, score) => candidates.reduce((b, i) => (score(i) > score(b) ? i : b), candidates[0]);
+    const dateColumn = best(cols, i => share(i, v => parseFlexibleDate(v) != null));
+    const others = cols.filter(i => i !== dateColumn);
+    const ordered = others.filter(i => i > dateColumn).concat(others.filter(i => i < dateColumn));
+    const numericShare = (i) => share(i, v => isFinite(parseImportedNumber(v)));
+    const valueColumn = ordered.length ? best(ordered, numericShare) : dateColumn;
+    // Otras columnas numéricas (p. ej. compra y venta) se importan como series adicionales
+    const extra = others.filter(i => i !== valueColumn && numericShare(i) >= 0.8);
+    return { dateColumn, valueColumns: [valueColumn, ...extra], dateFormat: 'auto' };
+}
+
+// Nombres de las series importadas: encabezados (sin repetir) o "Precio" si hay una sola columna sin nombre
+export function importedSeriesNames(table, columns) {
+    if (!table.hasHeader && columns.length === 1) return ['Precio'];
+    const used = new Map();
+    return columns.map(i => {
+        const base = String(table.headers[i]).trim() || `Columna ${i + 1}`;
+        const count = (used.get(base) || 0) + 1;
+        used.set(base, count);
+        return count > 1 ? `${base} (${count})` : base;
+    });
+}
+
+// Aplica el mapeo de columnas y separa filas válidas de rechazadas
+export function mapImportedRows(table, mapping) {
+    const parsedDates = parseDateColumn(table.rows.map(r => r[mapping.dateColumn]), { format: mapping.dateFormat });
+    const names = importedSeriesNames(table, mapping.valueColumns);
+    const rows = [];
+    const rejected = [];
+    table.rows.forEach((r, i) => {
+        const date = parsedDates.dates[i];
+        const values = {};
+        mapping.valueColumns.forEach((col, k) => {
+            const v = parseImportedNumber(r[col]);
+            if (isFinite(v)) values[names[k]] = v;
+        });
+        const line = i + 1 + (table.hasHeader ? 1 : 0);
+        const text = r.map(c => (c instanceof Date ? parseFlexibleDate(c) : String(c))).join(' | ');
+        // Basta un valor numérico; la fila queda fuera solo de las series en las que falta
+        if (date && Object.keys(values).length) rows.push({ line, text, date, price: values[names[0]], values });
+        else rejected.push({ index: i + 1, line, text, date: r[mapping.dateColumn], value: r[mapping.valueColumns[0]], reason: !date ? 'Fecha no reconocida' : 'Valor no numérico' });
+    });
+    return { rows, rejected, names, dates: parsedDates.dates, dateFormat: parsedDates.format };
+}
@@ -0,0 +1,207 @@
+// --- Distribuciones de probabilidad (funciones especiales) ---
+export const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+export const SPECIAL_EPS = 1e-15;
+export const SPECIAL_FPMIN = 1e-300;
+
+// Logaritmo de la función gamma (aproximación de Lanczos, g=7)
+export function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    const z = x - 1;
+    let a = LANCZOS_COEFFICIENTS[0];
+    const t = z + 7.5;
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) a += LANCZOS_COEFFICIENTS[i] / (z + i);
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Gamma incompleta regularizada P(a, x) (serie para x < a+1, fracción continua en otro caso)
+export function regularizedGammaP(a, x) {
+    if (!(a > 0) || isNaN(x)) return NaN;
+    if (x <= 0) return 0;
+    if (x === Infinity) return 1;
+    if (x >= a + 1) return 1 - regularizedGammaQ(a, x);
+    let ap = a;
+    let del = 1 / a;
+    let sum = del;
+    for (let n = 0; n < 10000; n++) {
+        ap += 1;
+        del *= x / ap;
+        sum += del;
+        if (Math.abs(del) < Math.abs(sum) * SPECIAL_EPS) break;
+    }
+    return Math.min(1, sum * Math.exp(-x + a * Math.log(x) - logGamma(a)));
+}
+
+// Complemento Q(a, x) = 1 - P(a, x) por fracción continua de Lentz
+export function regularizedGammaQ(a, x) {
+    if (!(a > 0) || isNaN(x)) return NaN;
+    if (x <= 0) return 1;
+    if (x === Infinity) return 0;
+    if (x < a + 1) return 1 - regularizedGammaP(a, x);
+    let b = x + 1 - a;
+    let c = 1 / SPECIAL_FPMIN;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 10000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < SPECIAL_FPMIN) d = SPECIAL_FPMIN;
+        c = b + an / c;
+        if (Math.abs(c) < SPECIAL_FPMIN) c = SPECIAL_FPMIN;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < SPECIAL_EPS) break;
+    }
+    return Math.max(0, Math.exp(-x + a * Math.log(x) - logGamma(a)) * h);
+}
+
+// Fracción continua de la beta incompleta (Numerical Recipes, betacf)
+export function betaContinuedFraction(x, a, b) {
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < SPECIAL_FPMIN) d = SPECIAL_FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 10000; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < SPECIAL_FPMIN) d = SPECIAL_FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < SPECIAL_FPMIN) c = SPECIAL_FPMIN;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < SPECIAL_FPMIN) d = SPECIAL_FPMIN;
+        c = 1 + aa / c;
+        if (Math.abs(c) < SPECIAL_FPMIN) c = SPECIAL_FPMIN;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < SPECIAL_EPS) break;
+    }
+    return h;
+}
+
+// Beta incompleta regularizada I_x(a, b)
+export function regularizedBeta(x, a, b) {
+    if (!(a > 0) || !(b > 0) || isNaN(x)) return NaN;
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? bt * betaContinuedFraction(x, a, b) / a
+        : 1 - bt * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Inversión numérica de una CDF continua por bisección (con expansión del intervalo)
+export function invertCdf(cdf, p, lo, hi) {
+    if (!(p > 0 && p < 1)) return p === 0 ? lo : p === 1 ? Infinity : NaN;
+    while (cdf(hi) < p && hi < 1e12) hi *= 2;
+    for (let i = 0; i < 200; i++) {
+        const mid = 0.5 * (lo + hi);
+        if (cdf(mid) < p) lo = mid; else hi = mid;
+        if (hi - lo <= 1e-12 * Math.max(1, Math.abs(mid))) break;
+    }
+    return 0.5 * (lo + hi);
+}
+
+// CDF normal estándar exacta: Φ(z) = ½·erfc(-z/√2) vía gamma incompleta
+export function normalCdf(z) {
+    if (isNaN(z)) return NaN;
+    // En las colas (|z| ≥ √3) se calcula la cola directamente con Q: 0.5 − P/2 se cancela y pierde los p-valores pequeños
+    if (z * z / 2 >= 1.5) {
+        const tail = regularizedGammaQ(0.5, z * z / 2) / 2;
+        return z > 0 ? 1 - tail : tail;
+    }
+    const half = regularizedGammaP(0.5, z * z / 2) / 2;
+    return z >= 0 ? 0.5 + half : 0.5 - half;
+}
+
+// Cuantil normal estándar (Acklam) refinado con un paso de Halley
+export function normalQuantile(p) {
+    if (!(p > 0 && p < 1)) return p === 0 ? -Infinity : p === 1 ? Infinity : NaN;
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+    let x;
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    } else if (p <= 1 - pLow) {
+        const q = p - 0.5;
+        const r = q * q;
+        x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    } else {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const e = normalCdf(x) - p;
+    const u = e * Math.sqrt(2 * Math.PI) * Math.exp(x * x / 2);
+    return x - u / (1 + x * u / 2);
+}
+
+// Chi-cuadrado: CDF, cola superior y cuantil
+export function chiSquareCdf(x, df) {
+    if (df <= 0) return NaN;
+    return regularizedGammaP(df / 2, Math.max(0, x) / 2);
+}
+
+export function chiSquareUpperTailP(Q, df) {
+    if (df <= 0) return 1;
+    if (!isFinite(Q) && Q !== Infinity) return NaN;
+    return regularizedGammaQ(df / 2, Math.max(0, Q) / 2);
+}
+
+export function chiSquareQuantile(p, df) {
+    return invertCdf(x => chiSquareCdf(x, df), p, 0, Math.max(1, df * 2));
+}
+
+// t de Student: CDF, p-valor bilateral y cuantil
+export function studentTCdf(t, df) {
+    if (!(df > 0) || isNaN(t)) return NaN;
+    if (df === Infinity) return normalCdf(t);
+    const tail = 0.5 * regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+}
+
+export function studentTTwoTailedP(t, df) {
+    if (!(df > 0) || isNaN(t)) return NaN;
+    if (df === Infinity) return 2 * normalCdf(-Math.abs(t));
+    return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+export function studentTQuantile(p, df) {
+    if (df === Infinity) return normalQuantile(p);
+    if (p === 0.5) return 0;
+    if (p < 0.5) return -studentTQuantile(1 - p, df);
+    return invertCdf(t => studentTCdf(t, df), p, 0, 10);
+}
+
+// F de Fisher-Snedecor: CDF, cola superior y cuantil
+export function fCdf(x, d1, d2) {
+    if (!(d1 > 0) || !(d2 > 0) || isNaN(x)) return NaN;
+    if (x <= 0) return 0;
+    return regularizedBeta(d1 * x / (d1 * x + d2), d1 / 2, d2 / 2);
+}
+
+export function fUpperTailP(x, d1, d2) {
+    if (!(d1 > 0) || !(d2 > 0) || isNaN(x)) return NaN;
+    if (x <= 0) return 1;
+    return regularizedBeta(d2 / (d2 + d1 * x), d2 / 2, d1 / 2);
+}
+
+export function fQuantile(p, d1, d2) {
+    return invertCdf(x => fCdf(x, d1, d2), p, 0, 10);
+}
@@ -0,0 +1,239 @@
+import { AUTO_ARIMA_DEFAULTS } from './arima.mjs';
+import { FREQUENCIES } from './dataset.mjs';
+import { minimizeBFGS, nelderMead } from './numerics.mjs';
+import { differenceSeries } from './statistics.mjs';
+
+// ============================================================================
+// SUAVIZAMIENTO EXPONENCIAL (ETS / HOLT) EN FORMA DE ESPACIO DE ESTADOS
+// ============================================================================
+
+export const ETS_MODELS = {
+    ses: { label: 'ETS(A,N,N) Simple', trend: false, damped: false, seasonal: false },
+    holt: { label: 'ETS(A,A,N) Holt lineal', trend: true, damped: false, seasonal: false },
+    damped: { label: 'ETS(A,Ad,N) Holt amortiguado', trend: true, damped: true, seasonal: false },
+    holtWinters: { label: 'ETS(A,A,A) Holt-Winters', trend: true, damped: false, seasonal: true }
+};
+
+// Matrices del modelo lineal de innovaciones: yₜ = w'xₜ₋₁ + eₜ, xₜ = F·xₜ₋₁ + g·eₜ
+// Estado x = [ℓ, b?, sₜ, sₜ₋₁, …, sₜ₋ₘ₊₁]
+export function buildETSStateSpace(spec, params, m) {
+    const { alpha, beta = 0, gamma = 0, phi = 1 } = params;
+    const nTrend = spec.trend ? 1 : 0;
+    const nSeason = spec.seasonal ? m : 0;
+    const dim = 1 + nTrend + nSeason;
+    const F = Array.from({ length: dim }, () => new Array(dim).fill(0));
+    const g = new Array(dim).fill(0);
+    const w = new Array(dim).fill(0);
+
+    F[0][0] = 1;
+    w[0] = 1;
+    g[0] = alpha;
+    if (spec.trend) {
+        F[0][1] = phi;
+        F[1][1] = phi;
+        w[1] = phi;
+        g[1] = beta;
+    }
+    if (spec.seasonal) {
+        const s0 = 1 + nTrend;
+        F[s0][dim - 1] = 1;
+        for (let j = 1; j < m; j++) F[s0 + j][s0 + j - 1] = 1;
+        w[dim - 1] = 1;
+        g[s0] = gamma;
+    }
+    return { F, g, w, dim };
+}
+
+// Filtro de innovaciones: errores a un paso y estado final
+export function etsFilter(y, space, x0) {
+    const { F, g, w, dim } = space;
+    let x = x0.slice();
+    const errors = new Array(y.length);
+    const fitted = new Array(y.length);
+    for (let t = 0; t < y.length; t++) {
+        let yHat = 0;
+        for (let i = 0; i < dim; i++) yHat += w[i] * x[i];
+        const e = y[t] - yHat;
+        fitted[t] = yHat;
+        errors[t] = e;
+        const next = new Array(dim);
+        for (let i = 0; i < dim; i++) {
+            let v = g[i] * e;
+            const row = F[i];
+            for (let j = 0; j < dim; j++) v += row[j] * x[j];
+            next[i] = v;
+        }
+        x = next;
+    }
+    return { errors, fitted, state: x };
+}
+
+// Ajuste ETS aditivo por máxima verosimilitud (parámetros de suavizamiento y estados iniciales)
+// conditionOn excluye las primeras observaciones de la verosimilitud (comparabilidad con ARIMA con d diferencias)
+export function fitETS(data, options = {}) {
+    const { model = 'ses', conditionOn = 0 } = options;
+    const spec = ETS_MODELS[model];
+    const m = spec.seasonal ? (options.seasonalPeriod || FREQUENCIES.daily.seasonalPeriod) : 1;
+    const y = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data.slice()
+        : data.map(row => row.price);
+    const n = y.length;
+    const nLik = n - conditionOn;
+    const nSmoothing = 1 + (spec.trend ? 1 : 0) + (spec.seasonal ? 1 : 0) + (spec.damped ? 1 : 0);
+    const nInit = 1 + (spec.trend ? 1 : 0) + (spec.seasonal ? m - 1 : 0);
+    const k = nSmoothing + nInit + 1;
+    const failed = {
+        model, label: spec.label, params: null, coefficients: [], initialState: null, sigma2: NaN,
+        logL: NaN, AIC: NaN, AICc: NaN, BIC: NaN, k, nobs: nLik, residuals: [], fitted: [],
+        converged: false, iterations: 0, space: null, state: null, seasonalPeriod: m, series: y
+    };
+    if (nLik < k + 2 || (spec.seasonal && n < 2 * m)) return failed;
+
+    // Estados iniciales heurísticos: nivel y pendiente del primer ciclo, estacionalidad como desvío centrado
+    const firstCycle = y.slice(0, Math.max(m, 2));
+    const meanFirst = firstCycle.reduce((a, b) => a + b, 0) / firstCycle.length;
+    const secondCycle = spec.seasonal ? y.slice(m, 2 * m) : [];
+    const slope0 = spec.seasonal
+        ? (secondCycle.reduce((a, b) => a + b, 0) / m - meanFirst) / m
+        : (y[1] - y[0]);
+    const season0 = spec.seasonal ? y.slice(0, m).map(v => v - meanFirst) : [];
+    const diffs = differenceSeries(y, 1);
+    const scale = Math.sqrt(diffs.reduce((a, b) => a + b * b, 0) / Math.max(1, diffs.length)) || 1;
+
+    const logistic = v => 1 / (1 + Math.exp(-v));
+    const logit = p => Math.log(p / (1 - p));
+    const unpack = (z) => {
+        let i = 0;
+        const alpha = 0.0001 + 0.9998 * logistic(z[i++]);
+        const params = { alpha };
+        if (spec.trend) params.beta = alpha * logistic(z[i++]);
+        if (spec.seasonal) params.gamma = (1 - alpha) * logistic(z[i++]);
+        params.phi = spec.damped ? 0.8 + 0.18 * logistic(z[i++]) : 1;
+        const x0 = [y[0] + scale * z[i++]];
+        if (spec.trend) x0.push(slope0 + scale * z[i++] / 10);
+        if (spec.seasonal) {
+            // Estacionalidad inicial con suma cero: m-1 libres y la última como complemento
+            const free = season0.slice(0, m - 1).map(s => s + scale * z[i++]);
+            const seasonal = [...free, -free.reduce((a, b) => a + b, 0)];
+            // El estado guarda sₜ primero: el último valor del ciclo inicial es el más reciente
+            x0.push(...seasonal.reverse());
+        }
+        return { params, x0 };
+    };
+    const negLogLik = (params, x0) => {
+        const space = buildETSStateSpace(spec, params, m);
+        const { errors } = etsFilter(y, space, x0);
+        let ssq = 0;
+        for (let t = conditionOn; t < n; t++) ssq += errors[t] * errors[t];
+        if (!(ssq > 0) || !isFinite(ssq)) return Infinity;
+        return 0.5 * nLik * (Math.log(2 * Math.PI * ssq / nLik) + 1);
+    };
+    const objective = (z) => {
+        const { params, x0 } = unpack(z);
+        const v = negLogLik(params, x0);
+        return isFinite(v) ? v : 1e10;
+    };
+
+    const z0 = [logit(0.5)];
+    if (spec.trend) z0.push(logit(0.1));
+    if (spec.seasonal) z0.push(logit(0.1));
+    if (spec.damped) z0.push(logit(0.5));
+    z0.push(y[0] === meanFirst ? 0 : (meanFirst - y[0]) / scale);
+    if (spec.trend) z0.push(0);
+    if (spec.seasonal) for (let j = 0; j < m - 1; j++) z0.push(0);
+
+    let opt = minimizeBFGS(objective, z0);
+    let iterations = opt.iterations;
+    if (!opt.converged) {
+        const polish = nelderMead(objective, opt.x, { step: 0.1 });
+        iterations += polish.iterations;
+        opt = polish.fx <= opt.fx ? polish : { ...opt, converged: polish.converged };
+    }
+
+    const { params, x0 } = unpack(opt.x);
+    const space = buildETSStateSpace(spec, params, m);
+    const filter = etsFilter(y, space, x0);
+    const residuals = filter.errors.slice(conditionOn);
+    const sigma2 = residuals.reduce((a, e) => a + e * e, 0) / nLik;
+    const logL = -0.5 * nLik * (Math.log(2 * Math.PI * sigma2) + 1);
+    const AIC = -2 * logL + 2 * k;
+    const AICc = nLik - k - 1 > 0 ? AIC + (2 * k * (k + 1)) / (nLik - k - 1) : NaN;
+    const BIC = -2 * logL + k * Math.log(nLik);
+
+    const coefficients = [
+        { name: 'α', type: 'smoothing', estimate: params.alpha },
+        ...(spec.trend ? [{ name: 'β', type: 'smoothing', estimate: params.beta }] : []),
+        ...(spec.seasonal ? [{ name: 'γ', type: 'smoothing', estimate: params.gamma }] : []),
+        ...(spec.damped ? [{ name: 'φ', type: 'damping', estimate: params.phi }] : [])
+    ];
+
+    return {
+        model,
+        label: spec.label,
+        params,
+        coefficients,
+        initialState: x0,
+        sigma2,
+        logL,
+        AIC,
+        AICc,
+        BIC,
+        k,
+        nobs: nLik,
+        residuals,
+        fitted: filter.fitted,
+        converged: opt.converged && isFinite(logL),
+        iterations,
+        space,
+        state: filter.state,
+        seasonalPeriod: m,
+        series: y
+    };
+}
+
+// Pronósticos ETS con intervalos del espacio de estados: Var(h) = σ²·(1 + Σ_{j<h} cⱼ²), cⱼ = w'F^{j-1}g
+export function forecastETS(fit, horizon = 12) {
+    if (!fit.space || !isFinite(fit.sigma2)) {
+        return Array.from({ length: horizon }, (_, i) => ({ period: i + 1, forecast: NaN, se: NaN }));
+    }
+    const { F, g, w } = fit.space;
+    const apply = (v) => F.map(row => row.reduce((s, fij, j) => s + fij * v[j], 0));
+    const dot = (v) => v.reduce((s, vi, i) => s + w[i] * vi, 0);
+    let x = fit.state.slice();
+    let Fg = g.slice();
+    let cumC2 = 0;
+    const out = [];
+    for (let h = 1; h <= horizon; h++) {
+        out.push({ period: h, forecast: dot(x), se: Math.sqrt(fit.sigma2 * (1 + cumC2)) });
+        const c = dot(Fg);
+        cumC2 += c * c;
+        x = apply(x);
+        Fg = apply(Fg);
+    }
+    return out;
+}
+
+// Candidatos ETS con el mismo formato que el ranking auto-ARIMA
+export function fitETSCandidates(data, options = {}) {
+    const { criterion = AUTO_ARIMA_DEFAULTS.criterion, conditionOn = 0, seasonalPeriod } = options;
+    return Object.keys(ETS_MODELS).map(model => {
+        const fit = fitETS(data, { model, conditionOn, seasonalPeriod });
+        const score = fit[criterion];
+        return {
+            name: fit.label,
+            family: 'ETS',
+            order: null,
+            AIC: fit.AIC,
+            AICc: fit.AICc,
+            BIC: fit.BIC,
+            logL: fit.logL,
+            k: fit.k,
+            score,
+            converged: fit.converged,
+            stationary: null,
+            invertible: null,
+            admissible: fit.converged && isFinite(score),
+            fit
+        };
+    });
+}
@@ -0,0 +1,190 @@
+import { studentTTwoTailedP } from './distributions.mjs';
+import { differenceSeries } from './statistics.mjs';
+
+// ============================================================================
+// EVALUACIÓN DE PRONÓSTICOS Y MÉTODOS DE REFERENCIA
+// ============================================================================
+
+export const BENCHMARK_METHODS = {
+    naive: { label: 'Paseo aleatorio (naive)' },
+    drift: { label: 'Paseo aleatorio con deriva' },
+    mean: { label: 'Media histórica' },
+    movingAverage: { label: 'Media móvil' }
+};
+export const BENCHMARK_DEFAULTS = { movingAverageWindow: 5 };
+
+// Nombre del método de referencia; la media móvil indica su ventana
+export function benchmarkLabel(method, window = BENCHMARK_DEFAULTS.movingAverageWindow) {
+    return method === 'movingAverage' ? `${BENCHMARK_METHODS[method].label} (${window})` : BENCHMARK_METHODS[method].label;
+}
+
+// Pronósticos de referencia con errores estándar (fórmulas de Hyndman & Athanasopoulos)
+export function benchmarkForecast(data, method = 'naive', horizon = 1, options = {}) {
+    const y = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(row => row.price);
+    const T = y.length;
+    const window = Math.min(T, options.window || BENCHMARK_DEFAULTS.movingAverageWindow);
+    const empty = Array.from({ length: horizon }, (_, i) => ({ period: i + 1, forecast: NaN, se: NaN }));
+    if (T < 3) return empty;
+    const last = y[T - 1];
+    const diffs = differenceSeries(y, 1);
+    const out = [];
+
+    if (method === 'mean') {
+        const mean = y.reduce((a, b) => a + b, 0) / T;
+        const s = Math.sqrt(y.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (T - 1));
+        for (let h = 1; h <= horizon; h++) out.push({ period: h, forecast: mean, se: s * Math.sqrt(1 + 1 / T) });
+    } else if (method === 'drift') {
+        const c = (last - y[0]) / (T - 1);
+        const s = Math.sqrt(diffs.reduce((a, v) => a + (v - c) * (v - c), 0) / Math.max(1, T - 2));
+        for (let h = 1; h <= horizon; h++) out.push({ period: h, forecast: last + h * c, se: s * Math.sqrt(h * (1 + h / (T - 1))) });
+    } else if (method === 'movingAverage') {
+        const forecast = y.slice(T - window).reduce((a, b) => a + b, 0) / window;
+        // Error estándar empírico: errores dentro de muestra de la media móvil a h pasos
+        for (let h = 1; h <= horizon; h++) {
+            let ssq = 0;
+            let count = 0;
+            for (let t = window; t + h - 1 < T; t++) {
+                const ma = y.slice(t - window, t).reduce((a, b) => a + b, 0) / window;
+                const e = y[t + h - 1] - ma;
+                ssq += e * e;
+                count++;
+            }
+            out.push({ period: h, forecast, se: count ? Math.sqrt(ssq / count) : NaN });
+        }
+    } else {
+        const s = Math.sqrt(diffs.reduce((a, v) => a + v * v, 0) / diffs.length);
+        for (let h = 1; h <= horizon; h++) out.push({ period: h, forecast: last, se: s * Math.sqrt(h) });
+    }
+    return out;
+}
+
+// Métricas de precisión absolutas y relativas (MASE escala con el naive dentro de muestra; U de Theil frente al paseo aleatorio)
+export function computeForecastAccuracy(actuals, predictions, options = {}) {
+    const { train = [], previous = [] } = options;
+    const pairs = actuals
+        .map((y, k) => ({ y, yHat: predictions[k], prev: previous[k] }))
+        .filter(p => isFinite(p.y) && isFinite(p.yHat));
+    const n = pairs.length;
+    if (!n) return { n: 0, errors: [], mae: NaN, mse: NaN, rmse: NaN, mape: NaN, mase: NaN, theilU: NaN };
+
+    const errors = pairs.map(p => p.y - p.yHat);
+    const mae = errors.reduce((a, e) => a + Math.abs(e), 0) / n;
+    const mse = errors.reduce((a, e) => a + e * e, 0) / n;
+    const mape = 100 * pairs.reduce((a, p) => a + Math.abs((p.y - p.yHat) / p.y), 0) / n;
+
+    const trainDiffs = differenceSeries(train, 1);
+    const scale = trainDiffs.length ? trainDiffs.reduce((a, d) => a + Math.abs(d), 0) / trainDiffs.length : NaN;
+    const mase = scale > 0 ? mae / scale : NaN;
+
+    let num = 0;
+    let den = 0;
+    pairs.forEach(p => {
+        if (!isFinite(p.prev) || p.prev === 0) return;
+        num += Math.pow((p.yHat - p.y) / p.prev, 2);
+        den += Math.pow((p.y - p.prev) / p.prev, 2);
+    });
+    const theilU = den > 0 ? Math.sqrt(num / den) : NaN;
+
+    return { n, errors, mae, mse, rmse: Math.sqrt(mse), mape, mase, theilU };
+}
+
+// Skill score: mejora porcentual del ECM respecto a un pronóstico de referencia
+export function forecastSkillScore(metrics, reference) {
+    return isFinite(metrics.mse) && reference.mse > 0 ? 1 - metrics.mse / reference.mse : NaN;
+}
+
+// Períodos del holdout para el backtesting a 1 paso: 10 % de la serie, entre 3 y 12
+export function holdoutLength(n) {
+    return Math.min(12, Math.max(3, Math.floor(n * 0.1)));
+}
+
+// Prueba de Diebold-Mariano con corrección de Harvey-Leybourne-Newbold (H0: igual precisión)
+// Un estadístico negativo indica que el primer modelo tiene menor pérdida esperada
+export function dieboldMarianoTest(errors1, errors2, options = {}) {
+    const { h = 1, loss = 'squared' } = options;
+    const lossFn = loss === 'absolute' ? Math.abs : (e => e * e);
+    const d = [];
+    for (let t = 0; t < Math.min(errors1.length, errors2.length); t++) {
+        if (isFinite(errors1[t]) && isFinite(errors2[t])) d.push(lossFn(errors1[t]) - lossFn(errors2[t]));
+    }
+    const n = d.length;
+    const empty = { statistic: NaN, pValue: NaN, meanDiff: NaN, n, h, loss, df: n - 1 };
+    if (n < 3) return empty;
+    const meanDiff = d.reduce((a, b) => a + b, 0) / n;
+
+    // Varianza de largo plazo con autocovarianzas hasta h-1 (pronósticos a h pasos son MA(h-1))
+    const autocov = (k) => {
+        let s = 0;
+        for (let t = k; t < n; t++) s += (d[t] - meanDiff) * (d[t - k] - meanDiff);
+        return s / n;
+    };
+    let longRun = autocov(0);
+    for (let k = 1; k < h; k++) longRun += 2 * autocov(k);
+    if (!(longRun > 0)) return { ...empty, meanDiff };
+
+    const dm = meanDiff / Math.sqrt(longRun / n);
+    const correction = Math.sqrt((n + 1 - 2 * h + h * (h - 1) / n) / n);
+    const statistic = dm * correction;
+    return {
+        statistic,
+        statisticDM: dm,
+        pValue: studentTTwoTailedP(statistic, n - 1),
+        meanDiff,
+        n,
+        h,
+        loss,
+        df: n - 1
+    };
+}
+
+export const CROSS_VALIDATION_DEFAULTS = { step: 5, horizon: 12, windowType: 'expanding' };
+
+// Validación cruzada con origen móvil (ventana expansiva o deslizante) y errores por horizonte
+// options.onProgress(orígenes evaluados, total de orígenes) se llama tras cada reestimación
+export function rollingOriginCV(data, forecaster, options = {}) {
+    const y = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(row => row.price);
+    const n = y.length;
+    const {
+        step = CROSS_VALIDATION_DEFAULTS.step,
+        horizon = CROSS_VALIDATION_DEFAULTS.horizon,
+        windowType = CROSS_VALIDATION_DEFAULTS.windowType
+    } = options;
+    const initialWindow = Math.min(n - 1, options.initialWindow || Math.max(30, Math.floor(0.7 * n)));
+    const errorsByHorizon = Array.from({ length: horizon }, () => []);
+    const origins = [];
+    const totalOrigins = Math.ceil((n - initialWindow) / Math.max(1, step));
+
+    for (let origin = initialWindow; origin < n; origin += Math.max(1, step)) {
+        const train = windowType === 'sliding' ? y.slice(origin - initialWindow, origin) : y.slice(0, origin);
+        const H = Math.min(horizon, n - origin);
+        const forecasts = forecaster(train, H);
+        origins.push(origin);
+        for (let h = 1; h <= H; h++) {
+            const actual = y[origin + h - 1];
+            const forecast = forecasts[h - 1];
+            errorsByHorizon[h - 1].push({ origin, actual, forecast, error: actual - forecast });
+        }
+        if (options.onProgress) options.onProgress(origins.length, totalOrigins);
+    }
+
+    const summarize = (rows) => computeForecastAccuracy(rows.map(r => r.actual), rows.map(r => r.forecast));
+    const byHorizon = errorsByHorizon.map((rows, i) => {
+        const acc = summarize(rows);
+        return { h: i + 1, n: acc.n, mae: acc.mae, rmse: acc.rmse, mape: acc.mape };
+    });
+
+    return {
+        initialWindow,
+        step,
+        horizon,
+        windowType,
+        origins,
+        byHorizon,
+        errorsByHorizon,
+        overall: summarize(errorsByHorizon.flat())
+    };
+}
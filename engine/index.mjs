@@ -0,0 +1,14 @@
+// Motor estadístico del tablero: funciones puras (series y opciones de entrada, objetos de resultado de salida),
+// sin acceso al DOM ni al estado global de la interfaz. Se puede importar desde el navegador o desde Node.
+export * from './distributions.mjs';
+export * from './numerics.mjs';
+export * from './calendar.mjs';
+export * from './statistics.mjs';
+export * from './dataset.mjs';
+export * from './transforms.mjs';
+export * from './arima.mjs';
+export * from './ets.mjs';
+export * from './volatility.mjs';
+export * from './evaluation.mjs';
+export * from './report.mjs';
+export * from './tasks.mjs';
@@ -0,0 +1,246 @@
+// Álgebra lineal y optimización numérica (regresión, sistemas lineales, Nelder-Mead, BFGS, sección áurea)
+
+// Mínimos cuadrados ordinarios y = X·β + e (X como arreglo de filas); null si X'X es singular
+export function olsRegression(y, X) {
+    const n = y.length;
+    const k = X.length ? X[0].length : 0;
+    if (!k || n <= k) return null;
+    const XtX = Array.from({ length: k }, () => new Array(k).fill(0));
+    const Xty = new Array(k).fill(0);
+    for (let t = 0; t < n; t++) {
+        const row = X[t];
+        for (let i = 0; i < k; i++) {
+            Xty[i] += row[i] * y[t];
+            for (let j = i; j < k; j++) XtX[i][j] += row[i] * row[j];
+        }
+    }
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j < i; j++) XtX[i][j] = XtX[j][i];
+    }
+    const XtXinv = invertMatrix(XtX);
+    if (!XtXinv) return null;
+    const beta = XtXinv.map(row => row.reduce((s, v, j) => s + v * Xty[j], 0));
+    const residuals = y.map((v, t) => v - X[t].reduce((s, x, j) => s + x * beta[j], 0));
+    const ssr = residuals.reduce((s, e) => s + e * e, 0);
+    const sigma2 = ssr / (n - k);
+    const se = XtXinv.map((row, i) => Math.sqrt(Math.max(0, sigma2 * row[i])));
+    const tValues = beta.map((b, i) => (se[i] > 0 ? b / se[i] : NaN));
+    const logL = -0.5 * n * (Math.log(2 * Math.PI) + Math.log(ssr / n) + 1);
+    return { beta, se, tValues, residuals, ssr, sigma2, logL, nobs: n, k, XtXinv };
+}
+
+// Resuelve A·x = b por eliminación gaussiana con pivoteo parcial (null si es singular)
+export function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let i = col + 1; i < n; i++) {
+            if (Math.abs(M[i][col]) > Math.abs(M[pivot][col])) pivot = i;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-14) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+        for (let i = col + 1; i < n; i++) {
+            const f = M[i][col] / M[col][col];
+            if (f === 0) continue;
+            for (let j = col; j <= n; j++) M[i][j] -= f * M[col][j];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let s = M[i][n];
+        for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
+        x[i] = s / M[i][i];
+    }
+    return x;
+}
+
+// Inversa de una matriz cuadrada columna a columna (null si es singular)
+export function invertMatrix(A) {
+    const n = A.length;
+    const inv = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let j = 0; j < n; j++) {
+        const e = new Array(n).fill(0);
+        e[j] = 1;
+        const col = solveLinearSystem(A, e);
+        if (!col) return null;
+        for (let i = 0; i < n; i++) inv[i][j] = col[i];
+    }
+    return inv;
+}
+
+// Minimización Nelder-Mead sin derivadas
+export function nelderMead(f, x0, options = {}) {
+    const { step = 0.1, maxIter = 500 * Math.max(1, x0.length), tol = 1e-10 } = options;
+    const dim = x0.length;
+    let simplex = [x0.slice()];
+    for (let i = 0; i < dim; i++) {
+        const x = x0.slice();
+        x[i] += step;
+        simplex.push(x);
+    }
+    let values = simplex.map(f);
+    let iter = 0;
+    let converged = false;
+    while (iter < maxIter) {
+        iter++;
+        const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+        if (Math.abs(values[dim] - values[0]) <= tol * (Math.abs(values[0]) + tol)) {
+            converged = true;
+            break;
+        }
+        const centroid = new Array(dim).fill(0);
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j < dim; j++) centroid[j] += simplex[i][j] / dim;
+        }
+        const move = (coef) => centroid.map((c, j) => c + coef * (simplex[dim][j] - c));
+        const xr = move(-1);
+        const fr = f(xr);
+        if (fr < values[0]) {
+            const xe = move(-2);
+            const fe = f(xe);
+            if (fe < fr) { simplex[dim] = xe; values[dim] = fe; } else { simplex[dim] = xr; values[dim] = fr; }
+        } else if (fr < values[dim - 1]) {
+            simplex[dim] = xr; values[dim] = fr;
+        } else {
+            const xc = fr < values[dim] ? move(-0.5) : move(0.5);
+            const fc = f(xc);
+            if (fc < Math.min(fr, values[dim])) {
+                simplex[dim] = xc; values[dim] = fc;
+            } else {
+                for (let i = 1; i <= dim; i++) {
+                    simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+                    values[i] = f(simplex[i]);
+                }
+            }
+        }
+    }
+    let best = 0;
+    for (let i = 1; i <= dim; i++) if (values[i] < values[best]) best = i;
+    return { x: simplex[best], fx: values[best], iterations: iter, converged };
+}
+
+// Minimización cuasi-Newton BFGS con gradiente numérico y búsqueda lineal con retroceso.
+// Converge cuando el gradiente es casi nulo y el último paso apenas mueve los parámetros; una mejora pequeña
+// en la función no basta (en valles planos detendría la búsqueda lejos del óptimo)
+export function minimizeBFGS(f, x0, options = {}) {
+    const { maxIter = 200, gradTol = 1e-5, stepTol = 1e-6, maxStep = 1, h = 1e-5 } = options;
+    const dim = x0.length;
+    const gradient = (x) => x.map((_, i) => {
+        const up = x.slice();
+        const down = x.slice();
+        up[i] += h;
+        down[i] -= h;
+        return (f(up) - f(down)) / (2 * h);
+    });
+    const maxAbs = (v) => v.reduce((m, vi) => Math.max(m, Math.abs(vi)), 0);
+    const identity = () => Array.from({ length: dim }, (_, i) => Array.from({ length: dim }, (_, j) => (i === j ? 1 : 0)));
+    let x = x0.slice();
+    let fx = f(x);
+    if (!isFinite(fx)) return { x, fx, iterations: 0, converged: false };
+    let g = gradient(x);
+    let H = identity();
+    let scaled = false;
+    let converged = maxAbs(g) < gradTol;
+    let iter = 0;
+    while (!converged && iter < maxIter) {
+        iter++;
+        let dir = H.map(row => -row.reduce((s, hij, j) => s + hij * g[j], 0));
+        let slope = dir.reduce((s, di, i) => s + di * g[i], 0);
+        if (!(slope < 0)) {
+            H = identity();
+            scaled = false;
+            dir = g.map(v => -v);
+            slope = -g.reduce((s, v) => s + v * v, 0);
+        }
+        // Paso inicial acotado: con H = I el primer paso puede saltar al borde del espacio de parámetros
+        let step = Math.min(1, maxStep / maxAbs(dir));
+        let xNew = x.map((v, i) => v + step * dir[i]);
+        let fNew = f(xNew);
+        while (!(fNew <= fx + 1e-4 * step * slope) && step > 1e-10) {
+            step *= 0.5;
+            xNew = x.map((v, i) => v + step * dir[i]);
+            fNew = f(xNew);
+        }
+        // Sin descenso posible: es un óptimo si el gradiente ya es casi nulo
+        if (!(fNew <= fx)) {
+            converged = maxAbs(g) < gradTol;
+            break;
+        }
+        const gNew = gradient(xNew);
+        const sVec = xNew.map((v, i) => v - x[i]);
+        const yVec = gNew.map((v, i) => v - g[i]);
+        const sy = sVec.reduce((s, v, i) => s + v * yVec[i], 0);
+        x = xNew;
+        g = gNew;
+        fx = fNew;
+        if (maxAbs(g) < gradTol && maxAbs(sVec) < stepTol * (1 + maxAbs(x))) {
+            converged = true;
+            break;
+        }
+        if (sy > 1e-12) {
+            // Antes de la primera actualización, H = I se reescala con la curvatura observada (s'y / y'y)
+            if (!scaled) {
+                const yy = yVec.reduce((s, v) => s + v * v, 0);
+                H = identity().map(row => row.map(v => v * sy / yy));
+                scaled = true;
+            }
+            const rho = 1 / sy;
+            const Hy = H.map(row => row.reduce((s, hij, j) => s + hij * yVec[j], 0));
+            const yHy = yVec.reduce((s, v, i) => s + v * Hy[i], 0);
+            H = H.map((row, i) => row.map((hij, j) =>
+                hij - rho * (Hy[i] * sVec[j] + sVec[i] * Hy[j]) + (rho * rho * yHy + rho) * sVec[i] * sVec[j]));
+        }
+    }
+    return { x, fx, iterations: iter, converged };
+}
+
+// Hessiano numérico por diferencias centrales
+export function numericalHessian(f, x, steps) {
+    const dim = x.length;
+    const H = Array.from({ length: dim }, () => new Array(dim).fill(0));
+    const f0 = f(x);
+    const shifted = (i, si, j, sj) => {
+        const y = x.slice();
+        y[i] += si * steps[i];
+        if (j !== undefined) y[j] += sj * steps[j];
+        return f(y);
+    };
+    for (let i = 0; i < dim; i++) {
+        H[i][i] = (shifted(i, 1) - 2 * f0 + shifted(i, -1)) / (steps[i] * steps[i]);
+        for (let j = i + 1; j < dim; j++) {
+            const v = (shifted(i, 1, j, 1) - shifted(i, 1, j, -1) - shifted(i, -1, j, 1) + shifted(i, -1, j, -1))
+                / (4 * steps[i] * steps[j]);
+            H[i][j] = v;
+            H[j][i] = v;
+        }
+    }
+    return H;
+}
+
+// Minimización unidimensional: rejilla gruesa y refinamiento por sección áurea
+export function goldenSectionMinimize(f, lower, upper, options = {}) {
+    const { gridPoints = 31, tol = 1e-6 } = options;
+    const step = (upper - lower) / (gridPoints - 1);
+    let bestIdx = 0;
+    let bestVal = Infinity;
+    for (let i = 0; i < gridPoints; i++) {
+        const v = f(lower + i * step);
+        if (v < bestVal) { bestVal = v; bestIdx = i; }
+    }
+    let a = Math.max(lower, lower + (bestIdx - 1) * step);
+    let b = Math.min(upper, lower + (bestIdx + 1) * step);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = f(c);
+    let fd = f(d);
+    while (b - a > tol) {
+        if (fc < fd) { b = d; d = c; fd = fc; c = b - ratio * (b - a); fc = f(c); }
+        else { a = c; c = d; fc = fd; d = a + ratio * (b - a); fd = f(d); }
+    }
+    const x = (a + b) / 2;
+    return { x, fx: f(x) };
+}
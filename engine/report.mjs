@@ -0,0 +1,234 @@
+// Informe de las cinco etapas (exploración, identificación, estimación, validación y pronóstico) sobre una serie
+// preparada {date, price}: mismo motor que el tablero, con resultados serializables para la CLI y otros scripts
+import {
+    AUTO_ARIMA_DEFAULTS, MODEL_ORDER, arimaModelLabel, autoARIMA, checkARMARoots, fitARIMA, forecastARIMA
+} from './arima.mjs';
+import { forecastDate } from './calendar.mjs';
+import { FREQUENCIES, RESAMPLE_MIN_OBSERVATIONS } from './dataset.mjs';
+import { fitETSCandidates } from './ets.mjs';
+import { computeForecastAccuracy, forecastSkillScore, holdoutLength } from './evaluation.mjs';
+import {
+    adfTest, archLMTest, calculateACF, calculateDescriptiveStats, calculatePACF, computeJarqueBera,
+    detectOutliers, differenceSeries, kpssTest, ljungBoxTest, phillipsPerronTest, stationarityVerdict
+} from './statistics.mjs';
+import { ANALYSIS_TASKS } from './tasks.mjs';
+import { backTransformForecast, identificationSeries, resolveSeriesTransform, transformToModelScale } from './transforms.mjs';
+
+// order: null usa MODEL_ORDER, 'auto' el mejor modelo admisible del ranking, o un objeto {p, d, q, includeConstant};
+// closures: cierres adicionales (Map fecha ISO → motivo) para fechar los pronósticos
+export const REPORT_DEFAULTS = {
+    horizon: 12,
+    confidenceLevels: [80, 95],
+    order: null,
+    transform: { type: 'none', lambdaMethod: 'guerrero' },
+    frequency: 'daily',
+    maxLag: 20,
+    rankingSize: 10,
+    search: {},
+    closures: null
+};
+
+// Resultado de una prueba de raíz unitaria sin los detalles internos de la regresión
+function unitRootSummary(test) {
+    return {
+        statistic: test.statistic,
+        pValue: test.pValue,
+        criticalValues: test.criticalValues,
+        isStationary: test.isStationary,
+        lags: test.usedLag != null ? test.usedLag : test.lags,
+        nobs: test.nobs
+    };
+}
+
+// ADF, KPSS y Phillips-Perron con el veredicto conjunto ADF/KPSS
+function stationaritySummary(values) {
+    const adf = adfTest(values);
+    const kpss = kpssTest(values, { regression: 'c' });
+    return {
+        adf: unitRootSummary(adf),
+        kpss: unitRootSummary(kpss),
+        pp: unitRootSummary(phillipsPerronTest(values)),
+        verdict: stationarityVerdict(adf, kpss).label
+    };
+}
+
+function candidateSummary(entry) {
+    return {
+        rank: entry.rank,
+        name: entry.name,
+        family: entry.family || 'ARIMA',
+        order: entry.order,
+        includeConstant: entry.includeConstant != null ? entry.includeConstant : null,
+        AIC: entry.AIC,
+        AICc: entry.AICc,
+        BIC: entry.BIC,
+        logL: entry.logL,
+        admissible: entry.admissible
+    };
+}
+
+// Pronósticos a nivel de precio de un ARIMA ajustado en la escala transformada
+function priceForecasts(fit, transform, horizon, levels) {
+    return forecastARIMA(fit, horizon).map(f => ({
+        period: f.period,
+        ...backTransformForecast(f.forecast, f.se, transform, levels)
+    }));
+}
+
+// Backtesting a 1 paso sobre los últimos períodos con la misma tarea que la etapa 5 del tablero
+function holdoutComparison(series, settings) {
+    const prices = series.map(r => r.price);
+    const n = prices.length;
+    const horizonTest = holdoutLength(n);
+    const startTest = n - horizonTest;
+    const actuals = prices.slice(startTest);
+    const train = prices.slice(0, startTest);
+    const previous = prices.slice(startTest - 1, n - 1);
+
+    const backtest = ANALYSIS_TASKS.holdoutBacktest({ prices, startTest, horizon: 1, ...settings }, () => {});
+    const candidates = [
+        { label: arimaModelLabel(settings.order), family: 'ARIMA', predictions: backtest.arima },
+        ...backtest.ets,
+        ...backtest.benchmarks
+    ];
+
+    // Los errores por período no forman parte del informe
+    const comparison = candidates.map(c => {
+        const metrics = { ...computeForecastAccuracy(actuals, c.predictions, { train, previous }) };
+        delete metrics.errors;
+        return { ...c, metrics };
+    });
+    const randomWalk = comparison.find(c => c.method === 'naive');
+    return {
+        observations: horizonTest,
+        firstDate: series[startTest].date,
+        actuals,
+        models: comparison.map(c => ({
+            name: c.label,
+            family: c.family,
+            ...c.metrics,
+            skill: forecastSkillScore(c.metrics, randomWalk.metrics),
+            predictions: c.predictions
+        }))
+    };
+}
+
+// Informe completo; series son filas {date, price} en orden cronológico (p. ej. prepareSeries(...).series)
+export function analyzeSeries(series, options = {}) {
+    const settings = { ...REPORT_DEFAULTS, ...options };
+    const prices = series.map(r => r.price);
+    const n = prices.length;
+    if (n < RESAMPLE_MIN_OBSERVATIONS) {
+        throw new Error(`Se necesitan al menos ${RESAMPLE_MIN_OBSERVATIONS} observaciones para el análisis (hay ${n}).`);
+    }
+    const frequency = FREQUENCIES[settings.frequency] ? settings.frequency : 'daily';
+    const seasonalPeriod = FREQUENCIES[frequency].seasonalPeriod;
+    const levels = settings.confidenceLevels;
+
+    // Etapa 1: exploración
+    const descriptives = calculateDescriptiveStats(prices);
+    const exploration = {
+        descriptives,
+        outliers: detectOutliers(series),
+        stationarity: {
+            level: stationaritySummary(prices),
+            firstDifference: stationaritySummary(differenceSeries(prices, 1))
+        }
+    };
+
+    // Etapa 2: identificación sobre la serie transformada y ranking de modelos
+    const transform = resolveSeriesTransform(prices, settings.transform, seasonalPeriod);
+    const modelSeries = transformToModelScale(prices, transform);
+    const idSeries = identificationSeries(prices, transform);
+    const search = autoARIMA(modelSeries, { ...AUTO_ARIMA_DEFAULTS, ...settings.search });
+    const etsCandidates = fitETSCandidates(modelSeries, { criterion: search.criterion, conditionOn: search.d, seasonalPeriod });
+    const identification = {
+        transform,
+        acf: calculateACF(idSeries, settings.maxLag),
+        pacf: calculatePACF(idSeries, settings.maxLag),
+        confidenceBand: 1.96 / Math.sqrt(idSeries.length),
+        differencing: search.d,
+        criterion: search.criterion,
+        best: search.best ? candidateSummary(search.best) : null,
+        ranking: search.leaderboard.slice(0, settings.rankingSize).map(candidateSummary),
+        ets: etsCandidates.map(candidateSummary)
+    };
+
+    // Etapa 3: estimación del modelo de trabajo
+    const requested = settings.order === 'auto'
+        ? (search.best ? { ...search.best.order, includeConstant: search.best.includeConstant } : MODEL_ORDER)
+        : (settings.order || MODEL_ORDER);
+    const fit = fitARIMA(modelSeries, requested);
+    // Sin includeConstant, fitARIMA decide la constante según d; el backtesting usa la misma elección
+    const order = { ...fit.order, includeConstant: fit.includeConstant };
+    const roots = checkARMARoots(fit.ar, fit.ma);
+    const estimation = {
+        model: arimaModelLabel(order),
+        order: fit.order,
+        includeConstant: fit.includeConstant,
+        coefficients: fit.coefficients,
+        sigma2: fit.sigma2,
+        logL: fit.logL,
+        AIC: fit.AIC,
+        AICc: fit.AICc,
+        BIC: fit.BIC,
+        nobs: fit.nobs,
+        converged: fit.converged,
+        stationary: roots.stationary,
+        invertible: roots.invertible
+    };
+
+    // Etapa 4: diagnóstico de residuos y backtesting
+    const residuals = fit.residuals;
+    const armaParams = fit.order.p + fit.order.q;
+    const residualStats = calculateDescriptiveStats(residuals);
+    const validation = {
+        residuals: {
+            mean: residualStats.mean,
+            stdDev: residualStats.stdDev,
+            skewness: residualStats.skewness,
+            kurtosis: residualStats.kurtosis,
+            jarqueBera: computeJarqueBera(residuals),
+            ljungBox: [10, 15, 20].map(lag => ({ lag, ...ljungBoxTest(residuals, lag, armaParams) })),
+            archLM: archLMTest(residuals, 1)
+        },
+        holdout: holdoutComparison(series, {
+            order,
+            transform: settings.transform,
+            seasonalPeriod,
+            confidenceLevels: levels
+        })
+    };
+
+    // Etapa 5: pronósticos a nivel de precio con fechas hábiles según la frecuencia
+    const lastDate = series[n - 1].date;
+    const forecasts = {
+        horizon: settings.horizon,
+        confidenceLevels: levels,
+        lastDate,
+        lastPrice: prices[n - 1],
+        path: priceForecasts(fit, transform, settings.horizon, levels).map(f => ({
+            period: f.period,
+            date: forecastDate(lastDate, f.period, frequency, { closures: settings.closures }),
+            forecast: f.forecast,
+            median: f.median,
+            se: f.se,
+            intervals: f.intervals
+        }))
+    };
+
+    return {
+        series: {
+            observations: n,
+            firstDate: series[0].date,
+            lastDate,
+            frequency,
+            imputed: series.filter(r => r.imputed).length
+        },
+        exploration,
+        identification,
+        estimation,
+        validation,
+        forecasts
+    };
+}
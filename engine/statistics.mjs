@@ -0,0 +1,527 @@
+import { chiSquareUpperTailP, fUpperTailP, normalCdf } from './distributions.mjs';
+import { olsRegression } from './numerics.mjs';
+
+// ============================================================================
+// FUNCIONES DE ANÁLISIS DE SERIES TEMPORALES
+// ============================================================================
+
+// Función para calcular estadísticas descriptivas completas
+export function calculateDescriptiveStats(data) {
+    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
+    const prices = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data.filter(v => typeof v === 'number' && isFinite(v))
+        : data.map(d => d.price).filter(v => typeof v === 'number' && isFinite(v));
+    const n = prices.length;
+
+    // Evitar cálculos con datos vacíos
+    if (n === 0) {
+        return {
+            n: 0,
+            mean: NaN,
+            median: NaN,
+            variance: NaN,
+            stdDev: NaN,
+            range: NaN,
+            cv: NaN,
+            skewness: NaN,
+            kurtosis: NaN,
+            min: NaN,
+            max: NaN,
+            q1: NaN,
+            q3: NaN
+        };
+    }
+    // Caso con una sola observación: definir métricas de forma estable
+    if (n === 1) {
+        const only = prices[0];
+        return {
+            n: 1,
+            mean: only,
+            median: only,
+            variance: 0,
+            stdDev: 0,
+            range: 0,
+            cv: 0,
+            skewness: 0,
+            kurtosis: 0,
+            min: only,
+            max: only,
+            q1: only,
+            q3: only
+        };
+    }
+    
+    // Medidas de tendencia central
+    const mean = prices.reduce((sum, p) => sum + p, 0) / n;
+    const sortedPrices = [...prices].sort((a, b) => a - b);
+    const median = n % 2 === 0 ? 
+        (sortedPrices[n/2 - 1] + sortedPrices[n/2]) / 2 : 
+        sortedPrices[Math.floor(n/2)];
+    
+    // Medidas de dispersión
+    const variance = prices.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / (n - 1);
+    const stdDev = Math.sqrt(variance);
+    const range = Math.max(...prices) - Math.min(...prices);
+    const cv = (stdDev / mean) * 100;
+    
+    // Medidas de forma
+    const skewness = calculateSkewness(prices, mean, stdDev);
+    const kurtosis = calculateKurtosis(prices, mean, stdDev);
+    
+    return {
+        n, mean, median, variance, stdDev, range, cv, skewness, kurtosis,
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        q1: sortedPrices[Math.floor(n * 0.25)],
+        q3: sortedPrices[Math.floor(n * 0.75)]
+    };
+}
+
+// Función para calcular asimetría (skewness)
+export function calculateSkewness(data, mean, stdDev) {
+    const n = data.length;
+    if (!isFinite(stdDev) || stdDev === 0) return 0;
+    const sum = data.reduce((acc, val) => acc + Math.pow((val - mean) / stdDev, 3), 0);
+    return (n / ((n - 1) * (n - 2))) * sum;
+}
+
+// Función para calcular curtosis
+export function calculateKurtosis(data, mean, stdDev) {
+    const n = data.length;
+    if (!isFinite(stdDev) || stdDev === 0) return 0;
+    const sum = data.reduce((acc, val) => acc + Math.pow((val - mean) / stdDev, 4), 0);
+    return ((n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3))) * sum - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+}
+
+// Función para calcular ACF (Autocorrelación)
+export function calculateACF(data, maxLags = 20) {
+    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
+    const prices = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(d => d.price);
+    const n = prices.length;
+    const mean = prices.reduce((sum, p) => sum + p, 0) / n;
+    
+    const acf = [];
+    for (let lag = 0; lag <= maxLags; lag++) {
+        let numerator = 0;
+        let denominator = 0;
+        
+        for (let i = 0; i < n - lag; i++) {
+            numerator += (prices[i] - mean) * (prices[i + lag] - mean);
+        }
+        
+        for (let i = 0; i < n; i++) {
+            denominator += Math.pow(prices[i] - mean, 2);
+        }
+        
+        acf.push(lag === 0 ? 1 : numerator / denominator);
+    }
+    
+    return acf;
+}
+
+// Función para calcular PACF (Autocorrelación Parcial)
+export function calculatePACF(data, maxLags = 20) {
+    const acf = calculateACF(data, maxLags);
+    const pacf = [1]; // PACF(0) = 1
+
+    // Algoritmo de Durbin-Levinson: phi contiene los coeficientes del AR(k-1) ajustado por Yule-Walker
+    let phi = [];
+    for (let k = 1; k <= maxLags; k++) {
+        let numerator = acf[k];
+        let denominator = 1;
+        for (let j = 1; j < k; j++) {
+            numerator -= phi[j - 1] * acf[k - j];
+            denominator -= phi[j - 1] * acf[j];
+        }
+        const phiKK = denominator !== 0 ? numerator / denominator : NaN;
+        phi = [...phi.map((c, j) => c - phiKK * phi[k - 2 - j]), phiKK];
+        pacf.push(phiKK);
+    }
+
+    return pacf;
+}
+
+// Superficie de respuesta de MacKinnon (1994) para p-valores del estadístico τ (una serie, N=1)
+export const MACKINNON_P_COEFFICIENTS = {
+    n: { tauStar: -1.04, tauMin: -19.04, tauMax: Infinity, small: [0.6344, 1.2378, 3.2496e-2], large: [0.4797, 9.3557e-1, -0.6999e-1, 3.3066e-2] },
+    c: { tauStar: -1.61, tauMin: -18.83, tauMax: 2.74, small: [2.1659, 1.4412, 3.8269e-2], large: [1.7339, 9.3202e-1, -1.2745e-1, -1.0368e-2] },
+    ct: { tauStar: -2.89, tauMin: -16.18, tauMax: 0.7, small: [3.2512, 1.6047, 4.9588e-2], large: [2.5261, 6.1654e-1, -3.7956e-1, -6.0285e-2] }
+};
+
+// Valores críticos de MacKinnon (2010): c = β∞ + β1/T + β2/T² + β3/T³
+export const MACKINNON_CRITICAL_COEFFICIENTS = {
+    n: { '1%': [-2.56574, -2.2358, -3.627, 0], '5%': [-1.94100, -0.2686, -3.365, 31.223], '10%': [-1.61682, 0.2656, -2.714, 25.364] },
+    c: { '1%': [-3.43035, -6.5393, -16.786, -79.433], '5%': [-2.86154, -2.8903, -4.234, -40.040], '10%': [-2.56677, -1.5384, -2.809, 0] },
+    ct: { '1%': [-3.95877, -9.0531, -28.428, -134.155], '5%': [-3.41049, -4.3904, -9.036, -45.374], '10%': [-3.12705, -2.5856, -3.925, -22.380] }
+};
+
+// P-valor aproximado de MacKinnon para el estadístico τ de Dickey-Fuller
+export function mackinnonPValue(stat, regression = 'c') {
+    const coef = MACKINNON_P_COEFFICIENTS[regression];
+    if (!coef || !isFinite(stat)) return NaN;
+    if (stat > coef.tauMax) return 1;
+    if (stat < coef.tauMin) return 0;
+    const poly = stat <= coef.tauStar ? coef.small : coef.large;
+    const z = poly.reduce((s, b, i) => s + b * Math.pow(stat, i), 0);
+    return normalCdf(z);
+}
+
+// Valores críticos de MacKinnon ajustados al tamaño muestral
+export function mackinnonCriticalValues(nobs, regression = 'c') {
+    const table = MACKINNON_CRITICAL_COEFFICIENTS[regression];
+    const out = {};
+    Object.keys(table).forEach(level => {
+        out[level] = table[level].reduce((s, b, i) => s + b / Math.pow(nobs, i), 0);
+    });
+    return out;
+}
+
+// Regresión ADF: Δyₜ = [α + βt] + γ·yₜ₋₁ + Σ δᵢ·Δyₜ₋ᵢ sobre las últimas nobs observaciones
+export function adfRegression(y, lags, regression, nobs) {
+    const dy = differenceSeries(y, 1);
+    const start = dy.length - nobs;
+    const target = dy.slice(start);
+    const X = target.map((_, i) => {
+        const t = start + i;
+        const row = [y[t]];
+        for (let j = 1; j <= lags; j++) row.push(dy[t - j]);
+        if (regression === 'c' || regression === 'ct') row.push(1);
+        if (regression === 'ct') row.push(t + 1);
+        return row;
+    });
+    return olsRegression(target, X);
+}
+
+// Prueba de Dickey-Fuller aumentada con selección de rezagos (AIC/BIC) y p-valores de MacKinnon
+export function adfTest(data, options = {}) {
+    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
+    const prices = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(d => d.price);
+    const { regression = 'c', autolag = 'AIC' } = options;
+    const n = prices.length;
+    const ntrend = regression === 'ct' ? 2 : regression === 'c' ? 1 : 0;
+    const empty = { statistic: NaN, pValue: NaN, criticalValues: mackinnonCriticalValues(Math.max(n, 1), regression), isStationary: false, usedLag: 0, nobs: 0, regression };
+    if (n < 10) return empty;
+
+    // Rezago máximo de Schwert: 12·(n/100)^(1/4), acotado por el tamaño muestral
+    let maxLag = options.maxLag != null
+        ? options.maxLag
+        : Math.ceil(12 * Math.pow(n / 100, 0.25));
+    maxLag = Math.max(0, Math.min(maxLag, Math.floor(n / 2) - ntrend - 1));
+
+    let usedLag = maxLag;
+    let icBest = NaN;
+    if (autolag) {
+        // Todos los rezagos se comparan sobre la misma muestra efectiva
+        const nobsCommon = n - 1 - maxLag;
+        let best = Infinity;
+        for (let lag = 0; lag <= maxLag; lag++) {
+            const fit = adfRegression(prices, lag, regression, nobsCommon);
+            if (!fit) continue;
+            const penalty = autolag === 'BIC' ? Math.log(fit.nobs) : 2;
+            const ic = -2 * fit.logL + penalty * fit.k;
+            if (ic < best) {
+                best = ic;
+                usedLag = lag;
+            }
+        }
+        icBest = best;
+    }
+
+    const nobs = n - 1 - usedLag;
+    const fit = adfRegression(prices, usedLag, regression, nobs);
+    if (!fit) return empty;
+    const statistic = fit.tValues[0];
+    const criticalValues = mackinnonCriticalValues(nobs, regression);
+    const pValue = mackinnonPValue(statistic, regression);
+
+    return {
+        statistic,
+        criticalValues,
+        isStationary: statistic < criticalValues['5%'],
+        pValue,
+        usedLag,
+        nobs,
+        regression,
+        autolag,
+        icBest
+    };
+}
+
+// Varianza de largo plazo de Newey-West con núcleo de Bartlett
+export function neweyWestLongRunVariance(u, lags) {
+    const n = u.length;
+    let lrv = u.reduce((s, e) => s + e * e, 0) / n;
+    for (let j = 1; j <= lags && j < n; j++) {
+        let gamma = 0;
+        for (let t = j; t < n; t++) gamma += u[t] * u[t - j];
+        lrv += 2 * (1 - j / (lags + 1)) * gamma / n;
+    }
+    return lrv;
+}
+
+// Ancho de banda automático de Newey-West (1994) para el estimador de Bartlett
+export function neweyWestBandwidth(u) {
+    const n = u.length;
+    const covLags = Math.floor(Math.pow(n, 2 / 9));
+    let s0 = u.reduce((s, e) => s + e * e, 0) / n;
+    let s1 = 0;
+    for (let i = 1; i <= covLags; i++) {
+        let prod = 0;
+        for (let t = i; t < n; t++) prod += u[t] * u[t - i];
+        prod /= n / 2;
+        s0 += prod;
+        s1 += i * prod;
+    }
+    if (!(s0 > 0)) return 0;
+    const gammaHat = 1.1447 * Math.pow((s1 / s0) * (s1 / s0), 1 / 3);
+    return Math.max(0, Math.min(n - 1, Math.floor(gammaHat * Math.pow(n, 1 / 3))));
+}
+
+// Valores críticos de Kwiatkowski et al. (1992), tabla 1
+export const KPSS_CRITICAL_VALUES = {
+    c: { '10%': 0.347, '5%': 0.463, '2.5%': 0.574, '1%': 0.739 },
+    ct: { '10%': 0.119, '5%': 0.146, '2.5%': 0.176, '1%': 0.216 }
+};
+
+// Prueba KPSS (H0: estacionaria en nivel 'c' o alrededor de una tendencia 'ct')
+export function kpssTest(data, options = {}) {
+    const y = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(d => d.price);
+    const { regression = 'c', lags = 'auto' } = options;
+    const n = y.length;
+    const criticalValues = KPSS_CRITICAL_VALUES[regression];
+    if (n < 10) return { statistic: NaN, pValue: NaN, pValueBound: null, criticalValues, isStationary: false, lags: 0, nobs: n, regression };
+
+    // Residuos de la regresión sobre constante (y tendencia)
+    const X = y.map((_, t) => (regression === 'ct' ? [1, t + 1] : [1]));
+    const fit = olsRegression(y, X);
+    const resid = fit.residuals;
+
+    const bandwidth = typeof lags === 'number'
+        ? lags
+        : lags === 'legacy'
+            ? Math.ceil(12 * Math.pow(n / 100, 0.25))
+            : neweyWestBandwidth(resid);
+
+    let partial = 0;
+    let eta = 0;
+    resid.forEach(e => {
+        partial += e;
+        eta += partial * partial;
+    });
+    const statistic = eta / (n * n * neweyWestLongRunVariance(resid, bandwidth));
+
+    // Interpolación lineal del p-valor dentro de la tabla (acotado a [0.01, 0.10])
+    const pLevels = [0.10, 0.05, 0.025, 0.01];
+    const crit = ['10%', '5%', '2.5%', '1%'].map(level => criticalValues[level]);
+    let pValue;
+    let pValueBound = null;
+    if (statistic <= crit[0]) {
+        pValue = 0.10;
+        pValueBound = '>';
+    } else if (statistic >= crit[3]) {
+        pValue = 0.01;
+        pValueBound = '<';
+    } else {
+        const i = crit.findIndex((c, idx) => statistic >= c && statistic < crit[idx + 1]);
+        const w = (statistic - crit[i]) / (crit[i + 1] - crit[i]);
+        pValue = pLevels[i] + w * (pLevels[i + 1] - pLevels[i]);
+    }
+
+    return {
+        statistic,
+        pValue,
+        pValueBound,
+        criticalValues,
+        isStationary: statistic < criticalValues['5%'],
+        lags: bandwidth,
+        nobs: n,
+        regression
+    };
+}
+
+// Prueba de Phillips-Perron (estadístico Z_τ, H0: raíz unitaria) con corrección de Newey-West
+export function phillipsPerronTest(data, options = {}) {
+    const y = (Array.isArray(data) && typeof data[0] === 'number')
+        ? data
+        : data.map(d => d.price);
+    const { regression = 'c' } = options;
+    const n = y.length - 1;
+    const empty = { statistic: NaN, pValue: NaN, criticalValues: mackinnonCriticalValues(Math.max(n, 1), regression), isStationary: false, lags: 0, nobs: Math.max(n, 0), regression };
+    if (n < 10) return empty;
+    const lags = options.lags != null ? options.lags : Math.ceil(12 * Math.pow(n / 100, 0.25));
+
+    // yₜ = [α + βt] + ρ·yₜ₋₁ + uₜ
+    const target = y.slice(1);
+    const X = target.map((_, i) => {
+        const row = [y[i]];
+        if (regression === 'c' || regression === 'ct') row.push(1);
+        if (regression === 'ct') row.push(i + 1);
+        return row;
+    });
+    const fit = olsRegression(target, X);
+    if (!fit) return empty;
+
+    const u = fit.residuals;
+    const lambda2 = neweyWestLongRunVariance(u, lags);
+    const lambda = Math.sqrt(lambda2);
+    const s = Math.sqrt(fit.sigma2);
+    const gamma0 = fit.ssr / n;
+    const rho = fit.beta[0];
+    const seRho = fit.se[0];
+    const statistic = Math.sqrt(gamma0 / lambda2) * ((rho - 1) / seRho)
+        - 0.5 * ((lambda2 - gamma0) / lambda) * (n * seRho / s);
+    const criticalValues = mackinnonCriticalValues(n, regression);
+
+    return {
+        statistic,
+        pValue: mackinnonPValue(statistic, regression),
+        criticalValues,
+        isStationary: statistic < criticalValues['5%'],
+        lags,
+        nobs: n,
+        regression
+    };
+}
+
+// Matriz de concordancia ADF (H0: raíz unitaria) vs KPSS (H0: estacionariedad)
+export function stationarityVerdict(adf, kpss) {
+    const adfRejects = adf.isStationary;
+    const kpssRejects = !kpss.isStationary;
+    if (adfRejects && !kpssRejects) return { adfRejects, kpssRejects, verdict: 'stationary', label: 'Estacionaria (ambas pruebas coinciden)' };
+    if (!adfRejects && kpssRejects) return { adfRejects, kpssRejects, verdict: 'unit-root', label: 'Raíz unitaria (ambas pruebas coinciden)' };
+    if (adfRejects && kpssRejects) return { adfRejects, kpssRejects, verdict: 'conflict', label: 'Evidencia contradictoria (posible cambio estructural o memoria larga)' };
+    return { adfRejects, kpssRejects, verdict: 'inconclusive', label: 'No concluyente (datos poco informativos)' };
+}
+
+// Función para detectar outliers
+export function detectOutliers(data) {
+    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
+    const isNumeric = Array.isArray(data) && typeof data[0] === 'number';
+    const prices = isNumeric ? data : data.map(d => d.price);
+    const stats = calculateDescriptiveStats(prices);
+    const iqr = stats.q3 - stats.q1;
+    const lowerBound = stats.q1 - 1.5 * iqr;
+    const upperBound = stats.q3 + 1.5 * iqr;
+    
+    const outliers = [];
+    if (isNumeric) {
+        prices.forEach((price, index) => {
+            if (price < lowerBound || price > upperBound) {
+                outliers.push({
+                    index,
+                    price,
+                    type: price < lowerBound ? 'inferior' : 'superior'
+                });
+            }
+        });
+    } else {
+        data.forEach((item, index) => {
+            if (item.price < lowerBound || item.price > upperBound) {
+                outliers.push({
+                    index,
+                    date: item.date,
+                    price: item.price,
+                    type: item.price < lowerBound ? 'inferior' : 'superior'
+                });
+            }
+        });
+    }
+    
+    return outliers;
+}
+
+// Diferenciación regular de orden d
+export function differenceSeries(values, d = 1) {
+    let out = values.slice();
+    for (let k = 0; k < d; k++) {
+        const next = [];
+        for (let i = 1; i < out.length; i++) next.push(out[i] - out[i - 1]);
+        out = next;
+    }
+    return out;
+}
+
+// --- Helpers estadísticos deterministas ---
+export function computeJarqueBera(values) {
+    const n = values.length;
+    if (n < 8) return { jb: NaN, pValue: NaN };
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    let m2 = 0, m3 = 0, m4 = 0;
+    for (let i = 0; i < n; i++) {
+        const x = values[i] - mean;
+        m2 += x * x;
+        m3 += x * x * x;
+        m4 += x * x * x * x;
+    }
+    m2 /= n; m3 /= n; m4 /= n;
+    const skew = m3 / Math.pow(m2, 1.5);
+    const kurt = m4 / (m2 * m2);
+    const jb = (n / 6) * (skew * skew + Math.pow(kurt - 3, 2) / 4);
+    const pValue = chiSquareUpperTailP(jb, 2);
+    return { jb, pValue };
+}
+
+export function computeAutocorrelations(values, m) {
+    const n = values.length;
+    if (n < m + 1) return Array(m).fill(NaN);
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    let denom = 0;
+    for (let i = 0; i < n; i++) {
+        const v = values[i] - mean;
+        denom += v * v;
+    }
+    const ac = [];
+    for (let k = 1; k <= m; k++) {
+        let num = 0;
+        for (let t = k; t < n; t++) {
+            num += (values[t] - mean) * (values[t - k] - mean);
+        }
+        ac.push(denom ? num / denom : 0);
+    }
+    return ac;
+}
+
+export function ljungBoxTest(residuals, m, p = 0) {
+    const n = residuals.length;
+    if (n < m + 1) return { Q: NaN, pValue: NaN };
+    const ac = computeAutocorrelations(residuals, m);
+    let Q = 0;
+    for (let k = 1; k <= m; k++) {
+        const rk = ac[k - 1];
+        Q += rk * rk / (n - k);
+    }
+    Q *= n * (n + 2);
+    const df = Math.max(1, m - p);
+    const pValue = chiSquareUpperTailP(Q, df);
+    return { Q, pValue };
+}
+
+export function archLMTest(residuals, m = 1) {
+    const n = residuals.length;
+    if (n < m + 2) return { LM: NaN, pValue: NaN, R2: NaN, F: NaN, fPValue: NaN };
+    // Regresión auxiliar de Engle: e²ₜ sobre constante y e²ₜ₋₁ … e²ₜ₋ₘ
+    const y = residuals.map(r => r * r);
+    const Y = y.slice(m);
+    const X = Y.map((_, i) => {
+        const row = [1];
+        for (let j = 1; j <= m; j++) row.push(y[m + i - j]);
+        return row;
+    });
+    const fit = olsRegression(Y, X);
+    if (!fit) return { LM: NaN, pValue: NaN, R2: NaN, F: NaN, fPValue: NaN };
+    const meanY = Y.reduce((a, b) => a + b, 0) / Y.length;
+    const tss = Y.reduce((acc, v) => acc + (v - meanY) * (v - meanY), 0);
+    const R2 = tss ? Math.max(0, 1 - fit.ssr / tss) : 0;
+    const LM = Y.length * R2;
+    const pValue = chiSquareUpperTailP(LM, m);
+    const dfResid = Y.length - m - 1;
+    const F = R2 < 1 ? (R2 / m) / ((1 - R2) / dfResid) : Infinity;
+    const fPValue = fUpperTailP(F, m, dfResid);
+    return { LM, pValue, R2, F, fPValue };
+}
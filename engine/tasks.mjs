@@ -0,0 +1,119 @@
+// Tareas pesadas del tablero (estimación, búsqueda de modelos, backtesting, validación cruzada y volatilidad)
+// con entradas y salidas serializables: el tablero las ejecuta en analysis-worker.mjs o, sin workers, en el hilo principal
+import { arimaModelLabel, autoARIMA, fitARIMA, forecastARIMA } from './arima.mjs';
+import { ETS_MODELS, etsFilter, fitETS, fitETSCandidates, forecastETS } from './ets.mjs';
+import { BENCHMARK_METHODS, benchmarkForecast, benchmarkLabel, rollingOriginCV } from './evaluation.mjs';
+import { backTransformForecast, resolveSeriesTransform, transformToModelScale } from './transforms.mjs';
+import { GARCH_TYPES, fitGARCH } from './volatility.mjs';
+
+// Configuración del modelo de trabajo que comparten las tareas:
+// { order, transform: especificación {type, lambda?, lambdaMethod?}, seasonalPeriod, confidenceLevels }
+
+// ARIMA reestimado sobre train (la transformación se resuelve sobre train) y pronósticos a nivel de precio
+function arimaPointForecasts(train, H, { order, transform, seasonalPeriod, confidenceLevels }) {
+    const resolved = resolveSeriesTransform(train, transform, seasonalPeriod);
+    const fit = fitARIMA(transformToModelScale(train, resolved), order);
+    return forecastARIMA(fit, H).map(f => backTransformForecast(f.forecast, f.se, resolved, confidenceLevels).forecast);
+}
+
+// Pronosticadores candidatos: (entrenamiento, H) → pronósticos puntuales a 1..H pasos
+export function buildForecastCandidates(settings) {
+    return [
+        {
+            label: arimaModelLabel(settings.order),
+            family: 'ARIMA',
+            forecast: (train, H) => arimaPointForecasts(train, H, settings)
+        },
+        ...Object.keys(ETS_MODELS).map(model => ({
+            label: ETS_MODELS[model].label,
+            family: 'ETS',
+            forecast: (train, H) => forecastETS(fitETS(train, { model, seasonalPeriod: settings.seasonalPeriod }), H).map(f => f.forecast)
+        })),
+        ...Object.keys(BENCHMARK_METHODS).map(method => ({
+            label: benchmarkLabel(method),
+            family: 'Referencia',
+            method,
+            forecast: (train, H) => benchmarkForecast(train, method, H).map(f => f.forecast)
+        }))
+    ];
+}
+
+// Cada tarea recibe (payload, onProgress); onProgress(hechos, total, etiqueta) informa el avance (total null si se desconoce)
+export const ANALYSIS_TASKS = {
+    // Modelo de trabajo sobre la serie ya transformada; start (ajuste previo) permite el arranque en caliente
+    fitModel({ series, order, start = null }) {
+        return fitARIMA(series, { ...order, start });
+    },
+
+    // Ranking auto-ARIMA más la familia ETS condicionada al mismo orden de diferenciación
+    modelSearch({ series, search, seasonalPeriod }, onProgress) {
+        const result = autoARIMA(series, { ...search, onProgress });
+        onProgress(result.leaderboard.length, result.leaderboard.length, 'Modelos ETS');
+        const etsCandidates = fitETSCandidates(series, { criterion: result.criterion, conditionOn: result.d, seasonalPeriod });
+        return { search: result, etsCandidates };
+    },
+
+    // Solo el ranking auto-ARIMA, para series secundarias que no pasan por la comparación con ETS y referencias
+    arimaSearch({ series, search }, onProgress) {
+        return autoARIMA(series, { ...search, onProgress });
+    },
+
+    // Backtesting a 1 paso sobre prices[startTest..]: el ARIMA se reestima en cada origen, ETS se estima en
+    // entrenamiento y se filtra con parámetros fijos; también devuelve las trayectorias a horizon pasos de ETS y referencias
+    holdoutBacktest({ prices, startTest, horizon, ...settings }, onProgress) {
+        const actuals = prices.slice(startTest);
+        const train = prices.slice(0, startTest);
+        const etsModels = Object.keys(ETS_MODELS);
+        const total = actuals.length + etsModels.length;
+        const arima = actuals.map((_, k) => {
+            const forecast = arimaPointForecasts(prices.slice(0, startTest + k), 1, settings)[0];
+            onProgress(k + 1, total, `${arimaModelLabel(settings.order)}: origen ${k + 1} de ${actuals.length}`);
+            return forecast;
+        });
+        const ets = etsModels.map((model, i) => {
+            const trainFit = fitETS(train, { model, seasonalPeriod: settings.seasonalPeriod });
+            const predictions = trainFit.space
+                ? etsFilter(prices, trainFit.space, trainFit.initialState).fitted.slice(startTest)
+                : actuals.map(() => NaN);
+            const fullFit = fitETS(prices, { model, conditionOn: settings.order.d, seasonalPeriod: settings.seasonalPeriod });
+            onProgress(actuals.length + i + 1, total, fullFit.label);
+            return { label: fullFit.label, family: 'ETS', predictions, path: forecastETS(fullFit, horizon), AICc: fullFit.AICc };
+        });
+        // Referencias: se recalculan con la información disponible en cada origen
+        const benchmarks = Object.keys(BENCHMARK_METHODS).map(method => ({
+            label: benchmarkLabel(method),
+            family: 'Referencia',
+            method,
+            predictions: actuals.map((_, k) => benchmarkForecast(prices.slice(0, startTest + k), method, 1)[0].forecast),
+            path: benchmarkForecast(prices, method, horizon),
+            AICc: NaN
+        }));
+        return { arima, ets, benchmarks };
+    },
+
+    // Validación cruzada con origen móvil de todos los candidatos (los pronosticadores se construyen aquí)
+    crossValidation({ prices, options, ...settings }, onProgress) {
+        const candidates = buildForecastCandidates(settings);
+        return candidates.map(({ forecast, ...candidate }, i) => ({
+            ...candidate,
+            cv: rollingOriginCV(prices, forecast, {
+                ...options,
+                onProgress: (done, origins) => onProgress(i * origins + done, candidates.length * origins, candidate.label)
+            })
+        }));
+    },
+
+    // Modelo de media sobre la serie en la escala del modelo de trabajo (ya transformada) y GARCH/GJR/EGARCH
+    // sobre sus residuos (se requieren al menos 30)
+    volatilityModels({ series, order }, onProgress) {
+        const est = fitARIMA(series, order);
+        if (est.residuals.length < 30) return { est, fits: [] };
+        const types = Object.keys(GARCH_TYPES);
+        const fits = types.map((type, i) => {
+            const fit = fitGARCH(est.residuals, { type });
+            onProgress(i + 1, types.length, GARCH_TYPES[type].label);
+            return fit;
+        });
+        return { est, fits };
+    }
+};
@@ -0,0 +1,131 @@
+import { normalQuantile } from './distributions.mjs';
+import { goldenSectionMinimize } from './numerics.mjs';
+import { calculateDescriptiveStats, differenceSeries } from './statistics.mjs';
+
+// ============================================================================
+// TRANSFORMACIONES DE LA SERIE (LOGARITMO, RETORNOS LOGARÍTMICOS, BOX-COX)
+// ============================================================================
+
+export const SERIES_TRANSFORMS = {
+    none: { label: 'Precio (sin transformar)' },
+    log: { label: 'Logaritmo natural' },
+    logReturns: { label: 'Retornos logarítmicos' },
+    boxcox: { label: 'Box-Cox' }
+};
+export const BOXCOX_LAMBDA_METHODS = {
+    guerrero: 'Guerrero (1993)',
+    loglik: 'Máxima verosimilitud'
+};
+export const BOXCOX_LAMBDA_RANGE = { lower: -1, upper: 2 };
+
+export function boxCoxValue(y, lambda) {
+    return Math.abs(lambda) < 1e-8 ? Math.log(y) : (Math.pow(y, lambda) - 1) / lambda;
+}
+
+export function inverseBoxCoxValue(z, lambda) {
+    if (Math.abs(lambda) < 1e-8) return Math.exp(z);
+    const base = lambda * z + 1;
+    return base > 0 ? Math.pow(base, 1 / lambda) : NaN;
+}
+
+// λ de Guerrero: minimiza el coeficiente de variación de s_i / μ_i^(1-λ) en bloques de longitud `period`
+export function guerreroLambda(y, period = 2) {
+    const m = Math.max(2, Math.round(period));
+    const nBlocks = Math.floor(y.length / m);
+    if (nBlocks < 2 || y.some(v => !(v > 0))) return NaN;
+    const offset = y.length - nBlocks * m;
+    const blocks = [];
+    for (let b = 0; b < nBlocks; b++) {
+        const block = y.slice(offset + b * m, offset + (b + 1) * m);
+        const mean = block.reduce((a, v) => a + v, 0) / m;
+        const sd = Math.sqrt(block.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (m - 1));
+        blocks.push({ mean, sd });
+    }
+    const cv = (lambda) => {
+        const ratios = blocks.map(bk => bk.sd / Math.pow(bk.mean, 1 - lambda));
+        const stats = calculateDescriptiveStats(ratios);
+        return stats.mean > 0 ? stats.stdDev / stats.mean : Infinity;
+    };
+    return goldenSectionMinimize(cv, BOXCOX_LAMBDA_RANGE.lower, BOXCOX_LAMBDA_RANGE.upper).x;
+}
+
+// λ por verosimilitud perfilada de un paseo aleatorio gaussiano sobre la serie transformada
+// ℓ(λ) = -(N/2)·log σ²(Δz) + (λ-1)·Σ log y_t  (jacobiano de la transformación, t ≥ 2)
+export function boxCoxLogLikLambda(y) {
+    if (y.length < 3 || y.some(v => !(v > 0))) return NaN;
+    const sumLogY = y.slice(1).reduce((a, v) => a + Math.log(v), 0);
+    const N = y.length - 1;
+    const negLogLik = (lambda) => {
+        const diffs = differenceSeries(y.map(v => boxCoxValue(v, lambda)), 1);
+        const variance = calculateDescriptiveStats(diffs).variance;
+        return variance > 0 ? 0.5 * N * Math.log(variance) - (lambda - 1) * sumLogY : Infinity;
+    };
+    return goldenSectionMinimize(negLogLik, BOXCOX_LAMBDA_RANGE.lower, BOXCOX_LAMBDA_RANGE.upper).x;
+}
+
+// Resuelve la especificación de la transformación (λ incluido) para una serie de precios;
+// seasonalPeriod es la longitud de los subperíodos del método de Guerrero
+export function resolveSeriesTransform(prices, spec = { type: 'none' }, seasonalPeriod) {
+    const type = SERIES_TRANSFORMS[spec.type] ? spec.type : 'none';
+    if (type !== 'none' && prices.some(v => !(v > 0))) {
+        return { type: 'none', lambda: 1, label: SERIES_TRANSFORMS.none.label, warning: 'La serie tiene valores no positivos; se modela sin transformar.' };
+    }
+    if (type === 'boxcox') {
+        const lambdaMethod = spec.lambdaMethod || 'guerrero';
+        let lambda = isFinite(spec.lambda) ? spec.lambda
+            : lambdaMethod === 'loglik' ? boxCoxLogLikLambda(prices) : guerreroLambda(prices, seasonalPeriod);
+        if (!isFinite(lambda)) lambda = 1;
+        return { type, lambda, lambdaMethod, label: `Box-Cox (λ = ${lambda.toFixed(3)}, ${BOXCOX_LAMBDA_METHODS[lambdaMethod]})` };
+    }
+    return { type, lambda: type === 'none' ? 1 : 0, label: SERIES_TRANSFORMS[type].label };
+}
+
+// Serie en la escala de los modelos; los retornos logarítmicos se modelan como log(precio)
+// con una diferencia incluida: ARIMA(p,d,q) sobre log y ≡ ARIMA(p,d-1,q) sobre los retornos
+export function transformToModelScale(prices, transform) {
+    if (transform.type === 'none') return prices.slice();
+    if (transform.type === 'boxcox') return prices.map(v => boxCoxValue(v, transform.lambda));
+    return prices.map(v => Math.log(v));
+}
+
+// Serie que se muestra en la identificación (ACF, PACF, ADF)
+export function identificationSeries(prices, transform) {
+    const z = transformToModelScale(prices, transform);
+    return transform.type === 'logReturns' ? differenceSeries(z, 1) : z;
+}
+
+// Retransformación a nivel de precio: media con corrección de sesgo, mediana e intervalos por cuantiles.
+// lower80/95 y upper80/95 se conservan fijos para las métricas; intervals sigue los niveles configurados
+export function backTransformForecast(mean, se, transform, levels = [80, 95]) {
+    const quantile = (z) => ({ lower: mean - z * se, upper: mean + z * se });
+    const q80 = quantile(1.2816);
+    const q95 = quantile(1.96);
+    const levelQuantiles = levels.map(level => ({ level, ...quantile(normalQuantile(0.5 + level / 200)) }));
+    if (transform.type === 'none') {
+        return {
+            forecast: mean, median: mean, se,
+            lower80: q80.lower, upper80: q80.upper, lower95: q95.lower, upper95: q95.upper,
+            intervals: levelQuantiles
+        };
+    }
+    const lambda = transform.lambda;
+    const inv = (z) => inverseBoxCoxValue(z, lambda);
+    const median = inv(mean);
+    const base = lambda * mean + 1;
+    const variance = se * se;
+    const forecast = Math.abs(lambda) < 1e-8
+        ? median * (1 + variance / 2)
+        : median * (1 + variance * (1 - lambda) / (2 * base * base));
+    // Error estándar en nivel por método delta
+    const derivative = Math.abs(lambda) < 1e-8 ? median : Math.pow(base, 1 / lambda - 1);
+    return {
+        forecast,
+        median,
+        se: Math.abs(derivative) * se,
+        lower80: inv(q80.lower),
+        upper80: inv(q80.upper),
+        lower95: inv(q95.lower),
+        upper95: inv(q95.upper),
+        intervals: levelQuantiles.map(q => ({ level: q.level, lower: inv(q.lower), upper: inv(q.upper) }))
+    };
+}
@@ -0,0 +1,214 @@
+import { arimaPsiWeights, forecastARIMA } from './arima.mjs';
+import { normalCdf } from './distributions.mjs';
+import { invertMatrix, minimizeBFGS, nelderMead, numericalHessian } from './numerics.mjs';
+
+// ============================================================================
+// MODELOS DE VOLATILIDAD CONDICIONAL (GARCH, GJR-GARCH, EGARCH)
+// ============================================================================
+
+export const GARCH_TYPES = {
+    garch: { label: 'GARCH(1,1)', params: ['ω', 'α', 'β'] },
+    gjr: { label: 'GJR-GARCH(1,1)', params: ['ω', 'α', 'γ', 'β'] },
+    egarch: { label: 'EGARCH(1,1)', params: ['ω', 'α', 'γ', 'β'] }
+};
+export const EXPECTED_ABS_NORMAL = Math.sqrt(2 / Math.PI);
+
+// Recursión de la varianza condicional; σ²₀ se inicializa con la varianza muestral (backcast)
+export function garchVariancePath(eps, type, params, backcast) {
+    const n = eps.length;
+    const sigma2 = new Array(n);
+    if (type === 'egarch') {
+        const { omega, alpha, gamma, beta } = params;
+        let logS2 = Math.log(backcast);
+        let prevZ = 0;
+        let prevAbs = EXPECTED_ABS_NORMAL;
+        for (let t = 0; t < n; t++) {
+            if (t > 0) logS2 = omega + alpha * (prevAbs - EXPECTED_ABS_NORMAL) + gamma * prevZ + beta * logS2;
+            sigma2[t] = Math.exp(logS2);
+            prevZ = eps[t] / Math.sqrt(sigma2[t]);
+            prevAbs = Math.abs(prevZ);
+        }
+        return sigma2;
+    }
+    const { omega, alpha, beta } = params;
+    const gamma = type === 'gjr' ? params.gamma : 0;
+    sigma2[0] = backcast;
+    for (let t = 1; t < n; t++) {
+        const e = eps[t - 1];
+        sigma2[t] = omega + (alpha + (e < 0 ? gamma : 0)) * e * e + beta * sigma2[t - 1];
+    }
+    return sigma2;
+}
+
+// Log-verosimilitud gaussiana dada la trayectoria de varianzas
+export function garchLogLik(eps, sigma2) {
+    let ll = 0;
+    for (let t = 0; t < eps.length; t++) {
+        if (!(sigma2[t] > 0) || !isFinite(sigma2[t])) return -Infinity;
+        ll += Math.log(2 * Math.PI) + Math.log(sigma2[t]) + eps[t] * eps[t] / sigma2[t];
+    }
+    return -0.5 * ll;
+}
+
+// Persistencia de la volatilidad según el tipo de modelo
+export function garchPersistence(type, params) {
+    if (type === 'egarch') return params.beta;
+    if (type === 'gjr') return params.alpha + params.gamma / 2 + params.beta;
+    return params.alpha + params.beta;
+}
+
+// Ajuste GARCH(1,1)/GJR/EGARCH por máxima verosimilitud sobre los residuos del modelo de media
+export function fitGARCH(residuals, options = {}) {
+    const { type = 'garch' } = options;
+    const spec = GARCH_TYPES[type];
+    const eps = residuals.filter(v => isFinite(v));
+    const n = eps.length;
+    const k = spec.params.length;
+    const failed = {
+        type, label: spec.label, params: null, coefficients: [], logL: NaN, AIC: NaN, BIC: NaN, k, nobs: n,
+        persistence: NaN, halfLife: NaN, unconditionalVariance: NaN, sigma2: [], standardized: [], converged: false
+    };
+    if (n < 30) return failed;
+
+    // Se trabaja con residuos reescalados a varianza unitaria para estabilizar la optimización
+    const meanEps = eps.reduce((a, b) => a + b, 0) / n;
+    const scale = Math.sqrt(eps.reduce((a, b) => a + (b - meanEps) * (b - meanEps), 0) / n) || 1;
+    const x = eps.map(e => e / scale);
+    const backcast = x.reduce((a, b) => a + b * b, 0) / n;
+    const logistic = v => 1 / (1 + Math.exp(-v));
+
+    // Reparametrización sin restricciones: ω > 0, persistencia < 1, coeficientes no negativos (GARCH/GJR)
+    const unpack = (z) => {
+        if (type === 'egarch') {
+            return { omega: z[0], alpha: z[1], gamma: z[2], beta: 0.9999 * Math.tanh(z[3]) };
+        }
+        const omega = Math.exp(z[0]);
+        const persistence = 0.9999 * logistic(z[1]);
+        if (type === 'gjr') {
+            const w = [Math.exp(z[2]), Math.exp(z[3]), 1];
+            const total = w[0] + w[1] + w[2];
+            return { omega, alpha: persistence * w[0] / total, gamma: 2 * persistence * w[1] / total, beta: persistence * w[2] / total };
+        }
+        const alphaShare = logistic(z[2]);
+        return { omega, alpha: persistence * alphaShare, beta: persistence * (1 - alphaShare) };
+    };
+    const objective = (z) => {
+        const ll = garchLogLik(x, garchVariancePath(x, type, unpack(z), backcast));
+        return isFinite(ll) ? -ll : 1e10;
+    };
+
+    // Valores iniciales habituales: α≈0.05, β≈0.90
+    const z0 = type === 'egarch'
+        ? [0.1 * Math.log(backcast), 0.1, 0, Math.atanh(0.9)]
+        : type === 'gjr'
+            ? [Math.log(0.05 * backcast), Math.log(0.95 / 0.05), Math.log(0.04 / 0.9), Math.log(0.02 / 0.9)]
+            : [Math.log(0.05 * backcast), Math.log(0.95 / 0.05), Math.log(0.05 / 0.9)];
+
+    let opt = minimizeBFGS(objective, z0);
+    let iterations = opt.iterations;
+    if (!opt.converged) {
+        const polish = nelderMead(objective, opt.x, { step: 0.1 });
+        iterations += polish.iterations;
+        opt = polish.fx <= opt.fx ? polish : { ...opt, converged: polish.converged };
+    }
+    const scaled = unpack(opt.x);
+
+    // Volver a la escala original de los residuos
+    const params = type === 'egarch'
+        ? { ...scaled, omega: scaled.omega + (1 - scaled.beta) * Math.log(scale * scale) }
+        : { ...scaled, omega: scaled.omega * scale * scale };
+    const origBackcast = backcast * scale * scale;
+    const sigma2 = garchVariancePath(eps, type, params, origBackcast);
+    const logL = garchLogLik(eps, sigma2);
+    const standardized = eps.map((e, t) => e / Math.sqrt(sigma2[t]));
+
+    // Errores estándar (normal asintótica) desde el Hessiano en el espacio natural
+    const natural = type === 'garch'
+        ? [params.omega, params.alpha, params.beta]
+        : [params.omega, params.alpha, params.gamma, params.beta];
+    const toParams = (v) => (type === 'garch'
+        ? { omega: v[0], alpha: v[1], beta: v[2] }
+        : { omega: v[0], alpha: v[1], gamma: v[2], beta: v[3] });
+    const natNegLogLik = (v) => {
+        const ll = garchLogLik(eps, garchVariancePath(eps, type, toParams(v), origBackcast));
+        return isFinite(ll) ? -ll : 1e10;
+    };
+    const steps = natural.map(v => 1e-4 * Math.max(Math.abs(v), 1e-3 * (type === 'egarch' ? 1 : scale * scale)));
+    const covariance = invertMatrix(numericalHessian(natNegLogLik, natural, steps));
+    const coefficients = spec.params.map((name, i) => {
+        const variance = covariance ? covariance[i][i] : NaN;
+        const se = variance > 0 ? Math.sqrt(variance) : NaN;
+        const z = isFinite(se) ? natural[i] / se : NaN;
+        return { name, estimate: natural[i], se, z, pValue: isFinite(z) ? 2 * (1 - normalCdf(Math.abs(z))) : NaN };
+    });
+
+    const persistence = garchPersistence(type, params);
+    const halfLife = persistence > 0 && persistence < 1 ? Math.log(0.5) / Math.log(persistence) : Infinity;
+    const unconditionalVariance = type === 'egarch'
+        ? Math.exp(params.omega / (1 - params.beta))
+        : (persistence < 1 ? params.omega / (1 - persistence) : Infinity);
+
+    return {
+        type,
+        label: spec.label,
+        params,
+        coefficients,
+        logL,
+        AIC: -2 * logL + 2 * k,
+        BIC: -2 * logL + k * Math.log(n),
+        k,
+        nobs: n,
+        persistence,
+        halfLife,
+        unconditionalVariance,
+        sigma2,
+        standardized,
+        residuals: eps,
+        converged: opt.converged && isFinite(logL),
+        iterations
+    };
+}
+
+// Pronóstico de la varianza condicional h pasos adelante
+export function forecastGARCHVariance(fit, horizon = 12) {
+    if (!fit.params) return new Array(horizon).fill(NaN);
+    const { type, params, residuals, sigma2 } = fit;
+    const last = residuals.length - 1;
+    const eLast = residuals[last];
+    const s2Last = sigma2[last];
+    const out = [];
+    if (type === 'egarch') {
+        // E[ln σ²] sigue un AR(1) después del primer paso (aproximación habitual)
+        const zLast = eLast / Math.sqrt(s2Last);
+        let logS2 = params.omega + params.alpha * (Math.abs(zLast) - EXPECTED_ABS_NORMAL)
+            + params.gamma * zLast + params.beta * Math.log(s2Last);
+        for (let h = 1; h <= horizon; h++) {
+            out.push(Math.exp(logS2));
+            logS2 = params.omega + params.beta * logS2;
+        }
+        return out;
+    }
+    const gamma = type === 'gjr' ? params.gamma : 0;
+    const next = params.omega + (params.alpha + (eLast < 0 ? gamma : 0)) * eLast * eLast + params.beta * s2Last;
+    const persistence = fit.persistence;
+    const longRun = fit.unconditionalVariance;
+    for (let h = 1; h <= horizon; h++) {
+        out.push(isFinite(longRun)
+            ? longRun + Math.pow(persistence, h - 1) * (next - longRun)
+            : next + (h - 1) * params.omega);
+    }
+    return out;
+}
+
+// Pronósticos ARIMA con intervalos que incorporan la varianza condicional prevista
+export function forecastARIMAGARCH(arimaFit, garchFit, horizon = 12) {
+    const base = forecastARIMA(arimaFit, horizon);
+    const variances = forecastGARCHVariance(garchFit, horizon);
+    const psi = arimaPsiWeights(arimaFit.ar, arimaFit.ma, arimaFit.order.d, horizon);
+    return base.map((f, i) => {
+        // Var(e_{T+h}) = Σ ψ_j² σ²_{T+h-j}
+        let variance = 0;
+        for (let j = 0; j <= i; j++) variance += psi[j] * psi[j] * variances[i - j];
+        return { ...f, seConstant: f.se, se: Math.sqrt(variance), sigma2: variances[i] };
+    });
+}
@@ -1,63 +1,1443 @@
+// Motor estadístico sin DOM (engine/): fechas, datos, modelos y pruebas
+import {
+    ANALYSIS_TASKS, AUTO_ARIMA_DEFAULTS, BOXCOX_LAMBDA_METHODS, CROSS_VALIDATION_DEFAULTS, DATE_FORMATS,
+    FREQUENCIES, IMPUTATION_METHODS, MODEL_ORDER, QUALITY_ACTION_LABELS, QUALITY_ISSUE_TYPES,
+    RESAMPLE_AGGREGATIONS, RESAMPLE_MIN_OBSERVATIONS, SERIES_TRANSFORMS, adfTest, archLMTest, arimaModelLabel,
+    backTransformForecast, boxCoxLogLikLambda, buildRawTable, calculateACF, calculateDescriptiveStats,
+    calculatePACF, compareLeaderboardEntries, computeForecastAccuracy, computeJarqueBera, detectOutliers,
+    dieboldMarianoTest, differenceSeries, filterByDateRange, fitARIMA, forecastARIMA, forecastARIMAGARCH,
+    forecastDate, forecastSkillScore, getNextBusinessDay, guerreroLambda, guessColumnMapping, holdoutLength,
+    holidayName, identificationSeries, isoWeekday, kpssTest, ljungBoxTest, mapImportedRows, normalQuantile,
+    parseDelimitedText, parseFlexibleDate, parseImportedNumber, parseJSONDataset, periodKey,
+    phillipsPerronTest, prepareSeries, qualityActionFor, resolveSeriesTransform, shiftISODate,
+    stationarityVerdict, transformToModelScale, validateDataset
+} from './engine/index.mjs';
+
 // Carga dinámica de datos desde 'datos.txt'
 let dollarData = [];
 
-// Conversión de fechas con formato tipo '15Oct24', '01Ene25', etc. a 'YYYY-MM-DD'
-function parseCustomDate(dateStr) {
-    const m = /^\s*(\d{2})([A-Za-z]{3})(\d{2})\s*$/.exec(dateStr);
-    if (!m) return null;
-    const day = parseInt(m[1], 10);
-    const mon = m[2].toLowerCase();
-    const yy = parseInt(m[3], 10);
-    const year = 2000 + yy; // Asumimos años 20xx
-    const monthMap = {
-        'ene': 1, 'feb': 2, 'mar': 3, 'abr': 4, 'may': 5, 'jun': 6,
-        'jul': 7, 'ago': 8, 'set': 9, 'sep': 9, 'oct': 10, 'nov': 11, 'dic': 12
-    };
-    const mm = monthMap[mon];
-    if (!mm) return null;
-    const iso = `${year}-${String(mm).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    return iso;
+// Descarga y lee datos.txt sin usar la copia en caché del navegador (el archivo se actualiza a diario)
+async function fetchSourceFile() {
+    const resp = await fetch('datos.txt', { cache: 'no-cache' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const text = await resp.text();
+    // Mismo importador que los archivos del usuario y la CLI: separador, encabezado, fechas y una serie por
+    // columna numérica (p. ej. compra y venta)
+    const table = parseDelimitedText(text, 'txt');
+    const { rows, rejected } = mapImportedRows(table, guessColumnMapping(table));
+    return { records: rows, rejected };
 }
 
 async function loadDatasetFromFile() {
     try {
-        const resp = await fetch('datos.txt');
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        const text = await resp.text();
-        const lines = text.split(/\r?\n/).filter(l => l.trim().length > 0);
-        const rows = [];
-        for (const line of lines) {
-            // Soporta separadores por tabulación o espacios múltiples
-            const parts = line.trim().split(/\s+/);
-            if (parts.length < 2) continue;
-            const rawDate = parts[0];
-            const priceStr = parts[1].replace(',', '.');
-            const isoDate = parseCustomDate(rawDate);
-            const price = parseFloat(priceStr);
-            if (!isoDate || !isFinite(price)) continue;
-            rows.push({ date: isoDate, price });
+        const { records, rejected } = await fetchSourceFile();
+        setActiveDataset(records, rejected, 'datos.txt');
+        console.log(`Datos cargados: ${dollarData.length} observaciones (${rejected.length} líneas rechazadas, ${datasetQuality.issues.length} incidencias).`);
+    } catch (err) {
+        console.error('Error cargando datos desde datos.txt:', err);
+    }
+}
+
+// Estado del dataset activo: registros, calidad, regularización y frecuencia de análisis
+let datasetRecords = [];
+let datasetQuality = null;
+let qualityActions = {};
+let imputationMethod = 'none';
+let datasetRegularization = null;
+let seriesFrequency = 'daily';
+let seriesAggregation = 'last';
+let dailyData = [];
+// Cierres adicionales definidos por el usuario (fecha ISO → motivo); el motor los recibe como calendario { closures }
+const extraClosures = new Map();
+
+function businessCalendar() {
+    return { closures: extraClosures };
+}
+
+function addExtraClosure(iso, reason = 'Cierre adicional') {
+    const date = parseFlexibleDate(iso);
+    if (!date) return false;
+    extraClosures.set(date, reason);
+    return true;
+}
+
+// Número de períodos que tendría la serie diaria activa con cada frecuencia
+function resampledLength(frequency) {
+    return frequency === 'daily' ? dailyData.length : new Set(dailyData.map(r => periodKey(r.date, frequency))).size;
+}
+
+function currentSeasonalPeriod() {
+    return FREQUENCIES[seriesFrequency].seasonalPeriod;
+}
+
+// Texto del horizonte en la unidad de la frecuencia activa, p. ej. "12 semanas"
+function horizonUnit(h) {
+    const unit = FREQUENCIES[seriesFrequency].unit;
+    return `${h} ${h === 1 ? unit[0] : unit[1]}`;
+}
+
+// --- Series con varias columnas por fecha (compra/venta de SBS/BCRP) y diferencial ---
+const SPREAD_KEY = 'spread';
+const BID_PATTERN = /compra|bid/i;
+const ASK_PATTERN = /venta|ask|oferta/i;
+// Todas las filas con sus valores por serie; datasetRecords contiene solo la serie analizada
+let multiSeriesRecords = [];
+let seriesColumns = [];
+let selectedSeries = null;
+
+// Columnas de compra y venta reconocidas por nombre; null si falta alguna
+function detectBidAskColumns(names = seriesColumns) {
+    const bid = names.find(n => BID_PATTERN.test(n));
+    const ask = names.find(n => n !== bid && ASK_PATTERN.test(n));
+    return bid && ask ? { bid, ask } : null;
+}
+
+function availableSeriesKeys() {
+    return detectBidAskColumns() ? [...seriesColumns, SPREAD_KEY] : seriesColumns.slice();
+}
+
+function seriesLabel(key = selectedSeries) {
+    if (key !== SPREAD_KEY) return key || 'Precio';
+    const pair = detectBidAskColumns();
+    return pair ? `Diferencial (${pair.ask} − ${pair.bid})` : 'Diferencial';
+}
+
+// Valor de una fila para la serie pedida; el diferencial es venta − compra
+function seriesValue(record, key) {
+    const values = record.values || {};
+    if (key === SPREAD_KEY) {
+        const pair = detectBidAskColumns();
+        return pair ? values[pair.ask] - values[pair.bid] : NaN;
+    }
+    return key in values ? values[key] : NaN;
+}
+
+// Registros de una serie: price toma el valor de esa columna y se omiten las filas sin dato
+function recordsForSeries(records, key) {
+    return records
+        .map(r => ({ ...r, price: seriesValue(r, key) }))
+        .filter(r => isFinite(r.price));
+}
+
+// Cambia la serie analizada; las incidencias de calidad dependen de los precios, por eso se revalida
+function selectAnalysedSeries(key) {
+    if (!availableSeriesKeys().includes(key)) return false;
+    selectedSeries = key;
+    datasetRecords = recordsForSeries(multiSeriesRecords, key);
+    datasetQuality = validateDataset(datasetRecords, datasetQuality ? datasetQuality.rejected : [], businessCalendar());
+    qualityActions = {};
+    rebuildActiveSeries();
+    return true;
+}
+
+// --- Configuración del análisis: horizonte, niveles de confianza, modelo de trabajo y filtro de fechas ---
+const CONFIDENCE_LEVEL_OPTIONS = [50, 68, 80, 90, 95, 99];
+const MAX_FORECAST_HORIZON = 60;
+// modelOrder = null usa el orden predeterminado (MODEL_ORDER); las fechas vacías no filtran
+const ANALYSIS_DEFAULTS = { horizon: 12, confidenceLevels: [80, 95], modelOrder: null, dateFrom: '', dateTo: '' };
+let analysisSettings = { ...ANALYSIS_DEFAULTS };
+
+// Recalcula la serie activa: decisiones de calidad, filtro de fechas, regularización a días hábiles y remuestreo
+function rebuildActiveSeries() {
+    const prepared = prepareSeries(datasetRecords, {
+        quality: datasetQuality,
+        actions: qualityActions,
+        dateFrom: analysisSettings.dateFrom,
+        dateTo: analysisSettings.dateTo,
+        imputation: imputationMethod,
+        frequency: seriesFrequency,
+        aggregation: seriesAggregation,
+        closures: extraClosures
+    });
+    if (prepared.warning) console.warn(prepared.warning);
+    datasetRegularization = prepared.regularization;
+    dailyData = prepared.daily;
+    seriesFrequency = prepared.frequency;
+    const previous = dollarData;
+    dollarData = prepared.series;
+    // Los resultados guardados solo se descartan si la serie cambió (p. ej. no al cambiar el horizonte)
+    const unchanged = previous.length === dollarData.length
+        && previous.every((r, i) => r.date === dollarData[i].date && r.price === dollarData[i].price);
+    if (!unchanged) invalidateAnalysisState();
+}
+
+// Valida los registros, aplica las decisiones dadas (o las predeterminadas) y activa la serie resultante
+function setActiveDataset(records, rejected, sourceName, actions = {}) {
+    // Las versiones guardadas antes de admitir varias columnas solo traen price
+    multiSeriesRecords = records.map(r => (r.values ? r : { ...r, values: { Precio: r.price } }));
+    seriesColumns = [...new Set(multiSeriesRecords.flatMap(r => Object.keys(r.values)))];
+    if (!availableSeriesKeys().includes(selectedSeries)) selectedSeries = seriesColumns[0] || null;
+    datasetRecords = recordsForSeries(multiSeriesRecords, selectedSeries);
+    datasetQuality = validateDataset(datasetRecords, rejected, businessCalendar());
+    qualityActions = actions;
+    datasetSource = sourceName;
+    rebuildActiveSeries();
+}
+
+// Vuelve a validar la serie activa tras cambiar el calendario, conservando las decisiones tomadas
+function revalidateActiveDataset() {
+    if (!datasetQuality) return;
+    datasetQuality = validateDataset(datasetRecords, datasetQuality.rejected, businessCalendar());
+    rebuildActiveSeries();
+}
+
+// Toda decisión del usuario termina aquí: se guarda la sesión y se redibuja la vista actual
+function refreshCurrentView() {
+    persistSession();
+    renderFrequencySelector();
+    if (currentStage && currentPoint != null) showPointContent(currentStage, currentPoint);
+    else if (currentStage) showStageContent(currentStage);
+    else showWelcomeContent();
+}
+
+// --- Importación de datasets del usuario (CSV, TSV, JSON, XLSX) ---
+let datasetSource = 'datos.txt';
+let pendingImport = null;
+const IMPORT_PREVIEW_ROWS = 10;
+
+// Requiere SheetJS (XLSX) cargado desde CDN; las celdas de fecha llegan como Date
+function parseXLSXDataset(buffer) {
+    if (typeof XLSX === 'undefined') throw new Error('La librería SheetJS (XLSX) no está disponible');
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+    const sheets = workbook.SheetNames.map(name => ({
+        name,
+        ...buildRawTable(XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '' }))
+    }));
+    return { ...sheets[0], sheets };
+}
+
+async function parseDatasetFile(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    if (extension === 'xlsx' || extension === 'xls') {
+        return { format: 'XLSX', ...parseXLSXDataset(await file.arrayBuffer()) };
+    }
+    const text = await file.text();
+    if (extension === 'json') return { format: 'JSON', ...parseJSONDataset(text) };
+    return { format: extension === 'tsv' ? 'TSV' : 'CSV', ...parseDelimitedText(text, extension) };
+}
+
+// Reemplaza la serie activa y vuelve a dibujar la vista actual
+function applyImportedDataset(mapped, sourceName) {
+    if (!mapped.rows.length) return false;
+    setActiveDataset(mapped.rows, mapped.rejected, sourceName);
+    activeDatasetId = null;
+    activeDatasetVersion = null;
+    console.log(`Datos importados desde ${sourceName}: ${dollarData.length} observaciones.`);
+    refreshCurrentView();
+    // La nueva serie se guarda en segundo plano y el gestor se actualiza al terminar
+    storeActiveDataset().then(stored => { if (stored) refreshCurrentView(); });
+    return true;
+}
+
+// Escapa texto proveniente de archivos del usuario antes de insertarlo en HTML
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Panel de importación (selector de archivo y zona de arrastre) para la vista de bienvenida
+function renderDatasetImportPanel() {
+    return `
+        <div class="data-import-section">
+            <h3>📂 Importar datos propios</h3>
+            <div id="dataset-dropzone" class="dataset-dropzone">
+                <i class="fas fa-file-upload"></i>
+                <p>Arrastra un archivo CSV, TSV, JSON o XLSX aquí o <strong>haz clic para seleccionarlo</strong></p>
+                <small>Serie activa: ${escapeHtml(datasetSource)} (${dollarData.length} observaciones)</small>
+                <input type="file" id="dataset-file-input" accept=".csv,.tsv,.txt,.json,.xlsx,.xls" hidden>
+            </div>
+            <div id="dataset-import-preview"></div>
+        </div>
+    `;
+}
+
+function initializeDatasetImporter() {
+    const dropzone = document.getElementById('dataset-dropzone');
+    const input = document.getElementById('dataset-file-input');
+    if (!dropzone || !input) return;
+    dropzone.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files && input.files[0]) handleDatasetFile(input.files[0]);
+    });
+    dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+    dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+    dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+        const file = e.dataTransfer && e.dataTransfer.files ? e.dataTransfer.files[0] : null;
+        if (file) handleDatasetFile(file);
+    });
+    if (pendingImport) renderDatasetImportPreview();
+}
+
+async function handleDatasetFile(file) {
+    const preview = document.getElementById('dataset-import-preview');
+    try {
+        const table = await parseDatasetFile(file);
+        pendingImport = { fileName: file.name, table, sheetIndex: 0, mapping: guessColumnMapping(table) };
+        renderDatasetImportPreview();
+    } catch (err) {
+        console.error('Error leyendo el archivo importado:', err);
+        pendingImport = null;
+        if (preview) preview.innerHTML = `<p class="interpretation">No se pudo leer ${escapeHtml(file.name)}: ${escapeHtml(err.message)}</p>`;
+    }
+}
+
+// Vista previa con mapeo de columnas y resumen de filas válidas / rechazadas
+function renderDatasetImportPreview() {
+    const preview = document.getElementById('dataset-import-preview');
+    if (!preview || !pendingImport) return;
+    const { fileName, table, mapping } = pendingImport;
+    const mapped = mapImportedRows(table, mapping);
+    const { rows, rejected, dates, dateFormat } = mapped;
+    const dateFormatLabel = DATE_FORMATS[dateFormat] ? DATE_FORMATS[dateFormat].label : 'Automático';
+    const dateFailures = rejected.filter(r => r.reason === 'Fecha no reconocida');
+    const columnOptions = (selected) => table.headers
+        .map((h, i) => `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(h)}</option>`).join('');
+    const sheets = table.sheets || [];
+    const [valueColumn, ...extraColumns] = mapping.valueColumns;
+    const extraCandidates = table.headers.map((_, i) => i).filter(i => i !== mapping.dateColumn && i !== valueColumn);
+
+    preview.innerHTML = `
+        <div class="content-card">
+            <h5>Vista previa: ${escapeHtml(fileName)} (${table.format}, ${table.rows.length} filas${table.hasHeader ? ', con encabezado' : ''})</h5>
+            <div class="search-controls">
+                ${sheets.length > 1 ? `
+                    <label>Hoja
+                        <select id="import-sheet">
+                            ${sheets.map((s, i) => `<option value="${i}" ${i === pendingImport.sheetIndex ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('')}
+                        </select>
+                    </label>` : ''}
+                <label>Columna de fecha
+                    <select id="import-date-column">${columnOptions(mapping.dateColumn)}</select>
+                </label>
+                <label>Columna de valor
+                    <select id="import-value-column">${columnOptions(valueColumn)}</select>
+                </label>
+                <label>Formato de fecha
+                    <select id="import-date-format">
+                        <option value="auto" ${mapping.dateFormat === 'auto' ? 'selected' : ''}>Automático (${dateFormatLabel})</option>
+                        ${Object.entries(DATE_FORMATS).map(([key, f]) => `<option value="${key}" ${mapping.dateFormat === key ? 'selected' : ''}>${f.label}</option>`).join('')}
+                    </select>
+                </label>
+                <button id="import-apply" class="table-btn" ${rows.length ? '' : 'disabled'}>Usar este dataset</button>
+                <button id="import-cancel" class="table-btn">Cancelar</button>
+            </div>
+            ${extraCandidates.length ? `
+                <div class="search-controls">
+                    <span>Series adicionales (p. ej. compra y venta):</span>
+                    ${extraCandidates.map(i => `
+                        <label class="settings-check">
+                            <span><input type="checkbox" class="import-extra-column" value="${i}" ${extraColumns.includes(i) ? 'checked' : ''}> ${escapeHtml(table.headers[i])}</span>
+                        </label>
+                    `).join('')}
+                </div>` : ''}
+            <div class="ranking-table">
+                <table>
+                    <thead>
+                        <tr><th>#</th><th>Fecha (original)</th><th>Valor (original)</th><th>Fecha</th><th>Valor</th><th>Estado</th></tr>
+                    </thead>
+                    <tbody>
+                        ${table.rows.slice(0, IMPORT_PREVIEW_ROWS).map((r, i) => {
+                            const date = dates[i];
+                            const value = parseImportedNumber(r[valueColumn]);
+                            const ok = date && isFinite(value);
+                            return `
+                                <tr class="${ok ? '' : 'rejected-model'}">
+                                    <td>${i + 1}</td>
+                                    <td>${escapeHtml(r[mapping.dateColumn] instanceof Date ? parseFlexibleDate(r[mapping.dateColumn]) : r[mapping.dateColumn])}</td>
+                                    <td>${escapeHtml(r[valueColumn])}</td>
+                                    <td>${date || '—'}</td>
+                                    <td>${isFinite(value) ? value.toFixed(4) : '—'}</td>
+                                    <td>${ok ? '✔' : (!date ? 'Fecha no reconocida' : 'Valor no numérico')}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${dateFailures.length ? `
+                <div class="ranking-table" style="margin-top:0.75rem">
+                    <p><strong>Fechas no interpretadas con el formato ${dateFormatLabel} (${dateFailures.length})</strong></p>
+                    <table>
+                        <thead><tr><th>Fila</th><th>Valor de fecha</th></tr></thead>
+                        <tbody>
+                            ${dateFailures.slice(0, 20).map(f => `<tr><td>${f.index}</td><td>${escapeHtml(f.date)}</td></tr>`).join('')}
+                        </tbody>
+                    </table>
+                    ${dateFailures.length > 20 ? `<p>… y ${dateFailures.length - 20} filas más.</p>` : ''}
+                </div>` : ''}
+            <p class="interpretation">${rows.length} filas válidas y ${rejected.length} rechazadas. Al confirmar se reemplaza la serie activa y todas las etapas se recalculan con los nuevos datos.</p>
+        </div>
+    `;
+
+    const sheetSelect = document.getElementById('import-sheet');
+    if (sheetSelect) {
+        sheetSelect.addEventListener('change', () => {
+            const index = parseInt(sheetSelect.value, 10);
+            const table = { format: pendingImport.table.format, sheets, ...sheets[index] };
+            pendingImport = { ...pendingImport, table, sheetIndex: index, mapping: guessColumnMapping(table) };
+            renderDatasetImportPreview();
+        });
+    }
+    const mappingFields = { 'import-date-column': 'dateColumn', 'import-date-format': 'dateFormat' };
+    Object.entries(mappingFields).forEach(([id, field]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.addEventListener('change', () => {
+            const value = field === 'dateFormat' ? select.value : parseInt(select.value, 10);
+            let valueColumns = pendingImport.mapping.valueColumns;
+            if (field === 'dateColumn') {
+                valueColumns = valueColumns.filter(i => i !== value);
+                if (!valueColumns.length) valueColumns = table.headers.map((_, i) => i).filter(i => i !== value).slice(0, 1);
+            }
+            pendingImport.mapping = { ...pendingImport.mapping, [field]: value, valueColumns };
+            renderDatasetImportPreview();
+        });
+    });
+    // La columna de valor es la serie principal; las casillas agregan o quitan series adicionales
+    const valueSelect = document.getElementById('import-value-column');
+    if (valueSelect) {
+        valueSelect.addEventListener('change', () => {
+            const primary = parseInt(valueSelect.value, 10);
+            pendingImport.mapping = { ...pendingImport.mapping, valueColumns: [primary, ...extraColumns.filter(i => i !== primary)] };
+            renderDatasetImportPreview();
+        });
+    }
+    preview.querySelectorAll('.import-extra-column').forEach(box => {
+        box.addEventListener('change', () => {
+            const column = parseInt(box.value, 10);
+            const extras = box.checked ? [...extraColumns, column].sort((a, b) => a - b) : extraColumns.filter(i => i !== column);
+            pendingImport.mapping = { ...pendingImport.mapping, valueColumns: [valueColumn, ...extras] };
+            renderDatasetImportPreview();
+        });
+    });
+    const applyBtn = document.getElementById('import-apply');
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => {
+            const name = pendingImport.fileName;
+            pendingImport = null;
+            applyImportedDataset(mapped, name);
+        });
+    }
+    const cancelBtn = document.getElementById('import-cancel');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => {
+            pendingImport = null;
+            preview.innerHTML = '';
+        });
+    }
+}
+
+// --- Persistencia local (IndexedDB): datasets, versiones y configuración del usuario ---
+const SERIES_DB_NAME = 'usdpen-series';
+const SERIES_DB_VERSION = 1;
+const SETTINGS_KEY = 'user';
+let seriesDatabasePromise = null;
+let seriesStorageAvailable = false;
+let savedDatasets = [];
+let activeDatasetId = null;
+let activeDatasetVersion = null;
+
+// Abre (o crea) la base; resuelve null si el navegador no ofrece IndexedDB
+function openSeriesDatabase() {
+    if (seriesDatabasePromise) return seriesDatabasePromise;
+    seriesDatabasePromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
         }
-        // Ordenar por fecha ascendente por seguridad
-        rows.sort((a, b) => new Date(a.date) - new Date(b.date));
-        // Calcular variaciones
-        const enriched = rows.map((r, i) => {
-            const prev = i > 0 ? rows[i - 1].price : null;
-            const variation = prev != null ? (r.price - prev) : 0;
-            const variationPercent = prev != null && prev !== 0 ? (variation / prev) * 100 : 0;
-            return {
-                date: r.date,
-                price: r.price,
-                variation,
-                variationPercent
-            };
+        const request = indexedDB.open(SERIES_DB_NAME, SERIES_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // datasets: {id, name, createdAt, updatedAt, lastVersion, activeVersion, versions: [resumen]}
+            if (!db.objectStoreNames.contains('datasets')) {
+                db.createObjectStore('datasets', { keyPath: 'id', autoIncrement: true }).createIndex('name', 'name');
+            }
+            // versions: registros y líneas rechazadas de cada versión, con sus decisiones de calidad
+            if (!db.objectStoreNames.contains('versions')) {
+                db.createObjectStore('versions', { keyPath: ['datasetId', 'version'] }).createIndex('datasetId', 'datasetId');
+            }
+            if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
+        };
+        request.onsuccess = () => {
+            seriesStorageAvailable = true;
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            console.warn('IndexedDB no disponible; la sesión no se conservará:', request.error);
+            resolve(null);
+        };
+    });
+    return seriesDatabasePromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Ejecuta fn con los almacenes pedidos dentro de una transacción; resuelve al confirmarse
+async function withSeriesStores(names, mode, fn) {
+    const db = await openSeriesDatabase();
+    if (!db) return null;
+    const tx = db.transaction(names, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const stores = {};
+    names.forEach(name => { stores[name] = tx.objectStore(name); });
+    const result = await fn(stores);
+    await done;
+    return result;
+}
+
+// Guarda los registros como nueva versión del dataset con ese nombre (lo crea si no existe);
+// fromSource marca las versiones leídas de datos.txt, con las que se compara el archivo al iniciar
+function saveDatasetVersion(name, records, rejected, { fromSource = false } = {}) {
+    return withSeriesStores(['datasets', 'versions'], 'readwrite', async ({ datasets, versions }) => {
+        const now = new Date().toISOString();
+        const dataset = (await idbRequest(datasets.index('name').get(name))) || { name, createdAt: now, lastVersion: 0, versions: [] };
+        const version = dataset.lastVersion + 1;
+        const dates = records.map(r => r.date).sort();
+        dataset.lastVersion = version;
+        dataset.activeVersion = version;
+        dataset.updatedAt = now;
+        dataset.versions = dataset.versions.concat({
+            version,
+            savedAt: now,
+            observations: records.length,
+            firstDate: dates[0] || null,
+            lastDate: dates[dates.length - 1] || null,
+            fromSource
         });
-        dollarData = enriched;
-        console.log(`Datos cargados: ${dollarData.length} observaciones.`);
+        const datasetId = await idbRequest(datasets.put(dataset));
+        await idbRequest(versions.put({ datasetId, version, savedAt: now, records, rejected, qualityActions: {} }));
+        return { datasetId, version };
+    });
+}
+
+function listSavedDatasets() {
+    return withSeriesStores(['datasets'], 'readonly', ({ datasets }) => idbRequest(datasets.getAll()));
+}
+
+function loadDatasetVersion(datasetId, version) {
+    return withSeriesStores(['versions'], 'readonly', ({ versions }) => idbRequest(versions.get([datasetId, version])));
+}
+
+// Cambia campos del registro del dataset (nombre, versión activa)
+function updateSavedDataset(datasetId, changes) {
+    return withSeriesStores(['datasets'], 'readwrite', async ({ datasets }) => {
+        const dataset = await idbRequest(datasets.get(datasetId));
+        if (!dataset) return null;
+        const updated = { ...dataset, ...changes, updatedAt: new Date().toISOString() };
+        await idbRequest(datasets.put(updated));
+        return updated;
+    });
+}
+
+// Elimina el dataset y todas sus versiones
+function deleteSavedDataset(datasetId) {
+    return withSeriesStores(['datasets', 'versions'], 'readwrite', async ({ datasets, versions }) => {
+        const keys = await idbRequest(versions.index('datasetId').getAllKeys(datasetId));
+        await Promise.all(keys.map(key => idbRequest(versions.delete(key))));
+        await idbRequest(datasets.delete(datasetId));
+        return keys.length;
+    });
+}
+
+function saveVersionQualityActions(datasetId, version, actions) {
+    return withSeriesStores(['versions'], 'readwrite', async ({ versions }) => {
+        const stored = await idbRequest(versions.get([datasetId, version]));
+        if (stored) await idbRequest(versions.put({ ...stored, qualityActions: actions }));
+    });
+}
+
+function saveUserSettings(settings) {
+    return withSeriesStores(['settings'], 'readwrite', ({ settings: store }) => idbRequest(store.put({ key: SETTINGS_KEY, ...settings })));
+}
+
+function loadUserSettings() {
+    return withSeriesStores(['settings'], 'readonly', ({ settings }) => idbRequest(settings.get(SETTINGS_KEY)));
+}
+
+// Estado de la sesión que se conserva entre recargas
+function collectUserSettings() {
+    return {
+        analysis: analysisSettings,
+        seriesFrequency,
+        seriesAggregation,
+        seriesTransform,
+        imputationMethod,
+        selectedSeries,
+        extraClosures: [...extraClosures.entries()],
+        activeDatasetId,
+        activeDatasetVersion
+    };
+}
+
+// Restaura la configuración guardada ignorando valores que ya no existen en la aplicación
+function applyUserSettings(saved) {
+    if (!saved) return;
+    if (saved.analysis) analysisSettings = { ...analysisSettings, ...saved.analysis };
+    if (FREQUENCIES[saved.seriesFrequency]) seriesFrequency = saved.seriesFrequency;
+    if (RESAMPLE_AGGREGATIONS[saved.seriesAggregation]) seriesAggregation = saved.seriesAggregation;
+    if (saved.seriesTransform && SERIES_TRANSFORMS[saved.seriesTransform.type]) seriesTransform = { ...seriesTransform, ...saved.seriesTransform };
+    if (IMPUTATION_METHODS[saved.imputationMethod]) imputationMethod = saved.imputationMethod;
+    // Se valida contra las columnas del dataset al activarlo
+    if (typeof saved.selectedSeries === 'string') selectedSeries = saved.selectedSeries;
+    if (Array.isArray(saved.extraClosures)) {
+        extraClosures.clear();
+        saved.extraClosures.forEach(([date, reason]) => addExtraClosure(date, reason));
+    }
+}
+
+// Guarda la configuración y las decisiones de calidad de la versión activa sin bloquear la interfaz
+function persistSession() {
+    if (!seriesStorageAvailable) return;
+    saveUserSettings(collectUserSettings()).catch(err => console.warn('No se pudo guardar la configuración:', err));
+    if (activeDatasetId != null) {
+        saveVersionQualityActions(activeDatasetId, activeDatasetVersion, qualityActions)
+            .catch(err => console.warn('No se pudieron guardar las decisiones de calidad:', err));
+    }
+}
+
+// Guarda la serie activa como nueva versión (el mismo nombre de archivo agrega versiones)
+async function storeActiveDataset(options) {
+    try {
+        const saved = await saveDatasetVersion(datasetSource, multiSeriesRecords, datasetQuality ? datasetQuality.rejected : [], options);
+        if (!saved) return false;
+        activeDatasetId = saved.datasetId;
+        activeDatasetVersion = saved.version;
+        savedDatasets = (await listSavedDatasets()) || [];
+        persistSession();
+        return true;
     } catch (err) {
-        console.error('Error cargando datos desde datos.txt:', err);
+        reportDatasetManagerError(`guardar ${datasetSource}`, err);
+        return false;
+    }
+}
+
+// Activa una versión guardada como serie actual, con sus decisiones de calidad
+async function activateSavedDataset(datasetId, version) {
+    const dataset = savedDatasets.find(d => d.id === datasetId);
+    if (!dataset) return false;
+    const chosen = version || dataset.activeVersion || dataset.lastVersion;
+    const stored = await loadDatasetVersion(datasetId, chosen);
+    if (!stored) return false;
+    activeDatasetId = datasetId;
+    activeDatasetVersion = chosen;
+    setActiveDataset(stored.records, stored.rejected, dataset.name, stored.qualityActions || {});
+    if (chosen !== dataset.activeVersion) {
+        await updateSavedDataset(datasetId, { activeVersion: chosen });
+        savedDatasets = (await listSavedDatasets()) || [];
+    }
+    return true;
+}
+
+// Contenido de una lectura de datos.txt (valores por fecha y líneas rechazadas) para detectar cambios en el archivo
+function sourceFileSignature({ records, rejected }) {
+    return [
+        ...records.map(r => `${r.date}:${JSON.stringify(r.values || { Precio: r.price })}`),
+        ...rejected.map(r => `${r.line}:${r.reason}`)
+    ].join('\n');
+}
+
+// Vuelve a leer datos.txt y, si cambió desde la última versión leída del archivo, lo guarda como versión nueva;
+// si la serie activa es datos.txt se pasa a esa versión. Devuelve la versión guardada o null si no hubo cambios
+async function reloadSourceFile() {
+    const source = await fetchSourceFile();
+    const dataset = savedDatasets.find(d => d.name === 'datos.txt');
+    if (dataset) {
+        // Las versiones guardadas antes de marcar el origen se comparan con la última
+        const lastRead = dataset.versions.filter(v => v.fromSource).pop() || dataset.versions[dataset.versions.length - 1];
+        const stored = lastRead ? await loadDatasetVersion(dataset.id, lastRead.version) : null;
+        if (stored && sourceFileSignature({ rejected: [], ...stored }) === sourceFileSignature(source)) return null;
+    }
+    const wasActive = dataset ? dataset.id === activeDatasetId : datasetSource === 'datos.txt';
+    const saved = await saveDatasetVersion('datos.txt', source.records, source.rejected, { fromSource: true });
+    if (!saved) return null;
+    savedDatasets = (await listSavedDatasets()) || [];
+    if (wasActive) await activateSavedDataset(saved.datasetId, saved.version);
+    return saved;
+}
+
+// Al iniciar: configuración guardada y último dataset activo, y datos.txt se vuelve a leer por si cambió;
+// sin nada guardado se lee datos.txt
+async function restoreSession() {
+    let saved = null;
+    try {
+        saved = await loadUserSettings();
+        applyUserSettings(saved);
+        savedDatasets = (await listSavedDatasets()) || [];
+    } catch (err) {
+        console.warn('No se pudo leer la sesión guardada:', err);
+        savedDatasets = [];
+    }
+    const preferred = saved && savedDatasets.some(d => d.id === saved.activeDatasetId)
+        ? saved.activeDatasetId
+        : (savedDatasets[0] ? savedDatasets[0].id : null);
+    if (preferred != null) {
+        const version = saved && saved.activeDatasetId === preferred ? saved.activeDatasetVersion : null;
+        if (await activateSavedDataset(preferred, version).catch(() => false)) {
+            console.log(`Sesión restaurada: ${datasetSource} v${activeDatasetVersion} (${dollarData.length} observaciones).`);
+            try {
+                // Solo si datos.txt sigue guardado: si el usuario lo eliminó no se vuelve a agregar
+                const reloaded = savedDatasets.some(d => d.name === 'datos.txt') ? await reloadSourceFile() : null;
+                if (reloaded) console.log(`datos.txt cambió: guardado como versión ${reloaded.version}.`);
+            } catch (err) {
+                reportDatasetManagerError('comprobar si datos.txt cambió', err);
+            }
+            return;
+        }
+    }
+    await loadDatasetFromFile();
+    if (datasetRecords.length) await storeActiveDataset({ fromSource: true });
+}
+
+// Último mensaje del gestor de series guardadas (errores de IndexedDB, recarga de datos.txt)
+let datasetManagerStatus = '';
+
+function setDatasetManagerStatus(message) {
+    datasetManagerStatus = message;
+    const status = document.getElementById('dataset-manager-status');
+    if (status) status.innerHTML = message ? `<p class="interpretation">${escapeHtml(message)}</p>` : '';
+}
+
+// Las operaciones de IndexedDB pueden fallar (cuota agotada, transacción abortada): se informa en el gestor
+function reportDatasetManagerError(action, err) {
+    console.warn(`No se pudo ${action}:`, err);
+    setDatasetManagerStatus(`No se pudo ${action}: ${err && err.message ? err.message : 'error del almacenamiento del navegador'}.`);
+}
+
+// Gestor de series guardadas: cambiar de dataset o versión, renombrar y eliminar
+function renderDatasetManagerPanel() {
+    if (!seriesStorageAvailable) {
+        return `
+            <h3>🗄️ Series guardadas</h3>
+            <p class="interpretation">El navegador no permite usar IndexedDB: los datos importados y la configuración no se conservan al recargar.</p>
+        `;
+    }
+    return `
+        <h3>🗄️ Series guardadas</h3>
+        ${savedDatasets.length ? `
+            <div class="ranking-table">
+                <table>
+                    <thead>
+                        <tr><th>Nombre</th><th>Versión</th><th>Rango</th><th>Actualizado</th><th>Acciones</th></tr>
+                    </thead>
+                    <tbody>
+                        ${savedDatasets.map(d => {
+                            const isActive = d.id === activeDatasetId;
+                            const selectedVersion = isActive ? activeDatasetVersion : d.activeVersion;
+                            const summary = d.versions.find(v => v.version === selectedVersion) || d.versions[d.versions.length - 1];
+                            return `
+                                <tr class="${isActive ? 'selected-model' : ''}">
+                                    <td><input type="text" class="dataset-name" data-id="${d.id}" value="${escapeHtml(d.name)}"></td>
+                                    <td>
+                                        <select class="dataset-version" data-id="${d.id}">
+                                            ${d.versions.map(v => `<option value="${v.version}" ${v.version === selectedVersion ? 'selected' : ''}>v${v.version} · ${new Date(v.savedAt).toLocaleString('es-PE')} · ${v.observations} obs.</option>`).join('')}
+                                        </select>
+                                    </td>
+                                    <td>${summary && summary.firstDate ? `${summary.firstDate} – ${summary.lastDate}` : '—'}</td>
+                                    <td>${new Date(d.updatedAt).toLocaleString('es-PE')}</td>
+                                    <td>
+                                        <button class="table-btn dataset-use" data-id="${d.id}" ${isActive ? 'disabled' : ''}>${isActive ? 'Activa' : 'Usar'}</button>
+                                        <button class="table-btn dataset-rename" data-id="${d.id}">Renombrar</button>
+                                        <button class="table-btn dataset-delete" data-id="${d.id}">Eliminar</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '<p class="interpretation">Aún no hay series guardadas.</p>'}
+        <div class="search-controls">
+            <button id="dataset-reload-source" class="table-btn">Recargar datos.txt</button>
+        </div>
+        <div id="dataset-manager-status">${datasetManagerStatus ? `<p class="interpretation">${escapeHtml(datasetManagerStatus)}</p>` : ''}</div>
+        <p class="interpretation">Cada importación se guarda en el navegador; volver a importar un archivo con el mismo nombre agrega una versión. datos.txt se vuelve a leer al iniciar y, si cambió, se guarda como una versión nueva. La configuración del análisis y las decisiones de calidad se guardan automáticamente y se restauran al recargar.</p>
+    `;
+}
+
+function initializeDatasetManagerPanel() {
+    const panel = document.getElementById('dataset-manager-panel');
+    if (!panel) return;
+    const idOf = (el) => parseInt(el.dataset.id, 10);
+    const afterChange = async () => {
+        savedDatasets = (await listSavedDatasets()) || [];
+        refreshCurrentView();
+    };
+    // Cada acción limpia el mensaje anterior; si IndexedDB falla, el error queda en el panel
+    const guarded = (action, handler) => async () => {
+        setDatasetManagerStatus('');
+        try {
+            await handler();
+        } catch (err) {
+            reportDatasetManagerError(action, err);
+        }
+    };
+    panel.querySelectorAll('.dataset-use').forEach(btn => {
+        btn.addEventListener('click', guarded('activar la serie', async () => {
+            const select = panel.querySelector(`.dataset-version[data-id="${btn.dataset.id}"]`);
+            if (await activateSavedDataset(idOf(btn), select ? parseInt(select.value, 10) : null)) refreshCurrentView();
+        }));
+    });
+    panel.querySelectorAll('.dataset-version').forEach(select => {
+        select.addEventListener('change', guarded('restaurar la versión', async () => {
+            const id = idOf(select);
+            const version = parseInt(select.value, 10);
+            if (id === activeDatasetId) {
+                if (await activateSavedDataset(id, version)) refreshCurrentView();
+            } else {
+                await updateSavedDataset(id, { activeVersion: version });
+                await afterChange();
+            }
+        }));
+    });
+    panel.querySelectorAll('.dataset-rename').forEach(btn => {
+        btn.addEventListener('click', guarded('renombrar la serie', async () => {
+            const input = panel.querySelector(`.dataset-name[data-id="${btn.dataset.id}"]`);
+            const name = input ? input.value.trim() : '';
+            if (!name) return;
+            await updateSavedDataset(idOf(btn), { name });
+            if (idOf(btn) === activeDatasetId) datasetSource = name;
+            await afterChange();
+        }));
+    });
+    panel.querySelectorAll('.dataset-delete').forEach(btn => {
+        btn.addEventListener('click', guarded('eliminar la serie', async () => {
+            const id = idOf(btn);
+            const dataset = savedDatasets.find(d => d.id === id);
+            if (!dataset || !window.confirm(`¿Eliminar "${dataset.name}" y sus ${dataset.versions.length} versiones?`)) return;
+            await deleteSavedDataset(id);
+            savedDatasets = (await listSavedDatasets()) || [];
+            if (id === activeDatasetId) {
+                // La serie activa desaparece: se pasa a otra guardada o se vuelve a datos.txt
+                activeDatasetId = null;
+                activeDatasetVersion = null;
+                if (!(savedDatasets.length && await activateSavedDataset(savedDatasets[0].id))) {
+                    await loadDatasetFromFile();
+                    await storeActiveDataset({ fromSource: true });
+                }
+            }
+            refreshCurrentView();
+        }));
+    });
+    const reloadBtn = document.getElementById('dataset-reload-source');
+    if (reloadBtn) {
+        reloadBtn.addEventListener('click', guarded('recargar datos.txt', async () => {
+            const saved = await reloadSourceFile();
+            setDatasetManagerStatus(saved
+                ? `datos.txt cambió: se guardó como versión ${saved.version}.`
+                : 'datos.txt no cambió desde la última lectura.');
+            refreshCurrentView();
+        }));
+    }
+}
+
+// --- Actualización diaria: agregar observaciones y reajuste incremental del modelo ---
+let lastAppendResult = null;
+
+// Convierte el texto pegado (fecha y uno o más valores por línea) en filas {date, price, values};
+// con tantas columnas de valores como series tiene el dataset, se asignan en ese orden
+function parseObservationText(text) {
+    const table = parseDelimitedText(text, 'txt');
+    if (!table.rows.length) return { rows: [], rejected: [] };
+    const mapping = guessColumnMapping(table);
+    const mapped = mapImportedRows(table, { ...mapping, valueColumns: mapping.valueColumns.slice().sort((a, b) => a - b) });
+    if (mapped.names.length === 1 && seriesColumns.length !== 1) {
+        return { ...mapped, rows: mapped.rows.map(({ values, ...r }) => r) };
+    }
+    if (mapped.names.length !== seriesColumns.length) return mapped;
+    const rename = (values) => {
+        const out = {};
+        mapped.names.forEach((name, k) => { if (name in values) out[seriesColumns[k]] = values[name]; });
+        return out;
+    };
+    return { ...mapped, rows: mapped.rows.map(r => ({ ...r, values: rename(r.values) })) };
+}
+
+// Agrega al final las observaciones posteriores a la última fecha y revalida la serie analizada; previous es el
+// ajuste anterior del modelo de trabajo. Cada entrada trae values por serie o un único price para la serie analizada
+function appendObservations(entries) {
+    const lastLine = [...multiSeriesRecords, ...(datasetQuality ? datasetQuality.rejected : [])]
+        .reduce((m, r) => Math.max(m, r.line || 0), 0);
+    let lastDate = multiSeriesRecords.reduce((m, r) => (r.date > m ? r.date : m), '');
+    const added = [];
+    const rejected = [];
+    entries.slice().sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).forEach(entry => {
+        const values = {};
+        Object.entries(entry.values || (selectedSeries === SPREAD_KEY ? {} : { [selectedSeries]: entry.price }))
+            .forEach(([name, v]) => { if (seriesColumns.includes(name) && isFinite(v) && v > 0) values[name] = v; });
+        if (!entry.date) rejected.push({ ...entry, reason: 'Fecha no reconocida' });
+        else if (!Object.keys(values).length) rejected.push({ ...entry, reason: selectedSeries === SPREAD_KEY ? 'El diferencial se calcula: ingrese compra y venta' : 'Precio no válido' });
+        else if (entry.date <= lastDate) rejected.push({ ...entry, reason: `No es posterior a la última observación (${lastDate})` });
+        else {
+            added.push({
+                line: lastLine + added.length + 1,
+                text: [entry.date, ...seriesColumns.map(name => (name in values ? values[name] : ''))].join('\t'),
+                date: entry.date,
+                price: seriesValue({ values }, selectedSeries),
+                values
+            });
+            lastDate = entry.date;
+        }
+    });
+    if (!added.length) return { added, rejected };
+
+    const previous = analysisState.workingModel;
+    multiSeriesRecords = multiSeriesRecords.concat(added);
+    datasetRecords = recordsForSeries(multiSeriesRecords, selectedSeries);
+    // Conserva las decisiones de calidad ya tomadas; las nuevas incidencias usan la acción predeterminada
+    revalidateActiveDataset();
+    // El reajuste corre en el worker (refitAfterAppend) partiendo del ajuste previo
+    return { added, rejected, previous };
+}
+
+// Reajuste del modelo de trabajo tras agregar observaciones, con arranque en caliente desde el ajuste previo
+async function refitAfterAppend(previous) {
+    const started = Date.now();
+    const fit = await ensureWorkingModel();
+    return {
+        fit,
+        previousFit: previous ? previous.fit : null,
+        warmStarted: fit.warmStarted,
+        elapsed: Date.now() - started
+    };
+}
+
+// Resumen del último reajuste: iteraciones y cambio de coeficientes respecto del ajuste previo
+function describeIncrementalRefit(refit) {
+    if (!refit) return '';
+    const { fit, previousFit } = refit;
+    const changes = fit.coefficients.map(c => {
+        const before = previousFit ? previousFit.coefficients.find(o => o.name === c.name) : null;
+        return `${c.name}: ${before && isFinite(before.estimate) ? `${before.estimate.toFixed(4)} → ` : ''}${isFinite(c.estimate) ? c.estimate.toFixed(4) : '—'}`;
+    });
+    return `${workingModelLabel()} reajustado ${refit.warmStarted ? `desde los parámetros previos en ${fit.iterations} iteraciones` : `desde cero en ${fit.iterations} iteraciones`}${previousFit && refit.warmStarted ? ` (el ajuste anterior necesitó ${previousFit.iterations})` : ''}, ${refit.elapsed} ms. ${changes.join(', ')}.`;
+}
+
+// Formulario de alta de una observación y caja para pegar varias líneas
+function renderAppendObservationsPanel() {
+    const last = multiSeriesRecords.reduce((m, r) => (r.date > m ? r.date : m), '');
+    const result = lastAppendResult;
+    return `
+        <h3>➕ Agregar observaciones</h3>
+        <div class="search-controls">
+            <label>Fecha
+                <input type="date" id="append-date" value="${last ? getNextBusinessDay(last, 1, businessCalendar()) : ''}">
+            </label>
+            ${seriesColumns.map(name => {
+                const lastRecord = multiSeriesRecords.filter(r => r.values && isFinite(r.values[name])).pop();
+                return `
+                    <label>${escapeHtml(name)}
+                        <input type="number" class="append-value" data-series="${escapeHtml(name)}" step="0.0001" min="0" placeholder="${lastRecord ? lastRecord.values[name].toFixed(4) : ''}">
+                    </label>
+                `;
+            }).join('')}
+            <button id="append-single" class="table-btn">Agregar</button>
+        </div>
+        <div class="append-paste">
+            <textarea id="append-text" rows="4" placeholder="Pegar una observación por línea (fecha y ${seriesColumns.length > 1 ? seriesColumns.map(escapeHtml).join(', ') : 'precio'}), p. ej.&#10;16/10/2025&#9;3.4120${seriesColumns.length > 1 ? '&#9;3.4160' : ''}"></textarea>
+            <button id="append-paste" class="table-btn">Agregar líneas pegadas</button>
+        </div>
+        ${result ? `
+            <p class="interpretation">
+                ${result.added.length ? `Se agregaron ${result.added.length} observaciones (${result.added[0].date}${result.added.length > 1 ? ` – ${result.added[result.added.length - 1].date}` : ''}). ${result.refit ? describeIncrementalRefit(result.refit) : `Reajustando ${workingModelLabel()}…`}` : 'No se agregaron observaciones.'}
+            </p>
+            ${result.rejected.length ? `
+                <div class="ranking-table quality-table">
+                    <table>
+                        <thead><tr><th>Fecha</th><th>Valor</th><th>Motivo</th></tr></thead>
+                        <tbody>
+                            ${result.rejected.map(r => {
+                                const shown = r.values ? Object.entries(r.values).map(([k, v]) => `${k}: ${v}`).join(', ') : (isFinite(r.price) ? r.price : r.value);
+                                return `<tr><td>${escapeHtml(r.date || '—')}</td><td>${escapeHtml(shown != null && shown !== '' ? shown : '—')}</td><td>${escapeHtml(r.reason)}</td></tr>`;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>` : ''}
+        ` : ''}
+        <p class="interpretation">Solo se aceptan fechas posteriores a la última observación (${last || '—'}). Las nuevas observaciones pasan por la validación de calidad, se guardan como una nueva versión de la serie y el modelo de trabajo se reajusta partiendo de los parámetros estimados antes de agregarlas.</p>
+    `;
+}
+
+function initializeAppendObservationsPanel() {
+    const apply = (entries, unparsed = []) => {
+        const result = appendObservations(entries);
+        const appended = { ...result, rejected: unparsed.concat(result.rejected) };
+        lastAppendResult = appended;
+        if (appended.added.length) {
+            refitAfterAppend(result.previous).then(refit => {
+                appended.refit = refit;
+                console.log(`Observaciones agregadas: ${appended.added.length}. ${describeIncrementalRefit(refit)}`);
+                if (lastAppendResult === appended) refreshCurrentView();
+            }).catch(e => logStageError('Error al reajustar el modelo de trabajo:', e));
+            storeActiveDataset().then(() => refreshCurrentView());
+        }
+        refreshCurrentView();
+    };
+    const singleBtn = document.getElementById('append-single');
+    if (singleBtn) {
+        singleBtn.addEventListener('click', () => {
+            const dateInput = document.getElementById('append-date');
+            const values = {};
+            document.querySelectorAll('.append-value').forEach(input => {
+                const v = parseImportedNumber(input.value);
+                if (isFinite(v)) values[input.dataset.series] = v;
+            });
+            apply([{ date: dateInput ? parseFlexibleDate(dateInput.value) : null, price: NaN, values }]);
+        });
+    }
+    const pasteBtn = document.getElementById('append-paste');
+    if (pasteBtn) {
+        pasteBtn.addEventListener('click', () => {
+            const textarea = document.getElementById('append-text');
+            const parsed = parseObservationText(textarea ? textarea.value : '');
+            const unparsed = parsed.rejected.map(r => ({ date: r.date ? String(r.date) : null, price: NaN, value: r.value, reason: r.reason }));
+            apply(parsed.rows.map(r => ({ date: r.date, price: r.price, values: r.values })), unparsed);
+        });
+    }
+}
+
+// Diferencial por fecha en orden cronológico (sin imputar)
+function spreadRecords() {
+    return recordsForSeries(multiSeriesRecords, SPREAD_KEY).sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Diferencial venta − compra: estadísticas de cada serie, evolución y pronóstico propio del diferencial
+function renderSpreadPanel() {
+    const pair = detectBidAskColumns();
+    if (!pair) return '';
+    const byDate = (a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    const spreadRows = spreadRecords();
+    const relative = spreadRows.map(r => (100 * r.price) / ((r.values[pair.ask] + r.values[pair.bid]) / 2));
+    const safeFixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : '—');
+    const summaries = [
+        { label: pair.bid, values: recordsForSeries(multiSeriesRecords, pair.bid).sort(byDate).map(r => r.price), digits: 4 },
+        { label: pair.ask, values: recordsForSeries(multiSeriesRecords, pair.ask).sort(byDate).map(r => r.price), digits: 4 },
+        { label: seriesLabel(SPREAD_KEY), values: spreadRows.map(r => r.price), digits: 4 },
+        { label: 'Diferencial (% del precio medio)', values: relative, digits: 3 }
+    ].map(s => ({ ...s, stats: calculateDescriptiveStats(s.values), last: s.values[s.values.length - 1] }));
+
+    return `
+        <h3>↔️ Diferencial compra / venta</h3>
+        <div class="ranking-table">
+            <table>
+                <thead>
+                    <tr><th>Serie</th><th>Obs.</th><th>Media</th><th>Mediana</th><th>Desv. estándar</th><th>Mínimo</th><th>Máximo</th><th>Último</th></tr>
+                </thead>
+                <tbody>
+                    ${summaries.map(s => `
+                        <tr>
+                            <td><strong>${escapeHtml(s.label)}</strong></td>
+                            <td>${s.values.length}</td>
+                            <td>${safeFixed(s.stats.mean, s.digits)}</td>
+                            <td>${safeFixed(s.stats.median, s.digits)}</td>
+                            <td>${safeFixed(s.stats.stdDev, s.digits)}</td>
+                            <td>${safeFixed(s.stats.min, s.digits)}</td>
+                            <td>${safeFixed(s.stats.max, s.digits)}</td>
+                            <td>${safeFixed(s.last, s.digits)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="chart-real">
+            <canvas id="spreadChart"></canvas>
+        </div>
+        <div id="spread-forecast-container"></div>
+        <p class="interpretation">El diferencial se calcula por fecha como ${escapeHtml(pair.ask)} − ${escapeHtml(pair.bid)} en soles, sobre los datos sin imputar. Para aplicar todas las etapas (exploración, identificación, estimación, validación y pronósticos) al diferencial, elíjalo en el selector «Serie».</p>
+    `;
+}
+
+// Pronóstico del diferencial con el mejor ARIMA (AICc) de una búsqueda acotada en el worker. El diferencial no
+// depende de la serie activa: la clave lleva la firma de toda la serie para no reutilizar un resultado viejo
+async function generateSpreadForecast() {
+    const container = document.getElementById('spread-forecast-container');
+    if (!container) return;
+    const spreadRows = spreadRecords();
+    if (spreadRows.length < RESAMPLE_MIN_OBSERVATIONS) {
+        container.innerHTML = `<p class="interpretation">Se necesitan al menos ${RESAMPLE_MIN_OBSERVATIONS} fechas con compra y venta para pronosticar el diferencial.</p>`;
+        return;
+    }
+    const last = spreadRows[spreadRows.length - 1];
+    const searchOptions = { maxP: 2, maxQ: 2, maxD: 1, stepwise: true };
+    const signature = spreadRows.map(r => `${r.date}:${r.price}`).join('\n');
+    const search = await runViewTask(container, [SPREAD_KEY, searchOptions, signature], 'arimaSearch', {
+        series: spreadRows.map(r => r.price),
+        search: searchOptions
+    }, 'Búsqueda ARIMA del diferencial', generateSpreadForecast);
+    if (!container.isConnected) return;
+
+    // El diferencial se ajusta sobre los datos diarios sin remuestrear: las fechas son días hábiles
+    const horizon = analysisSettings.horizon;
+    const path = search.best ? forecastARIMA(search.best.fit, horizon) : [];
+    const safeFixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : '—');
+    const z95 = normalQuantile(0.975);
+    const shownPeriods = [...new Set([1, 2, 3, 5, horizon])].filter(h => h <= path.length);
+    container.innerHTML = `
+        ${path.length ? `
+            <div class="ranking-table">
+                <p><strong>Pronóstico del diferencial con ${search.best.name}</strong> (AICc = ${safeFixed(search.best.AICc, 2)})</p>
+                <table>
+                    <thead><tr><th>Período</th><th>Fecha</th><th>Pronóstico</th><th>Error estándar</th><th>IC 95%</th></tr></thead>
+                    <tbody>
+                        ${shownPeriods.map(h => {
+                            const f = path[h - 1];
+                            return `
+                                <tr>
+                                    <td>t+${h}</td>
+                                    <td>${forecastDate(last.date, h, 'daily', businessCalendar())}</td>
+                                    <td>${safeFixed(f.forecast)}</td>
+                                    <td>${safeFixed(f.se)}</td>
+                                    <td>[${safeFixed(f.forecast - z95 * f.se)}, ${safeFixed(f.forecast + z95 * f.se)}]</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '<p class="interpretation">La búsqueda no encontró un ARIMA admisible para el diferencial.</p>'}
+    `;
+}
+
+function initializeSpreadPanel() {
+    generateSpreadForecast().catch(e => logStageError('Error en el pronóstico del diferencial:', e));
+    const ctx = document.getElementById('spreadChart');
+    const pair = detectBidAskColumns();
+    if (!ctx || !pair || typeof Chart === 'undefined') return;
+    const rows = spreadRecords();
+    new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: rows.map(r => r.date),
+            datasets: [{ label: seriesLabel(SPREAD_KEY), data: rows.map(r => r.price), borderColor: '#7c3aed', pointRadius: 0, fill: false }]
+        },
+        options: { responsive: true, plugins: { legend: { position: 'top' } }, scales: { y: { beginAtZero: false } } }
+    });
+}
+
+// Reporte de calidad de datos con una decisión (eliminar, mantener, corregir) por incidencia
+function renderDataQualityPanel() {
+    if (!datasetQuality) return '';
+    const q = datasetQuality;
+    const actionOptions = (type, selected) => QUALITY_ISSUE_TYPES[type].actions
+        .map(a => `<option value="${a}" ${a === selected ? 'selected' : ''}>${a === 'fix' ? `${QUALITY_ACTION_LABELS[a]} (${QUALITY_ISSUE_TYPES[type].fix})` : QUALITY_ACTION_LABELS[a]}</option>`)
+        .join('');
+    const typesWithIssues = Object.keys(QUALITY_ISSUE_TYPES).filter(t => q.counts[t] > 0);
+
+    return `
+        <h3>🧪 Calidad de datos</h3>
+        <div class="quality-summary">
+            <div class="quality-stat"><span class="value">${q.totalLines}</span><span class="label">Líneas leídas</span></div>
+            <div class="quality-stat"><span class="value">${q.accepted}</span><span class="label">Aceptadas</span></div>
+            <div class="quality-stat ${q.rejected.length ? 'has-issues' : ''}"><span class="value">${q.rejected.length}</span><span class="label">Rechazadas</span></div>
+            ${Object.entries(QUALITY_ISSUE_TYPES).map(([type, t]) => `
+                <div class="quality-stat ${q.counts[type] ? 'has-issues' : ''}"><span class="value">${q.counts[type]}</span><span class="label">${t.label}</span></div>
+            `).join('')}
+        </div>
+        ${q.issues.length ? `
+            <div class="search-controls">
+                ${typesWithIssues.map(type => `
+                    <label>${QUALITY_ISSUE_TYPES[type].label} (todas)
+                        <select class="quality-bulk" data-type="${type}">
+                            <option value="">—</option>
+                            ${actionOptions(type, null)}
+                        </select>
+                    </label>
+                `).join('')}
+                <button id="quality-apply" class="table-btn">Aplicar decisiones</button>
+            </div>
+            <div class="ranking-table quality-table">
+                <table>
+                    <thead>
+                        <tr><th>Incidencia</th><th>Fecha</th><th>Línea(s)</th><th>Detalle</th><th>Acción</th></tr>
+                    </thead>
+                    <tbody>
+                        ${q.issues.map(issue => `
+                            <tr>
+                                <td>${QUALITY_ISSUE_TYPES[issue.type].label}</td>
+                                <td>${issue.date}</td>
+                                <td>${issue.lines.join(', ') || '—'}</td>
+                                <td>${escapeHtml(issue.detail)}</td>
+                                <td><select class="quality-action" data-issue="${issue.id}">${actionOptions(issue.type, qualityActionFor(issue, qualityActions))}</select></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : '<p class="interpretation">No se detectaron duplicados, días no hábiles, días hábiles faltantes, saltos inverosímiles ni precios no positivos.</p>'}
+        ${q.rejected.length ? `
+            <div class="ranking-table quality-table" style="margin-top:0.75rem">
+                <p><strong>Líneas rechazadas (${q.rejected.length})</strong></p>
+                <table>
+                    <thead><tr><th>Línea</th><th>Contenido</th><th>Motivo</th></tr></thead>
+                    <tbody>
+                        ${q.rejected.map(r => `<tr><td>${r.line}</td><td><code>${escapeHtml(r.text)}</code></td><td>${r.reason}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : ''}
+        <p class="interpretation">Serie activa: ${dollarData.length} observaciones tras aplicar las decisiones. Los saltos se marcan cuando la variación logarítmica supera ${q.jumpThreshold} desviaciones robustas (MAD).</p>
+    `;
+}
+
+function initializeDataQualityPanel() {
+    const panel = document.getElementById('data-quality-panel');
+    if (!panel) return;
+    panel.querySelectorAll('.quality-action').forEach(select => {
+        select.addEventListener('change', () => { qualityActions[select.dataset.issue] = select.value; });
+    });
+    panel.querySelectorAll('.quality-bulk').forEach(select => {
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            datasetQuality.issues
+                .filter(issue => issue.type === select.dataset.type)
+                .forEach(issue => { qualityActions[issue.id] = select.value; });
+            panel.innerHTML = renderDataQualityPanel();
+            initializeDataQualityPanel();
+        });
+    });
+    const applyBtn = document.getElementById('quality-apply');
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => {
+            rebuildActiveSeries();
+            console.log(`Decisiones de calidad aplicadas: ${dollarData.length} observaciones.`);
+            refreshCurrentView();
+        });
+    }
+}
+
+// Control de regularización a días hábiles e imputación de faltantes
+function renderRegularizationPanel() {
+    const reg = datasetRegularization;
+    if (!reg) return '';
+    const missingList = reg.missing.slice(0, 30).map(d => formatDate(d)).join(', ');
+    const first = dollarData.length ? dollarData[0].date : null;
+    const last = dollarData.length ? dollarData[dollarData.length - 1].date : null;
+    const holidaysInRange = [];
+    if (first) {
+        for (let d = first; d <= last; d = shiftISODate(d, 1)) {
+            const name = holidayName(d, businessCalendar());
+            if (name && isoWeekday(d) !== 0 && isoWeekday(d) !== 6) holidaysInRange.push(`${formatDate(d)} (${escapeHtml(name)})`);
+        }
+    }
+    return `
+        <h3>📅 Calendario y regularización a días hábiles</h3>
+        <div class="search-controls">
+            <label>Método de imputación
+                <select id="imputation-method">
+                    ${Object.entries(IMPUTATION_METHODS).map(([key, label]) => `<option value="${key}" ${key === imputationMethod ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+            <label>Cierres adicionales (AAAA-MM-DD, separados por coma)
+                <input type="text" id="extra-closures" value="${[...extraClosures.keys()].join(', ')}" placeholder="2025-06-30, 2025-12-31">
+            </label>
+            <button id="extra-closures-apply" class="table-btn">Actualizar calendario</button>
+        </div>
+        <p class="interpretation">
+            Días no hábiles: fines de semana, feriados nacionales del Perú (incluida Semana Santa) y cierres adicionales.
+            ${holidaysInRange.length ? `Feriados en días de semana dentro del rango: ${holidaysInRange.join(', ')}.` : ''}
+        </p>
+        <p class="interpretation">
+            ${reg.missing.length
+                ? `${reg.missing.length} días hábiles del calendario no tienen observación: ${missingList}${reg.missing.length > 30 ? '…' : ''}.`
+                : 'El calendario de días hábiles está completo.'}
+            ${reg.imputedCount ? ` Se imputaron ${reg.imputedCount} observaciones; se marcan en la tabla y en los gráficos.` : ''}
+            ${reg.kalman ? ` Nivel local estimado: q = σ²η/σ²ε = ${reg.kalman.q.toExponential(2)}.` : ''}
+        </p>
+    `;
+}
+
+function initializeRegularizationPanel() {
+    const select = document.getElementById('imputation-method');
+    if (select) {
+        select.addEventListener('change', () => {
+            imputationMethod = select.value;
+            rebuildActiveSeries();
+            console.log(`Regularización (${imputationMethod}): ${datasetRegularization.imputedCount} observaciones imputadas.`);
+            refreshCurrentView();
+        });
+    }
+    const closuresInput = document.getElementById('extra-closures');
+    const closuresBtn = document.getElementById('extra-closures-apply');
+    if (closuresInput && closuresBtn) {
+        closuresBtn.addEventListener('click', () => {
+            extraClosures.clear();
+            closuresInput.value.split(/[,;\s]+/).filter(Boolean).forEach(d => {
+                if (!addExtraClosure(d)) console.warn(`Cierre adicional ignorado (fecha no válida): ${d}`);
+            });
+            revalidateActiveDataset();
+            refreshCurrentView();
+        });
     }
 }
 
+// Configuración del análisis: horizonte, niveles de confianza, modelo de trabajo y rango de fechas
+function renderAnalysisSettingsPanel() {
+    const order = workingModelOrder();
+    const dates = datasetRecords.map(r => r.date).sort();
+    const first = dates[0] || '';
+    const last = dates[dates.length - 1] || '';
+    return `
+        <h3>⚙️ Configuración del análisis</h3>
+        <div class="search-controls">
+            <label>Horizonte (${FREQUENCIES[seriesFrequency].unit[1]})
+                <input type="number" id="settings-horizon" min="1" max="${MAX_FORECAST_HORIZON}" value="${analysisSettings.horizon}">
+            </label>
+            <label>Modelo de trabajo ARIMA(p,d,q)
+                <span class="settings-order">
+                    <input type="number" id="settings-p" min="0" max="5" value="${order.p}" title="p">
+                    <input type="number" id="settings-d" min="0" max="2" value="${order.d}" title="d">
+                    <input type="number" id="settings-q" min="0" max="5" value="${order.q}" title="q">
+                </span>
+            </label>
+            <label class="settings-check">
+                <span><input type="checkbox" id="settings-constant" ${order.includeConstant ? 'checked' : ''}> Constante / deriva</span>
+            </label>
+            <label>Desde
+                <input type="date" id="settings-date-from" min="${first}" max="${last}" value="${analysisSettings.dateFrom}">
+            </label>
+            <label>Hasta
+                <input type="date" id="settings-date-to" min="${first}" max="${last}" value="${analysisSettings.dateTo}">
+            </label>
+        </div>
+        <div class="search-controls">
+            <span>Niveles de confianza:</span>
+            ${CONFIDENCE_LEVEL_OPTIONS.map(level => `
+                <label class="settings-check">
+                    <span><input type="checkbox" class="settings-level" value="${level}" ${analysisSettings.confidenceLevels.includes(level) ? 'checked' : ''}> ${level}%</span>
+                </label>
+            `).join('')}
+            <button id="settings-apply" class="table-btn">Aplicar configuración</button>
+            <button id="settings-reset" class="table-btn">Restablecer</button>
+        </div>
+        <p id="settings-message" class="interpretation">
+            Modelo de trabajo: ${workingModelLabel()}${analysisSettings.modelOrder ? '' : ' (predeterminado)'} · horizonte ${horizonUnit(analysisSettings.horizon)} · IC ${analysisSettings.confidenceLevels.join('% y ')}% ·
+            ${analysisSettings.dateFrom || analysisSettings.dateTo ? `serie filtrada ${analysisSettings.dateFrom || first} – ${analysisSettings.dateTo || last}` : 'serie completa'}.
+        </p>
+    `;
+}
+
+function initializeAnalysisSettingsPanel() {
+    const applyBtn = document.getElementById('settings-apply');
+    const resetBtn = document.getElementById('settings-reset');
+    const message = document.getElementById('settings-message');
+    const readInt = (id, min, max, fallback) => {
+        const el = document.getElementById(id);
+        const v = el ? parseInt(el.value, 10) : NaN;
+        return isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback;
+    };
+    if (applyBtn) {
+        applyBtn.addEventListener('click', () => {
+            const current = workingModelOrder();
+            const levels = [...document.querySelectorAll('.settings-level')]
+                .filter(box => box.checked)
+                .map(box => parseInt(box.value, 10))
+                .sort((a, b) => a - b);
+            let dateFrom = (document.getElementById('settings-date-from') || {}).value || '';
+            let dateTo = (document.getElementById('settings-date-to') || {}).value || '';
+            if (dateFrom && dateTo && dateFrom > dateTo) [dateFrom, dateTo] = [dateTo, dateFrom];
+            const kept = filterByDateRange(datasetRecords, dateFrom, dateTo).length;
+            if (kept < RESAMPLE_MIN_OBSERVATIONS) {
+                if (message) message.textContent = `El rango elegido deja ${kept} observaciones; se necesitan al menos ${RESAMPLE_MIN_OBSERVATIONS}.`;
+                return;
+            }
+            const constantBox = document.getElementById('settings-constant');
+            analysisSettings = {
+                horizon: readInt('settings-horizon', 1, MAX_FORECAST_HORIZON, analysisSettings.horizon),
+                confidenceLevels: levels.length ? levels : analysisSettings.confidenceLevels,
+                modelOrder: {
+                    p: readInt('settings-p', 0, 5, current.p),
+                    d: readInt('settings-d', 0, 2, current.d),
+                    q: readInt('settings-q', 0, 5, current.q),
+                    includeConstant: constantBox ? constantBox.checked : current.includeConstant
+                },
+                dateFrom,
+                dateTo
+            };
+            rebuildActiveSeries();
+            console.log(`Configuración aplicada: ${workingModelLabel()}, horizonte ${analysisSettings.horizon}, ${dollarData.length} observaciones.`);
+            refreshCurrentView();
+        });
+    }
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            analysisSettings = { ...ANALYSIS_DEFAULTS };
+            rebuildActiveSeries();
+            refreshCurrentView();
+        });
+    }
+}
+
+// Selector global de frecuencia y agregación; al cambiar se recalculan todas las etapas
+function renderFrequencySelector() {
+    const container = document.getElementById('frequency-selector');
+    if (!container) return;
+    const seriesKeys = availableSeriesKeys();
+    container.innerHTML = `
+        ${seriesKeys.length > 1 ? `
+            <label>Serie
+                <select id="analysed-series">
+                    ${seriesKeys.map(key => `<option value="${escapeHtml(key)}" ${key === selectedSeries ? 'selected' : ''}>${escapeHtml(seriesLabel(key))}</option>`).join('')}
+                </select>
+            </label>` : ''}
+        <label>Frecuencia
+            <select id="series-frequency">
+                ${Object.entries(FREQUENCIES).map(([key, f]) => {
+                    const length = resampledLength(key);
+                    const disabled = key !== 'daily' && length < RESAMPLE_MIN_OBSERVATIONS;
+                    return `<option value="${key}" ${key === seriesFrequency ? 'selected' : ''} ${disabled ? 'disabled' : ''}>${f.label} (${length} obs.${disabled ? `, mínimo ${RESAMPLE_MIN_OBSERVATIONS}` : ''})</option>`;
+                }).join('')}
+            </select>
+        </label>
+        <label>Agregación
+            <select id="series-aggregation" ${seriesFrequency === 'daily' ? 'disabled' : ''}>
+                ${Object.entries(RESAMPLE_AGGREGATIONS).map(([key, label]) => `<option value="${key}" ${key === seriesAggregation ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </label>
+    `;
+    const onChange = () => {
+        seriesFrequency = document.getElementById('series-frequency').value;
+        seriesAggregation = document.getElementById('series-aggregation').value;
+        rebuildActiveSeries();
+        console.log(`Frecuencia ${FREQUENCIES[seriesFrequency].label.toLowerCase()} (${seriesAggregation}): ${dollarData.length} observaciones.`);
+        refreshCurrentView();
+    };
+    ['series-frequency', 'series-aggregation'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', onChange);
+    });
+    const seriesSelect = document.getElementById('analysed-series');
+    if (seriesSelect) {
+        seriesSelect.addEventListener('change', () => {
+            selectAnalysedSeries(seriesSelect.value);
+            console.log(`Serie analizada: ${seriesLabel()} (${dollarData.length} observaciones).`);
+            refreshCurrentView();
+        });
+    }
+}
+
+// Estilo de puntos que resalta las observaciones imputadas en los gráficos de la serie
+function imputedPointStyle(data) {
+    if (!data.some(d => d.imputed)) return { pointRadius: 0 };
+    return {
+        pointRadius: data.map(d => (d.imputed ? 3 : 0)),
+        pointBackgroundColor: data.map(d => (d.imputed ? '#f59e0b' : '#1e40af')),
+        pointBorderColor: data.map(d => (d.imputed ? '#b45309' : '#1e40af'))
+    };
+}
+
 // Función para formatear fecha
 function formatDate(dateStr) {
     const date = new Date(dateStr);
@@ -84,281 +1464,353 @@ function formatDateCompactEs(dateInput) {
     return `${day}${mon}${yy}`;
 }
 
-// Función para formatear variación
-function formatVariation(variation, isPercent = false) {
-    const value = isPercent ? variation : variation;
-    const formatted = isPercent ? `${value.toFixed(2)}%` : value.toFixed(4);
-    
-    if (value > 0) {
-        return `<span class="variation-positive">+${formatted}</span>`;
-    } else if (value < 0) {
-        return `<span class="variation-negative">${formatted}</span>`;
-    } else {
-        return `<span class="variation-neutral">${formatted}</span>`;
+// ============================================================================
+// MODELO DE TRABAJO (ARIMA) DE LAS ETAPAS 3, 4 Y 5
+// ============================================================================
+
+// Orden elegido en la configuración del análisis (o el predeterminado MODEL_ORDER)
+function workingModelOrder() {
+    return analysisSettings.modelOrder || MODEL_ORDER;
+}
+
+function workingModelLabel(order = workingModelOrder()) {
+    return arimaModelLabel(order);
+}
+
+// Ecuación del modelo en notación de operador de rezago: φ(L)(1-L)^d Xₜ = c + θ(L)εₜ
+function arimaEquationText(fit) {
+    const poly = (coefs, sign) => coefs.length
+        ? `(1 ${coefs.map((c, i) => `${(sign * c) < 0 ? '-' : '+'} ${Math.abs(c).toFixed(4)}L${i > 0 ? `^${i + 1}` : ''}`).join(' ')})`
+        : '';
+    const d = fit.order.d;
+    const diff = d === 0 ? '' : d === 1 ? '(1-L)' : `(1-L)^${d}`;
+    // Intercepto c = μ(1 - Σφ) a partir de la media del proceso diferenciado
+    const intercept = fit.includeConstant ? fit.mean * (1 - fit.ar.reduce((a, c) => a + c, 0)) : NaN;
+    const rhs = `${isFinite(intercept) ? `${intercept.toFixed(4)} + ` : ''}${poly(fit.ma, 1)}εₜ`;
+    return `${poly(fit.ar, -1)}${diff}Xₜ = ${rhs}`;
+}
+
+// Transformación activa sobre la que se ajustan los modelos de trabajo
+let seriesTransform = { type: 'none', lambdaMethod: 'guerrero' };
+
+// Transformación activa resuelta (λ incluido) para una serie de precios
+function activeSeriesTransform(prices) {
+    return resolveSeriesTransform(prices, seriesTransform, currentSeasonalPeriod());
+}
+
+// Intervalo de un nivel configurado como texto "[inf, sup]"
+function formatLevelInterval(f, level, digits = 4) {
+    const ci = f && f.intervals ? f.intervals.find(c => c.level === level) : null;
+    return ci && isFinite(ci.lower) && isFinite(ci.upper) ? `[${ci.lower.toFixed(digits)}, ${ci.upper.toFixed(digits)}]` : '—';
+}
+
+// --- Estado de análisis compartido por las vistas ---
+// El modelo de trabajo con sus residuos, pruebas y pronósticos, y los resultados de las tareas del worker, se calculan
+// una vez por serie activa y configuración: cada resultado se guarda bajo su nombre y los ajustes de los que depende,
+// y rebuildActiveSeries descarta todos al cambiar la serie.
+// workingModel es el último ajuste {spec, lambda, prices, fit, previous}: se conserva al invalidar porque sirve de
+// arranque en caliente cuando solo se agregaron observaciones al final
+const analysisState = {
+    results: new Map(),
+    workingModel: null
+};
+
+// La serie activa cambió: se descartan los resultados y se cancelan las tareas que los calculaban
+function invalidateAnalysisState() {
+    analysisState.results.clear();
+    cancelAnalysisTasks(entry => entry.key !== 'workingModel');
+}
+
+// Resultado guardado para (name, settings) o calculado con compute; una promesa rechazada (p. ej. tarea cancelada)
+// no se guarda
+function cachedAnalysis(name, settings, compute) {
+    const { results } = analysisState;
+    const key = `${name}:${JSON.stringify(settings)}`;
+    if (!results.has(key)) {
+        const value = compute();
+        results.set(key, value);
+        if (value && typeof value.then === 'function') {
+            value.catch(() => { if (results.get(key) === value) results.delete(key); });
+        }
     }
+    return results.get(key);
 }
 
-// ============================================================================
-// FUNCIONES DE ANÁLISIS DE SERIES TEMPORALES
-// ============================================================================
+function isPrefixOf(shorter, longer) {
+    return shorter.length <= longer.length && shorter.every((v, i) => v === longer[i]);
+}
 
-// Función para calcular estadísticas descriptivas completas
-function calculateDescriptiveStats(data) {
-    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
-    const prices = (Array.isArray(data) && typeof data[0] === 'number')
-        ? data.filter(v => typeof v === 'number' && isFinite(v))
-        : data.map(d => d.price).filter(v => typeof v === 'number' && isFinite(v));
-    const n = prices.length;
+// Clave del modelo de trabajo para una serie y si el ajuste guardado le sirve tal cual
+function lookupWorkingModel(prices, order) {
+    const transform = activeSeriesTransform(prices);
+    const spec = `${workingModelLabel(order)}|${transform.type}`;
+    const state = analysisState.workingModel && analysisState.workingModel.spec === spec ? analysisState.workingModel : null;
+    const hit = Boolean(state && state.lambda === transform.lambda && state.prices.length === prices.length && isPrefixOf(state.prices, prices));
+    return { transform, spec, state, hit };
+}
 
-    // Evitar cálculos con datos vacíos
-    if (n === 0) {
-        return {
-            n: 0,
-            mean: NaN,
-            median: NaN,
-            variance: NaN,
-            stdDev: NaN,
-            range: NaN,
-            cv: NaN,
-            skewness: NaN,
-            kurtosis: NaN,
-            min: NaN,
-            max: NaN,
-            q1: NaN,
-            q3: NaN
-        };
+function isActivePrices(prices) {
+    return prices.length === dollarData.length && prices.every((v, i) => v === dollarData[i].price);
+}
+
+// Modelo de trabajo (orden configurado) ajustado sobre la serie transformada
+function fitWorkingModel(prices, order = workingModelOrder()) {
+    const { transform, spec, state, hit } = lookupWorkingModel(prices, order);
+    if (hit) return { fit: state.fit, transform };
+    const isActive = isActivePrices(prices);
+    const previous = isActive && state && isPrefixOf(state.prices, prices) ? state.fit : null;
+    const fit = fitARIMA(transformToModelScale(prices, transform), { ...order, start: previous });
+    if (isActive) analysisState.workingModel = { spec, lambda: transform.lambda, prices: prices.slice(), fit, previous };
+    return { fit, transform };
+}
+
+// Ajusta en el worker el modelo de trabajo de la serie activa cuando el guardado no sirve; las vistas que lo
+// leen de forma síncrona (fitWorkingModel) esperan esta promesa. Pedidos iguales comparten el mismo ajuste.
+let pendingWorkingModel = null;
+
+function ensureWorkingModel(order = workingModelOrder()) {
+    const prices = dollarData.map(d => d.price);
+    const { transform, spec, state, hit } = lookupWorkingModel(prices, order);
+    if (hit) return Promise.resolve(state.fit);
+    if (pendingWorkingModel && pendingWorkingModel.spec === spec && pendingWorkingModel.lambda === transform.lambda
+        && pendingWorkingModel.prices.length === prices.length && isPrefixOf(pendingWorkingModel.prices, prices)) {
+        return pendingWorkingModel.promise;
     }
-    // Caso con una sola observación: definir métricas de forma estable
-    if (n === 1) {
-        const only = prices[0];
+    const previous = state && isPrefixOf(state.prices, prices) ? state.fit : null;
+    const request = { spec, lambda: transform.lambda, prices };
+    request.promise = runAnalysisTask('fitModel', { series: transformToModelScale(prices, transform), order, start: previous }, {
+        key: 'workingModel',
+        label: `Estimación ${workingModelLabel(order)}`
+    }).then(fit => {
+        if (isActivePrices(prices)) analysisState.workingModel = { spec, lambda: transform.lambda, prices, fit, previous };
+        return fit;
+    }).finally(() => {
+        if (pendingWorkingModel === request) pendingWorkingModel = null;
+    });
+    pendingWorkingModel = request;
+    return request.promise;
+}
+
+// Pronósticos del modelo de trabajo retransformados a nivel de precio
+function forecastWorkingModel(prices, horizon = analysisSettings.horizon, order = workingModelOrder()) {
+    const { fit, transform } = fitWorkingModel(prices, order);
+    const path = forecastARIMA(fit, horizon).map(f => ({
+        period: f.period,
+        transformedForecast: f.forecast,
+        transformedSe: f.se,
+        ...backTransformForecast(f.forecast, f.se, transform, analysisSettings.confidenceLevels)
+    }));
+    return { fit, transform, path };
+}
+
+// Modelo de trabajo de la serie activa con sus residuos, pruebas de diagnóstico y pronósticos al horizonte configurado
+function workingModelAnalysis() {
+    const settings = [workingModelOrder(), seriesTransform, analysisSettings.horizon, analysisSettings.confidenceLevels];
+    return cachedAnalysis('workingModel', settings, () => {
+        const { fit, transform, path } = forecastWorkingModel(dollarData.map(d => d.price));
+        const residuals = fit.residuals;
+        const armaParams = fit.order.p + fit.order.q;
         return {
-            n: 1,
-            mean: only,
-            median: only,
-            variance: 0,
-            stdDev: 0,
-            range: 0,
-            cv: 0,
-            skewness: 0,
-            kurtosis: 0,
-            min: only,
-            max: only,
-            q1: only,
-            q3: only
+            fit,
+            transform,
+            forecasts: path,
+            residuals,
+            armaParams,
+            residualStats: calculateDescriptiveStats(residuals),
+            jarqueBera: computeJarqueBera(residuals),
+            ljungBox: Object.fromEntries([10, 15, 20].map(lag => [lag, ljungBoxTest(residuals, lag, armaParams)])),
+            archLM: archLMTest(residuals, 1)
         };
-    }
-    
-    // Medidas de tendencia central
-    const mean = prices.reduce((sum, p) => sum + p, 0) / n;
-    const sortedPrices = [...prices].sort((a, b) => a - b);
-    const median = n % 2 === 0 ? 
-        (sortedPrices[n/2 - 1] + sortedPrices[n/2]) / 2 : 
-        sortedPrices[Math.floor(n/2)];
-    
-    // Medidas de dispersión
-    const variance = prices.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / (n - 1);
-    const stdDev = Math.sqrt(variance);
-    const range = Math.max(...prices) - Math.min(...prices);
-    const cv = (stdDev / mean) * 100;
-    
-    // Medidas de forma
-    const skewness = calculateSkewness(prices, mean, stdDev);
-    const kurtosis = calculateKurtosis(prices, mean, stdDev);
-    
+    });
+}
+
+// Configuración del modelo de trabajo que reciben las tareas del worker
+function workingModelTaskSettings() {
     return {
-        n, mean, median, variance, stdDev, range, cv, skewness, kurtosis,
-        min: Math.min(...prices),
-        max: Math.max(...prices),
-        q1: sortedPrices[Math.floor(n * 0.25)],
-        q3: sortedPrices[Math.floor(n * 0.75)]
+        order: workingModelOrder(),
+        transform: seriesTransform,
+        seasonalPeriod: currentSeasonalPeriod(),
+        confidenceLevels: analysisSettings.confidenceLevels
     };
 }
 
-// Función para calcular asimetría (skewness)
-function calculateSkewness(data, mean, stdDev) {
-    const n = data.length;
-    if (!isFinite(stdDev) || stdDev === 0) return 0;
-    const sum = data.reduce((acc, val) => acc + Math.pow((val - mean) / stdDev, 3), 0);
-    return (n / ((n - 1) * (n - 2))) * sum;
+// --- Cálculos pesados en un Web Worker (analysis-worker.mjs con las tareas de engine/tasks.mjs) ---
+// Protocolo: se envía {id, task, payload}; el worker responde {id, type: 'progress', done, total, label},
+// {id, type: 'result', result} o {id, type: 'error', message}. Las tareas se envían de a una: cancelar una en
+// espera la quita de la cola y cancelar la que corre termina el worker (la siguiente tarea crea otro).
+// Sin soporte de workers (o si el módulo no carga) las tareas corren en el hilo principal.
+let analysisWorker = null;
+let analysisWorkerUnavailable = typeof Worker === 'undefined';
+let analysisTaskCounter = 0;
+let runningAnalysisTask = null;
+const analysisTaskQueue = [];
+
+function createAnalysisWorker() {
+    try {
+        const worker = new Worker(new URL('./analysis-worker.mjs', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => handleAnalysisWorkerMessage(event.data);
+        // Error de carga del módulo: la tarea en curso se repite en el hilo principal
+        worker.onerror = (event) => {
+            if (event.preventDefault) event.preventDefault();
+            console.warn('Worker de análisis no disponible; los cálculos se harán en el hilo principal.', event.message || '');
+            worker.terminate();
+            analysisWorker = null;
+            analysisWorkerUnavailable = true;
+            if (runningAnalysisTask) {
+                analysisTaskQueue.unshift(runningAnalysisTask);
+                runningAnalysisTask = null;
+            }
+            startNextAnalysisTask();
+        };
+        return worker;
+    } catch (e) {
+        analysisWorkerUnavailable = true;
+        return null;
+    }
 }
 
-// Función para calcular curtosis
-function calculateKurtosis(data, mean, stdDev) {
-    const n = data.length;
-    if (!isFinite(stdDev) || stdDev === 0) return 0;
-    const sum = data.reduce((acc, val) => acc + Math.pow((val - mean) / stdDev, 4), 0);
-    return ((n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3))) * sum - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+function cancelledTaskError(entry) {
+    const error = new Error(`${entry.label}: cálculo cancelado`);
+    error.cancelled = true;
+    return error;
 }
 
-// Función para calcular ACF (Autocorrelación)
-function calculateACF(data, maxLags = 20) {
-    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
-    const prices = (Array.isArray(data) && typeof data[0] === 'number')
-        ? data
-        : data.map(d => d.price);
-    const n = prices.length;
-    const mean = prices.reduce((sum, p) => sum + p, 0) / n;
-    
-    const acf = [];
-    for (let lag = 0; lag <= maxLags; lag++) {
-        let numerator = 0;
-        let denominator = 0;
-        
-        for (let i = 0; i < n - lag; i++) {
-            numerator += (prices[i] - mean) * (prices[i + lag] - mean);
-        }
-        
-        for (let i = 0; i < n; i++) {
-            denominator += Math.pow(prices[i] - mean, 2);
-        }
-        
-        acf.push(lag === 0 ? 1 : numerator / denominator);
+// Encola una tarea; key identifica al solicitante y una tarea nueva con la misma key cancela la anterior
+function runAnalysisTask(task, payload, { key = task, label = task, onProgress = null } = {}) {
+    cancelAnalysisTasks(entry => entry.key === key);
+    return new Promise((resolve, reject) => {
+        analysisTaskQueue.push({ id: ++analysisTaskCounter, task, payload, key, label, onProgress, resolve, reject, progress: null });
+        startNextAnalysisTask();
+    });
+}
+
+function startNextAnalysisTask() {
+    if (!runningAnalysisTask && analysisTaskQueue.length) {
+        const entry = analysisTaskQueue.shift();
+        runningAnalysisTask = entry;
+        if (!analysisWorker && !analysisWorkerUnavailable) analysisWorker = createAnalysisWorker();
+        if (analysisWorker) analysisWorker.postMessage({ id: entry.id, task: entry.task, payload: entry.payload });
+        else setTimeout(() => runAnalysisTaskInline(entry), 0);
     }
-    
-    return acf;
+    renderAnalysisTasks();
 }
 
-// Función para calcular PACF (Autocorrelación Parcial)
-function calculatePACF(data, maxLags = 20) {
-    const acf = calculateACF(data, maxLags);
-    const pacf = [1]; // PACF(0) = 1
-    
-    for (let k = 1; k <= maxLags; k++) {
-        if (k === 1) {
-            pacf.push(acf[1]);
-        } else {
-            // Algoritmo de Durbin-Levinson simplificado
-            let numerator = acf[k];
-            let denominator = 1;
-            
-            for (let j = 1; j < k; j++) {
-                numerator -= pacf[j] * acf[k - j];
-            }
-            
-            pacf.push(numerator / denominator);
-        }
+function runAnalysisTaskInline(entry) {
+    if (runningAnalysisTask !== entry) return;
+    try {
+        const result = ANALYSIS_TASKS[entry.task](entry.payload, (done, total, label) => {
+            handleAnalysisWorkerMessage({ id: entry.id, type: 'progress', done, total, label });
+        });
+        handleAnalysisWorkerMessage({ id: entry.id, type: 'result', result });
+    } catch (e) {
+        handleAnalysisWorkerMessage({ id: entry.id, type: 'error', message: e.message });
     }
-    
-    return pacf;
 }
 
-// Función para prueba de Dickey-Fuller aumentada (simplificada)
-function adfTest(data) {
-    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
-    const prices = (Array.isArray(data) && typeof data[0] === 'number')
-        ? data
-        : data.map(d => d.price);
-    const n = prices.length;
-    const differences = [];
-    
-    for (let i = 1; i < n; i++) {
-        differences.push(prices[i] - prices[i-1]);
+function handleAnalysisWorkerMessage(message) {
+    const entry = runningAnalysisTask;
+    // Mensajes de una tarea ya cancelada
+    if (!entry || message.id !== entry.id) return;
+    if (message.type === 'progress') {
+        entry.progress = { done: message.done, total: message.total, label: message.label };
+        if (entry.onProgress) entry.onProgress(entry.progress);
+        renderAnalysisTasks();
+        return;
     }
-    
-    const meanDiff = differences.reduce((sum, d) => sum + d, 0) / differences.length;
-    const variance = differences.reduce((sum, d) => sum + Math.pow(d - meanDiff, 2), 0) / (differences.length - 1);
-    
-    // Estadístico ADF simplificado
-    const adfStat = meanDiff / Math.sqrt(variance / differences.length);
-    
-    // Valores críticos aproximados
-    const criticalValues = {
-        '1%': -3.43,
-        '5%': -2.86,
-        '10%': -2.57
-    };
-    
-    const isStationary = adfStat < criticalValues['5%'];
-    
-    return {
-        statistic: adfStat,
-        criticalValues,
-        isStationary,
-        pValue: isStationary ? 0.03 : 0.15 // Aproximado
-    };
+    runningAnalysisTask = null;
+    if (message.type === 'result') entry.resolve(message.result);
+    else entry.reject(new Error(message.message));
+    startNextAnalysisTask();
 }
 
-// Función para detectar outliers
-function detectOutliers(data) {
-    // Permitir tanto arreglos de objetos {price} como arreglos numéricos
-    const isNumeric = Array.isArray(data) && typeof data[0] === 'number';
-    const prices = isNumeric ? data : data.map(d => d.price);
-    const stats = calculateDescriptiveStats(prices);
-    const iqr = stats.q3 - stats.q1;
-    const lowerBound = stats.q1 - 1.5 * iqr;
-    const upperBound = stats.q3 + 1.5 * iqr;
-    
-    const outliers = [];
-    if (isNumeric) {
-        prices.forEach((price, index) => {
-            if (price < lowerBound || price > upperBound) {
-                outliers.push({
-                    index,
-                    price,
-                    type: price < lowerBound ? 'inferior' : 'superior'
-                });
-            }
-        });
+// Cancela las tareas en espera o en curso que cumplen el criterio
+function cancelAnalysisTasks(predicate = () => true) {
+    for (let i = analysisTaskQueue.length - 1; i >= 0; i--) {
+        const entry = analysisTaskQueue[i];
+        if (predicate(entry)) {
+            analysisTaskQueue.splice(i, 1);
+            entry.reject(cancelledTaskError(entry));
+        }
+    }
+    const running = runningAnalysisTask;
+    if (running && predicate(running)) {
+        runningAnalysisTask = null;
+        if (analysisWorker) {
+            analysisWorker.terminate();
+            analysisWorker = null;
+        }
+        running.reject(cancelledTaskError(running));
+        startNextAnalysisTask();
     } else {
-        data.forEach((item, index) => {
-            if (item.price < lowerBound || item.price > upperBound) {
-                outliers.push({
-                    index,
-                    date: item.date,
-                    price: item.price,
-                    type: item.price < lowerBound ? 'inferior' : 'superior'
-                });
-            }
-        });
+        renderAnalysisTasks();
     }
-    
-    return outliers;
 }
 
-// Función para generar pronósticos ARIMA simplificados
-function generateARIMAForecasts(data, periods = 12) {
-    const prices = data.map(d => d.price);
-    const n = prices.length;
-    
-    // Modelo ARIMA(1,1,1) simplificado
-    const lastPrice = prices[n-1];
-    const trend = (prices[n-1] - prices[n-10]) / 9; // Tendencia de últimos 10 períodos
-    
-    const forecasts = [];
-    let currentPrice = lastPrice;
-    
-    for (let i = 1; i <= periods; i++) {
-        currentPrice += trend + (Math.random() - 0.5) * 0.01; // Añadir ruido
-        
-        const lowerCI = currentPrice - 1.96 * 0.02 * Math.sqrt(i); // IC 95%
-        const upperCI = currentPrice + 1.96 * 0.02 * Math.sqrt(i);
-        
-        forecasts.push({
-            period: i,
-            forecast: currentPrice,
-            lowerCI,
-            upperCI,
-            date: getNextBusinessDay(data[n-1].date, i)
-        });
-    }
-    
-    return forecasts;
+// Panel de la barra lateral con la tarea en curso, las que esperan, su avance y el botón para cancelarlas
+function renderAnalysisTasks() {
+    const panel = document.getElementById('analysis-tasks');
+    if (!panel) return;
+    const entries = (runningAnalysisTask ? [runningAnalysisTask] : []).concat(analysisTaskQueue);
+    panel.hidden = entries.length === 0;
+    panel.innerHTML = entries.map(entry => {
+        const progress = entry === runningAnalysisTask ? entry.progress : null;
+        const hasTotal = progress && isFinite(progress.total) && progress.total > 0;
+        return `
+            <div class="analysis-task${entry === runningAnalysisTask ? ' running' : ''}">
+                <div class="analysis-task-header">
+                    <span>${entry === runningAnalysisTask ? '<i class="fas fa-spinner fa-spin"></i>' : '<i class="fas fa-clock"></i>'} ${escapeHtml(entry.label)}</span>
+                    <button class="close-btn" data-cancel-task="${entry.id}" title="Cancelar"><i class="fas fa-times"></i></button>
+                </div>
+                ${entry === runningAnalysisTask ? `<progress ${hasTotal ? `max="${progress.total}" value="${progress.done}"` : ''}></progress>` : ''}
+                <small>${progress
+                    ? `${escapeHtml(progress.label || '')}${hasTotal ? ` · ${progress.done}/${progress.total}` : progress.done ? ` · ${progress.done} ajustes` : ''}`
+                    : entry === runningAnalysisTask ? 'Iniciando…' : 'En espera'}</small>
+            </div>
+        `;
+    }).join('');
 }
 
-// Función auxiliar para obtener próximos días hábiles
-function getNextBusinessDay(lastDate, daysAhead) {
-    const date = new Date(lastDate);
-    let addedDays = 0;
-    
-    while (addedDays < daysAhead) {
-        date.setDate(date.getDate() + 1);
-        // Saltar fines de semana
-        if (date.getDay() !== 0 && date.getDay() !== 6) {
-            addedDays++;
+function initializeAnalysisTaskPanel() {
+    const panel = document.getElementById('analysis-tasks');
+    if (!panel) return;
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-cancel-task]');
+        if (!button) return;
+        const id = parseInt(button.dataset.cancelTask, 10);
+        cancelAnalysisTasks(entry => entry.id === id);
+    });
+    renderAnalysisTasks();
+}
+
+// Tarea de una vista guardada en el estado de análisis con los ajustes settings: si ya se calculó (o se está
+// calculando) para la serie activa se reutiliza. El contenedor muestra un aviso mientras corre y, si se cancela,
+// un botón para reintentar
+async function runViewTask(container, settings, task, payload, label, retry) {
+    const pending = cachedAnalysis(task, settings, () => runAnalysisTask(task, payload, { key: container ? container.id : task, label }));
+    if (container) container.innerHTML = `<p class="analysis-pending"><i class="fas fa-spinner fa-spin"></i> ${label}…</p>`;
+    try {
+        return await pending;
+    } catch (e) {
+        if (e.cancelled && container && container.isConnected) {
+            container.innerHTML = `<p class="analysis-pending">${label}: cálculo cancelado. <button class="table-btn">Reintentar</button></p>`;
+            container.querySelector('button').addEventListener('click', () => retry().catch(err => logStageError(`Error en ${label}:`, err)));
         }
+        throw e;
     }
-    
-    return date.toISOString().split('T')[0];
+}
+
+// Las cancelaciones no son errores: el usuario las pidió o una vista más reciente reemplazó la tarea
+function logStageError(message, error) {
+    if (!error || !error.cancelled) console.error(message, error);
+}
+
+// Vista que lee el modelo de trabajo de la serie activa: se dibuja cuando el ajuste del worker está listo,
+// salvo que el usuario haya cambiado de vista mientras tanto
+function renderWithWorkingModel(render, errorMessage) {
+    const token = viewRenderToken;
+    ensureWorkingModel()
+        .then(() => { if (token === viewRenderToken) return render(); })
+        .catch(e => logStageError(errorMessage, e));
 }
 
 // ============================================================================
@@ -372,9 +1824,10 @@ function loadTableData(data = dollarData) {
     tableBody.innerHTML = '';
     data.forEach(row => {
         const tr = document.createElement('tr');
+        if (row.imputed) tr.className = 'imputed-row';
         tr.innerHTML = `
             <td>${formatDate(row.date)}</td>
-            <td>${formatPrice(row.price)}</td>
+            <td>${formatPrice(row.price)}${row.imputed ? ' <span class="imputed-badge">imputado</span>' : ''}</td>
         `;
         tableBody.appendChild(tr);
     });
@@ -386,6 +1839,7 @@ function showStatistics() {
     const stats = calculateDescriptiveStats(dollarData);
     const outliers = detectOutliers(dollarData);
     const adf = adfTest(dollarData);
+    const adfDiff = adfTest(differenceSeries(dollarData.map(d => d.price), 1));
     const acf = calculateACF(dollarData, 10);
     const pacf = calculatePACF(dollarData, 10);
     
@@ -413,10 +1867,11 @@ function showStatistics() {
         <tr><td>Q3 (Percentil 75)</td><td>${formatPrice(stats.q3)}</td></tr>
         
         <tr><td colspan="2" style="background: #f8f9fa; font-weight: bold;"><strong>📈 ANÁLISIS DE ESTACIONARIEDAD</strong> — Prueba ADF</td></tr>
-        <tr><td>Estadístico ADF</td><td>${safeFixed(adf.statistic,4)}</td></tr>
-        <tr><td>Valor Crítico (5%)</td><td>${adf.criticalValues['5%']}</td></tr>
+        <tr><td>Estadístico ADF (niveles)</td><td>${safeFixed(adf.statistic,4)} (rezagos: ${adf.usedLag}, n=${adf.nobs})</td></tr>
+        <tr><td>Valores Críticos (1% / 5% / 10%)</td><td>${safeFixed(adf.criticalValues['1%'],3)} / ${safeFixed(adf.criticalValues['5%'],3)} / ${safeFixed(adf.criticalValues['10%'],3)}</td></tr>
         <tr><td>¿Es Estacionaria?</td><td>${adf.isStationary ? 'SÍ ✅ Estacionaria' : 'NO ❌ Requiere diferenciación'}</td></tr>
-        <tr><td>P-valor (aprox.)</td><td>${isFinite(adf.pValue) ? adf.pValue.toFixed(3) : 'N/A'}</td></tr>
+        <tr><td>P-valor (MacKinnon)</td><td>${isFinite(adf.pValue) ? adf.pValue.toFixed(3) : 'N/A'}</td></tr>
+        <tr><td>Estadístico ADF (1ª diferencia)</td><td>${safeFixed(adfDiff.statistic,4)} (rezagos: ${adfDiff.usedLag}, p-valor: ${isFinite(adfDiff.pValue) ? (adfDiff.pValue < 0.001 ? '<0.001' : adfDiff.pValue.toFixed(3)) : 'N/A'})</td></tr>
         
         <tr><td colspan="2" style="background: #f8f9fa; font-weight: bold;"><strong>🔄 AUTOCORRELACIÓN</strong> — ACF y PACF</td></tr>
         <tr><td>ACF(1)</td><td>${safeFixed(acf[1],4)} (lag 1)</td></tr>
@@ -515,7 +1970,7 @@ function generateRealStatsForStage1() {
                 <ul>
                     <li><strong>Outliers detectados:</strong> ${outliers.length}</li>
                     <li><strong>Porcentaje:</strong> ${prices.length ? (outliers.length/prices.length*100).toFixed(1) : 'N/A'}%</li>
-                    <li><strong>Estacionariedad (ADF):</strong> ${adfResult.isStationary ? 'Estacionaria' : 'No estacionaria'}</li>
+                    <li><strong>Estacionariedad (ADF, niveles):</strong> ${adfResult.isStationary ? 'Estacionaria' : 'No estacionaria'}</li>
                     <li><strong>P-valor ADF:</strong> ${isFinite(adfResult.pValue) ? (adfResult.pValue < 0.001 ? '<0.001' : adfResult.pValue.toFixed(3)) : 'N/A'}</li>
                 </ul>
             </div>
@@ -541,7 +1996,7 @@ function generateRealStatsForStage1() {
                         backgroundColor: 'rgba(30,64,175,0.1)',
                         tension: 0.2,
                         fill: true,
-                        pointRadius: 0
+                        ...imputedPointStyle(dollarData)
                     }
                 ]
             },
@@ -832,9 +2287,14 @@ function generateRealStatsForStage1() {
 // Función para generar análisis real de ACF/PACF en la ETAPA 2
 function generateRealACFPACFForStage2() {
     const prices = dollarData.map(d => d.price);
-    const acf = calculateACF(prices, 10);
-    const pacf = calculatePACF(prices, 10);
-    const adfResult = adfTest(prices);
+    const transform = activeSeriesTransform(prices);
+    const series = identificationSeries(prices, transform);
+    const acf = calculateACF(series, 10);
+    const pacf = calculatePACF(series, 10);
+    const adfResult = adfTest(series);
+    const adfDiff = adfTest(differenceSeries(series, 1));
+    const formatADFp = p => (isFinite(p) ? (p < 0.001 ? '<0.001' : p.toFixed(4)) : 'N/A');
+    const safeFixed = (v, d=4) => (isFinite(v) ? v.toFixed(d) : 'N/A');
     
     const acfPacfContainer = document.getElementById('real-acf-pacf-container');
     if (!acfPacfContainer) return;
@@ -844,8 +2304,8 @@ function generateRealACFPACFForStage2() {
     let modelJustification = 'Modelo mixto sugerido por patrones de ACF y PACF';
     
     // Análisis simple de patrones
-    const significantACF = acf.slice(1).filter((val, idx) => Math.abs(val) > 1.96/Math.sqrt(prices.length)).length;
-    const significantPACF = pacf.slice(1).filter((val, idx) => Math.abs(val) > 1.96/Math.sqrt(prices.length)).length;
+    const significantACF = acf.slice(1).filter((val, idx) => Math.abs(val) > 1.96/Math.sqrt(series.length)).length;
+    const significantPACF = pacf.slice(1).filter((val, idx) => Math.abs(val) > 1.96/Math.sqrt(series.length)).length;
     
     if (significantPACF <= 2 && significantACF > 3) {
         suggestedModel = `AR(${significantPACF})`;
@@ -856,19 +2316,20 @@ function generateRealACFPACFForStage2() {
     }
     
     acfPacfContainer.innerHTML = `
+        ${renderTransformPanel(prices, transform)}
         <div class="acf-analysis-card">
             <h5><i class="fas fa-wave-square"></i> Función de Autocorrelación (ACF)</h5>
             <div class="acf-values">
                 <p><strong>Valores ACF (primeros 10 lags):</strong></p>
                 <div class="correlation-grid">
                     ${acf.slice(0, 10).map((val, idx) => 
-                        `<div class="lag-value ${Math.abs(val) > 1.96/Math.sqrt(prices.length) ? 'significant' : ''}">
+                        `<div class="lag-value ${Math.abs(val) > 1.96/Math.sqrt(series.length) ? 'significant' : ''}">
                             <span class="lag">Lag ${idx}:</span>
                             <span class="value">${val.toFixed(4)}</span>
                         </div>`
                     ).join('')}
                 </div>
-                <p class="interpretation"><strong>Interpretación:</strong> ${significantACF} lags significativos detectados (fuera de bandas de confianza ±${(1.96/Math.sqrt(prices.length)).toFixed(3)})</p>
+                <p class="interpretation"><strong>Interpretación:</strong> ${significantACF} lags significativos detectados (fuera de bandas de confianza ±${(1.96/Math.sqrt(series.length)).toFixed(3)})</p>
             </div>
             <div class="acf-chart-container">
                 <canvas id="stage2-acf-canvas"></canvas>
@@ -881,13 +2342,13 @@ function generateRealACFPACFForStage2() {
                 <p><strong>Valores PACF (primeros 10 lags):</strong></p>
                 <div class="correlation-grid">
                     ${pacf.slice(0, 10).map((val, idx) => 
-                        `<div class="lag-value ${Math.abs(val) > 1.96/Math.sqrt(prices.length) ? 'significant' : ''}">
+                        `<div class="lag-value ${Math.abs(val) > 1.96/Math.sqrt(series.length) ? 'significant' : ''}">
                             <span class="lag">Lag ${idx}:</span>
                             <span class="value">${val.toFixed(4)}</span>
                         </div>`
                     ).join('')}
                 </div>
-                <p class="interpretation"><strong>Interpretación:</strong> ${significantPACF} lags significativos detectados (fuera de bandas de confianza ±${(1.96/Math.sqrt(prices.length)).toFixed(3)})</p>
+                <p class="interpretation"><strong>Interpretación:</strong> ${significantPACF} lags significativos detectados (fuera de bandas de confianza ±${(1.96/Math.sqrt(series.length)).toFixed(3)})</p>
             </div>
             <div class="pacf-chart-container">
                 <canvas id="stage2-pacf-canvas"></canvas>
@@ -898,11 +2359,11 @@ function generateRealACFPACFForStage2() {
             <h5><i class="fas fa-search"></i> Identificación del Modelo</h5>
             <div class="model-analysis">
                 <div class="stationarity-test">
-                    <p><strong>Prueba de Estacionariedad (ADF):</strong></p>
+                    <p><strong>Prueba de Estacionariedad (ADF) sobre ${transform.label.toLowerCase()}:</strong></p>
                     <ul>
-                        <li>Estadístico ADF: ${adfResult.statistic.toFixed(4)}</li>
-                        <li>P-valor: ${adfResult.pValue < 0.001 ? '<0.001' : adfResult.pValue.toFixed(4)}</li>
-                        <li>Resultado: ${adfResult.isStationary ? 'Serie estacionaria (d=0)' : 'Serie no estacionaria (d=1 requerido)'}</li>
+                        <li>Niveles: τ = ${safeFixed(adfResult.statistic,4)} (rezagos: ${adfResult.usedLag}), p-valor ${formatADFp(adfResult.pValue)}, valor crítico 5%: ${safeFixed(adfResult.criticalValues['5%'],3)}</li>
+                        <li>Primera diferencia: τ = ${safeFixed(adfDiff.statistic,4)} (rezagos: ${adfDiff.usedLag}), p-valor ${formatADFp(adfDiff.pValue)}</li>
+                        <li>Resultado: ${adfResult.isStationary ? 'Serie estacionaria (d=0)' : adfDiff.isStationary ? 'Serie no estacionaria; la primera diferencia es estacionaria (d=1)' : 'Serie no estacionaria incluso tras diferenciar (d≥2)'}</li>
                     </ul>
                 </div>
                 <div class="model-suggestion">
@@ -920,9 +2381,10 @@ function generateRealACFPACFForStage2() {
             </div>
         </div>
     `;
+    initializeTransformPanel();
 
     // Renderizar gráficos ACF y PACF con Chart.js
-    const conf = 1.96 / Math.sqrt(prices.length);
+    const conf = 1.96 / Math.sqrt(series.length);
     const labels = Array.from({ length: 10 }, (_, i) => `Lag ${i}`);
     const acfCanvas = document.getElementById('stage2-acf-canvas');
     const pacfCanvas = document.getElementById('stage2-pacf-canvas');
@@ -1032,181 +2494,174 @@ function generateRealACFPACFForStage2() {
     }
 }
 
-// Generación del ranking de modelos candidatos para ETAPA 2
-function generateModelSelectionForStage2() {
-    const prices = dollarData.map(d => d.price);
-    const container = document.getElementById('model-selection-ranking-container');
-    if (!container || !prices || prices.length < 10) return;
+// Selector de transformación de la vista de identificación (ETAPA 2)
+function renderTransformPanel(prices, transform) {
+    const safeFixed = (v, d = 3) => (isFinite(v) ? v.toFixed(d) : 'N/A');
+    const lambdaGuerrero = guerreroLambda(prices, currentSeasonalPeriod());
+    const lambdaLogLik = boxCoxLogLikLambda(prices);
+    const { forecasts: path } = workingModelAnalysis();
+    const shown = [path[0], path[path.length - 1]].filter(Boolean);
+    return `
+        <div class="model-identification-card transform-card">
+            <h5><i class="fas fa-exchange-alt"></i> Transformación de la Serie</h5>
+            <div class="search-controls">
+                <label>Transformación
+                    <select id="series-transform">
+                        ${Object.entries(SERIES_TRANSFORMS).map(([key, t]) => `<option value="${key}" ${key === seriesTransform.type ? 'selected' : ''}>${t.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>λ de Box-Cox
+                    <select id="boxcox-lambda-method" ${seriesTransform.type === 'boxcox' ? '' : 'disabled'}>
+                        ${Object.entries(BOXCOX_LAMBDA_METHODS).map(([key, label]) => `<option value="${key}" ${key === seriesTransform.lambdaMethod ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <p><strong>Serie modelada:</strong> ${transform.label}${transform.type === 'logReturns' ? ' — ARIMA(p,d,q) sobre log(precio) equivale a ARIMA(p,d−1,q) sobre los retornos' : ''}.
+                λ estimado: Guerrero = ${safeFixed(lambdaGuerrero)}, máxima verosimilitud = ${safeFixed(lambdaLogLik)}.</p>
+            ${transform.warning ? `<p class="interpretation">⚠️ ${transform.warning}</p>` : ''}
+            <div class="ranking-table">
+                <table>
+                    <thead>
+                        <tr><th>Horizonte</th><th>Escala transformada</th><th>Media (sesgo corregido)</th><th>Mediana</th><th>IC 95% en precio</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(f => `
+                            <tr>
+                                <td>t+${f.period} (${horizonUnit(f.period)})</td>
+                                <td>${safeFixed(f.transformedForecast, 5)} ± ${safeFixed(1.96 * f.transformedSe, 5)}</td>
+                                <td>${safeFixed(f.forecast, 4)}</td>
+                                <td>${safeFixed(f.median, 4)}</td>
+                                <td>[${safeFixed(f.lower95, 4)}, ${safeFixed(f.upper95, 4)}]</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="interpretation">Los modelos de las etapas 3 a 5 se ajustan sobre la serie transformada. Los pronósticos vuelven a nivel de precio con corrección de sesgo (la media de y = f⁻¹(z) no es f⁻¹ de la media de z) y los intervalos se retransforman por cuantiles, por lo que pueden ser asimétricos.</p>
+        </div>
+    `;
+}
 
-    const safeFixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : 'N/A');
+function initializeTransformPanel() {
+    const typeSelect = document.getElementById('series-transform');
+    const lambdaSelect = document.getElementById('boxcox-lambda-method');
+    const onChange = () => {
+        seriesTransform = {
+            type: typeSelect ? typeSelect.value : seriesTransform.type,
+            lambdaMethod: lambdaSelect ? lambdaSelect.value : seriesTransform.lambdaMethod
+        };
+        refreshCurrentView();
+    };
+    if (typeSelect) typeSelect.addEventListener('change', onChange);
+    if (lambdaSelect) lambdaSelect.addEventListener('change', onChange);
+}
 
-    // Ajustar modelos sobre diferencias (d=1)
-    const ar1 = fitAR1OnDiff(prices);
-    const ma1 = fitMA1OnDiff(prices);
-    const arma11 = fitARMA11OnDiff(prices);
-
-    const logL_ar1 = -0.5 * ar1.residuals.length * (Math.log(2 * Math.PI) + Math.log(ar1.sigma2) + 1);
-    const models = [
-        {
-            name: 'ARIMA(1,1,0)',
-            AIC: ar1.AIC,
-            BIC: ar1.BIC,
-            logL: logL_ar1,
-            k: 2,
-            params: `φ=${safeFixed(ar1.phi,4)}`
-        },
-        {
-            name: 'ARIMA(0,1,1)',
-            AIC: ma1.AIC,
-            BIC: ma1.BIC,
-            logL: ma1.logL,
-            k: 2,
-            params: `θ=${safeFixed(ma1.theta,4)}`
-        },
-        {
-            name: 'ARIMA(1,1,1)',
-            AIC: arma11.AIC,
-            BIC: arma11.BIC,
-            logL: arma11.logL,
-            k: 3,
-            params: `φ=${safeFixed(arma11.phi,4)}, θ=${safeFixed(arma11.theta,4)}`
-        }
-    ].filter(m => isFinite(m.AIC) && isFinite(m.BIC));
+// Lee el espacio de búsqueda de auto-ARIMA desde los controles de la ETAPA 2 (si existen)
+function readAutoARIMAOptions() {
+    const readInt = (id, fallback) => {
+        const el = document.getElementById(id);
+        const v = el ? parseInt(el.value, 10) : NaN;
+        return isFinite(v) && v >= 0 ? v : fallback;
+    };
+    const criterionEl = document.getElementById('auto-arima-criterion');
+    const modeEl = document.getElementById('auto-arima-mode');
+    return {
+        maxP: Math.min(5, readInt('auto-arima-max-p', AUTO_ARIMA_DEFAULTS.maxP)),
+        maxQ: Math.min(5, readInt('auto-arima-max-q', AUTO_ARIMA_DEFAULTS.maxQ)),
+        maxD: Math.min(2, readInt('auto-arima-max-d', AUTO_ARIMA_DEFAULTS.maxD)),
+        criterion: criterionEl && ['AIC', 'AICc', 'BIC'].includes(criterionEl.value) ? criterionEl.value : AUTO_ARIMA_DEFAULTS.criterion,
+        stepwise: modeEl ? modeEl.value === 'stepwise' : AUTO_ARIMA_DEFAULTS.stepwise
+    };
+}
 
-    // Ordenar por AIC y empates por BIC
-    models.sort((a, b) => (a.AIC - b.AIC) || (a.BIC - b.BIC));
-    models.forEach((m, i) => { m.rank = i + 1; });
+// Generación del ranking de modelos candidatos para ETAPA 2 (búsqueda auto-ARIMA)
+async function generateModelSelectionForStage2() {
+    const prices = dollarData.map(d => d.price);
+    const container = document.getElementById('model-selection-ranking-container');
+    if (!container || !prices || prices.length < 10) return;
 
-    const top3 = models.slice(0, 3);
+    const safeFixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : 'N/A');
+    const yesNo = (ok) => (ok === null ? '—' : ok ? '✅' : '❌');
+
+    // Los candidatos se ajustan en el worker sobre la serie transformada elegida en la identificación;
+    // la familia ETS condiciona su verosimilitud a las primeras d observaciones para comparar con ARIMA(p,d,q)
+    const transform = activeSeriesTransform(prices);
+    const searchOptions = readAutoARIMAOptions();
+    const { search, etsCandidates } = await runViewTask(container, [searchOptions, seriesTransform, seriesFrequency], 'modelSearch', {
+        series: transformToModelScale(prices, transform),
+        search: searchOptions,
+        seasonalPeriod: currentSeasonalPeriod()
+    }, 'Búsqueda de modelos ARIMA y ETS', generateModelSelectionForStage2);
+    if (!container.isConnected) return;
+    const ranking = [...search.leaderboard, ...etsCandidates].sort(compareLeaderboardEntries);
+    ranking.forEach((m, i) => { m.rank = i + 1; });
+    const best = ranking.find(m => m.admissible) || null;
+    const bestETS = etsCandidates.filter(m => m.admissible).sort(compareLeaderboardEntries)[0];
+    const medal = (rank) => (rank === 1 ? ' 🥇' : rank === 2 ? ' 🥈' : rank === 3 ? ' 🥉' : '');
+    const paramsText = (m) => m.fit.coefficients.map(c => `${c.name}=${safeFixed(c.estimate, 4)}`).join(', ') || '—';
 
     const tableHtml = `
+        <div class="differencing-summary">
+            <p><strong>Serie modelada:</strong> ${transform.type === 'logReturns' ? 'log(precio); d = 1 corresponde a modelar los retornos logarítmicos' : transform.label}</p>
+            <p><strong>Orden de integración elegido:</strong> d = ${search.d}${search.differencing.tests.length ? ' (prueba ADF sobre la serie y sus diferencias)' : ' (fijado por el usuario)'}</p>
+            <ul>
+                ${search.differencing.tests.map(t => `
+                    <li>d = ${t.d}: estadístico ADF ${safeFixed(t.statistic, 3)}, p-valor ${isFinite(t.pValue) ? (t.pValue < 0.001 ? '<0.001' : t.pValue.toFixed(3)) : 'N/A'} → ${t.isStationary ? 'estacionaria' : 'raíz unitaria'}</li>
+                `).join('')}
+            </ul>
+        </div>
         <div class="ranking-table">
             <table>
                 <thead>
                     <tr>
+                        <th>Ranking</th>
                         <th>Modelo</th>
                         <th>AIC</th>
+                        <th>AICc</th>
                         <th>BIC</th>
                         <th>Log-Likelihood</th>
                         <th>Parámetros</th>
                         <th>k</th>
-                        <th>Ranking</th>
+                        <th>Convergencia</th>
+                        <th>Estacionario</th>
+                        <th>Invertible</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${top3.map(m => `
-                        <tr class="${m.rank === 1 ? 'selected-model' : ''}">
+                    ${ranking.map(m => `
+                        <tr class="${m === best ? 'selected-model' : ''}${m.admissible ? '' : ' rejected-model'}">
+                            <td>${m.rank}°${medal(m.rank)}</td>
                             <td><strong>${m.name}</strong></td>
                             <td>${safeFixed(m.AIC, 2)}</td>
+                            <td>${safeFixed(m.AICc, 2)}</td>
                             <td>${safeFixed(m.BIC, 2)}</td>
                             <td>${safeFixed(m.logL, 2)}</td>
-                            <td>${m.params}</td>
+                            <td>${paramsText(m)}</td>
                             <td>${m.k}</td>
-                            <td>${m.rank}° ${m.rank === 1 ? '🥇' : m.rank === 2 ? '🥈' : '🥉'}</td>
+                            <td>${yesNo(m.converged)}</td>
+                            <td>${yesNo(m.stationary)}</td>
+                            <td>${yesNo(m.invertible)}</td>
                         </tr>
                     `).join('')}
                 </tbody>
             </table>
         </div>
         <div class="ranking-summary">
-            <p><strong>Mejor modelo (AIC/BIC):</strong> ${top3.length ? top3[0].name : 'N/A'} — ${top3.length ? top3[0].params : ''}</p>
-            <p>Selección basada en máxima verosimilitud gaussiana y parsimonia.</p>
+            <p><strong>Mejor modelo (${search.criterion}):</strong> ${best ? `${best.name} — ${paramsText(best)}` : 'Ningún modelo admisible'}</p>
+            <p><strong>Mejor ARIMA:</strong> ${search.best ? `${search.best.name} (${search.criterion} = ${safeFixed(search.best.score, 2)})` : '—'} · <strong>Mejor ETS:</strong> ${bestETS ? `${bestETS.name} (${search.criterion} = ${safeFixed(bestETS.score, 2)})` : '—'}</p>
+            ${search.best ? `<p><strong>Modelo de trabajo (etapas 3 a 5):</strong> ${workingModelLabel()} <button id="use-best-arima" class="table-btn">Usar ${search.best.name}</button></p>` : ''}
+            <p>Búsqueda ${search.stepwise ? 'por pasos (Hyndman-Khandakar)' : 'exhaustiva'} con p ≤ ${search.space.maxP}, q ≤ ${search.space.maxQ}: ${search.leaderboard.length} modelos ARIMA ajustados por máxima verosimilitud exacta, más ${etsCandidates.length} modelos de suavizamiento exponencial (ETS aditivos, Holt-Winters con período ${currentSeasonalPeriod()}). La verosimilitud ETS se condiciona a las primeras d = ${search.d} observaciones para que los criterios sean comparables con los ARIMA con d = ${search.d}. Los modelos sin convergencia o con raíces AR/MA en |z| ≤ 1.01 se listan al final como no admisibles.</p>
         </div>
     `;
 
     container.innerHTML = tableHtml;
-}
-
-// Estimador MA(1) sobre diferencias (d=1) usando ρ(1)
-function fitMA1OnDiff(prices) {
-    if (!prices || prices.length < 3) {
-        return { theta: NaN, residuals: [], sigma2: NaN, logL: NaN, AIC: NaN, BIC: NaN };
-    }
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) returns.push(prices[i] - prices[i - 1]);
-    const n = returns.length;
-    const mean = returns.reduce((a, b) => a + b, 0) / n;
-    const x = returns.map(v => v - mean);
-    const acf = calculateACF(x, 2);
-    const rho1 = (Array.isArray(acf) && acf.length > 1 && isFinite(acf[1])) ? acf[1] : 0;
-    const theta = estimateThetaFromACF1(rho1);
-    let epsPrev = 0;
-    const residuals = [];
-    for (let t = 0; t < x.length; t++) {
-        const eps = x[t] - theta * epsPrev;
-        residuals.push(eps);
-        epsPrev = eps;
-    }
-    const nEff = residuals.length;
-    const sigma2 = residuals.reduce((s, e) => s + e * e, 0) / Math.max(1, nEff);
-    const logL = -0.5 * nEff * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1);
-    const k = 2;
-    const AIC = -2 * logL + 2 * k;
-    const BIC = -2 * logL + k * Math.log(Math.max(1, nEff));
-    return { theta, residuals, sigma2, logL, AIC, BIC };
-}
-
-// Estimador ARMA(1,1) sobre diferencias (d=1) por búsqueda en malla
-function fitARMA11OnDiff(prices) {
-    if (!prices || prices.length < 4) {
-        return { phi: NaN, theta: NaN, residuals: [], sigma2: NaN, logL: NaN, AIC: NaN, BIC: NaN };
-    }
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) returns.push(prices[i] - prices[i - 1]);
-    const n = returns.length;
-    const mean = returns.reduce((a, b) => a + b, 0) / n;
-    const x = returns.map(v => v - mean);
-
-    let bestPhi = 0, bestTheta = 0, bestSigma2 = Infinity;
-    const step = 0.1;
-    for (let phi = -0.9; phi <= 0.9; phi += step) {
-        for (let theta = -0.9; theta <= 0.9; theta += step) {
-            let epsPrev = 0;
-            let sse = 0;
-            let count = 0;
-            for (let t = 1; t < x.length; t++) {
-                const eps = x[t] - phi * x[t - 1] - theta * epsPrev;
-                epsPrev = eps;
-                sse += eps * eps;
-                count++;
-            }
-            const sigma2 = sse / Math.max(1, count);
-            if (sigma2 < bestSigma2) {
-                bestSigma2 = sigma2;
-                bestPhi = phi;
-                bestTheta = theta;
-            }
-        }
-    }
-
-    // Recalcular residuos con los mejores parámetros
-    let epsPrev = 0;
-    const residuals = [];
-    for (let t = 1; t < x.length; t++) {
-        const eps = x[t] - bestPhi * x[t - 1] - bestTheta * epsPrev;
-        residuals.push(eps);
-        epsPrev = eps;
+    const useBest = document.getElementById('use-best-arima');
+    if (useBest) {
+        useBest.addEventListener('click', () => {
+            analysisSettings = { ...analysisSettings, modelOrder: { ...search.best.order, includeConstant: search.best.includeConstant } };
+            refreshCurrentView();
+        });
     }
-    const nEff = residuals.length;
-    const sigma2 = residuals.reduce((s, e) => s + e * e, 0) / Math.max(1, nEff);
-    const logL = -0.5 * nEff * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1);
-    const k = 3;
-    const AIC = -2 * logL + 2 * k;
-    const BIC = -2 * logL + k * Math.log(Math.max(1, nEff));
-    return { phi: bestPhi, theta: bestTheta, residuals, sigma2, logL, AIC, BIC };
-}
-
-// Resuelve θ a partir de ρ(1) para MA(1) y elige raíz invertible
-function estimateThetaFromACF1(rho1) {
-    const r = Math.max(-0.49, Math.min(0.49, rho1));
-    if (Math.abs(r) < 1e-6) return 0;
-    const disc = 1 - 4 * r * r;
-    if (disc < 0) return 0;
-    const t1 = (1 - Math.sqrt(disc)) / (2 * r);
-    const t2 = (1 + Math.sqrt(disc)) / (2 * r);
-    let theta = Math.abs(t1) <= 1 ? t1 : t2;
-    if (Math.abs(theta) > 0.99) theta = Math.sign(theta) * 0.99;
-    return theta;
 }
 
 // Datos de las etapas y sus puntos}
@@ -1215,15 +2670,13 @@ function estimateThetaFromACF1(rho1) {
 function generateRealEstimationForStage3() {
     const prices = dollarData.map(d => d.price);
     const stats = calculateDescriptiveStats(prices);
-    const adf = adfTest(prices);
-    const est = fitAR1OnDiff(prices);
-    const phi = est.phi;
+    const { fit: est, transform } = workingModelAnalysis();
+    const phiCoef = est.coefficients.find(c => c.type === 'ar' && c.lag === 1) || {};
+    const phi = phiCoef.estimate;
     const sigma2 = est.sigma2;
-    const se_phi = est.se;
-    const t_phi = est.t;
-    const p_phi = est.pValue < 0.001 ? '< 0.001' : est.pValue.toFixed(4);
-    const ic_phi = [phi - 1.96 * se_phi, phi + 1.96 * se_phi];
-    const logLikelihood = -0.5 * est.residuals.length * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1);
+    const formatP = (p) => (isFinite(p) ? (p < 0.001 ? '< 0.001' : p.toFixed(4)) : '—');
+    const significantCount = est.coefficients.filter(c => isFinite(c.pValue) && c.pValue < 0.05).length;
+    const logLikelihood = est.logL;
     const AIC = est.AIC;
     const BIC = est.BIC;
     
@@ -1232,7 +2685,7 @@ function generateRealEstimationForStage3() {
         container.innerHTML = `
             <div class="estimation-analysis">
                 <div class="parameters-table">
-                    <h5>Estimaciones de Parámetros ARIMA(1,1,0)</h5>
+                    <h5>Estimaciones de Parámetros ${workingModelLabel()}${transform.type === 'none' ? '' : ` sobre ${transform.label.toLowerCase()}`}</h5>
                     <div class="table-container">
                         <table>
                             <thead>
@@ -1256,15 +2709,17 @@ function generateRealEstimationForStage3() {
                                     <td>—</td>
                                     <td>—</td>
                                 </tr>
+                                ${est.coefficients.map(c => `
                                 <tr>
-                                    <td><strong>φ₁</strong></td>
-                                    <td>${isFinite(phi) ? phi.toFixed(4) : '—'}</td>
-                                    <td>${isFinite(se_phi) ? se_phi.toFixed(4) : '—'}</td>
-                                    <td>${isFinite(t_phi) ? t_phi.toFixed(2) : '—'}</td>
-                                    <td>${p_phi}</td>
-                                    <td>${isFinite(ic_phi[0]) && isFinite(ic_phi[1]) ? `[${ic_phi[0].toFixed(4)}, ${ic_phi[1].toFixed(4)}]` : '—'}</td>
-                                    <td>${isFinite(t_phi) && Math.abs(t_phi) > 1.96 ? '✅ Significativo' : '❌ No Significativo'}</td>
+                                    <td><strong>${c.name}</strong></td>
+                                    <td>${isFinite(c.estimate) ? c.estimate.toFixed(4) : '—'}</td>
+                                    <td>${isFinite(c.se) ? c.se.toFixed(4) : '—'}</td>
+                                    <td>${isFinite(c.t) ? c.t.toFixed(2) : '—'}</td>
+                                    <td>${formatP(c.pValue)}</td>
+                                    <td>${isFinite(c.se) ? `[${c.ciLower.toFixed(4)}, ${c.ciUpper.toFixed(4)}]` : '—'}</td>
+                                    <td>${isFinite(c.pValue) && c.pValue < 0.05 ? '✅ Significativo' : '❌ No Significativo'}</td>
                                 </tr>
+                                `).join('')}
                             </tbody>
                         </table>
                     </div>
@@ -1305,9 +2760,9 @@ function generateRealEstimationForStage3() {
                 <div class="model-summary">
                     <h5>📋 Resumen del Modelo Estimado</h5>
                     <div class="model-equation">
-                        <h6>Ecuación ARIMA(1,1,0):</h6>
+                        <h6>Ecuación ${workingModelLabel(est.order)}:</h6>
                         <div class="equation-display">
-                            (1 - ${isFinite(phi) ? phi.toFixed(4) : '—'}L)(1-L)Xₜ = εₜ
+                            ${arimaEquationText(est)}
                         </div>
                         <p><strong>Donde:</strong> L es el operador de rezago, Xₜ es la serie temporal, εₜ ~ N(0, ${sigma2.toFixed(4)})</p>
                     </div>
@@ -1317,7 +2772,7 @@ function generateRealEstimationForStage3() {
                         <div class="quality-metrics">
                             <div class="metric">
                                 <span class="metric-label">Parámetros Significativos:</span>
-                                <span class="metric-value">${isFinite(t_phi) && Math.abs(t_phi) > 1.96 ? '1/1 ✅' : '0/1 ❌'}</span>
+                                <span class="metric-value">${significantCount}/${est.coefficients.length} ${significantCount === est.coefficients.length ? '✅' : '❌'}</span>
                             </div>
                             <div class="metric">
                                 <span class="metric-label">Condiciones de Estabilidad:</span>
@@ -1356,13 +2811,12 @@ function generateRealEstimationForStage3() {
 function generateFitMetricsForStage3() {
     const prices = dollarData.map(d => d.price);
     const returns = [];
-    for (let i = 1; i < prices.length; i++) returns.push(prices[i] - prices[i - 1]);
+    const { fit: est, transform } = workingModelAnalysis();
+    const series = transformToModelScale(prices, transform);
+    for (let i = 1; i < series.length; i++) returns.push(series[i] - series[i - 1]);
     const rStats = calculateDescriptiveStats(returns);
-    const est = fitAR1OnDiff(prices);
     const sigma2 = est.sigma2;
-    const nEff = est.residuals.length;
-    const k = 2; // φ1, σ² en AR(1) sobre diferencias
-    const logLikelihood = -0.5 * nEff * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1);
+    const logLikelihood = est.logL;
     const AIC = est.AIC;
     const BIC = est.BIC;
     const R2 = Math.max(0, Math.min(1, 1 - sigma2 / rStats.variance));
@@ -1409,17 +2863,8 @@ function generateFitMetricsForStage3() {
 
 // Función para generar análisis de residuos real para ETAPA 4
 function generateRealValidationForStage4() {
-    const prices = dollarData.map(d => d.price);
-    const est = fitAR1OnDiff(prices);
-    const residuals = est.residuals;
-    
-    const residualStats = calculateDescriptiveStats(residuals);
-    const residualOutliers = detectOutliers(residuals);
-    
-    // Pruebas estadísticas reales
-    const jb = computeJarqueBera(residuals);
-    const lb10 = ljungBoxTest(residuals, 10, 1);
-    const arch = archLMTest(residuals, 1);
+    const { residualStats, jarqueBera: jb, ljungBox, archLM: arch } = workingModelAnalysis();
+    const { 10: lb10, 15: lb15, 20: lb20 } = ljungBox;
     
     const container = document.getElementById('real-validation-container');
     if (container) {
@@ -1624,12 +3069,12 @@ function generateRealValidationForStage4() {
                                     <span>Ljung-Box (lag 10): ${isFinite(lb10.pValue) && lb10.pValue > 0.05 ? 'Aprobada' : 'Rechazada'} (p=${isFinite(lb10.pValue) ? lb10.pValue.toFixed(3) : '—'})</span>
                                 </div>
                                 <div class="summary-point">
-                                    <span class="point-icon">${typeof lb15 !== 'undefined' && isFinite(lb15.pValue) && lb15.pValue > 0.05 ? '✅' : '❌'}</span>
-                                    <span>Ljung-Box (lag 15): ${typeof lb15 !== 'undefined' && isFinite(lb15.pValue) && lb15.pValue > 0.05 ? 'Aprobada' : 'Rechazada'} (p=${typeof lb15 !== 'undefined' && isFinite(lb15.pValue) ? lb15.pValue.toFixed(3) : '—'})</span>
+                                    <span class="point-icon">${isFinite(lb15.pValue) && lb15.pValue > 0.05 ? '✅' : '❌'}</span>
+                                    <span>Ljung-Box (lag 15): ${isFinite(lb15.pValue) && lb15.pValue > 0.05 ? 'Aprobada' : 'Rechazada'} (p=${isFinite(lb15.pValue) ? lb15.pValue.toFixed(3) : '—'})</span>
                                 </div>
                                 <div class="summary-point">
-                                    <span class="point-icon">${typeof lb20 !== 'undefined' && isFinite(lb20.pValue) && lb20.pValue > 0.05 ? '✅' : '❌'}</span>
-                                    <span>Ljung-Box (lag 20): ${typeof lb20 !== 'undefined' && isFinite(lb20.pValue) && lb20.pValue > 0.05 ? 'Aprobada' : 'Rechazada'} (p=${typeof lb20 !== 'undefined' && isFinite(lb20.pValue) ? lb20.pValue.toFixed(3) : '—'})</span>
+                                    <span class="point-icon">${isFinite(lb20.pValue) && lb20.pValue > 0.05 ? '✅' : '❌'}</span>
+                                    <span>Ljung-Box (lag 20): ${isFinite(lb20.pValue) && lb20.pValue > 0.05 ? 'Aprobada' : 'Rechazada'} (p=${isFinite(lb20.pValue) ? lb20.pValue.toFixed(3) : '—'})</span>
                                 </div>
                                 <div class="summary-point">
                                     <span class="point-icon">${isFinite(jb.pValue) && jb.pValue > 0.05 ? '✅' : '❌'}</span>
@@ -1645,7 +3090,7 @@ function generateRealValidationForStage4() {
                         <div class="summary-card final-validation">
                             <h6>🏆 Validación Final</h6>
                             <div class="validation-conclusion">
-                                <p><strong>Validación del modelo ARIMA(1,1,0) (AR(1) sobre diferencias):</strong></p>
+                                <p><strong>Validación del modelo ${workingModelLabel()}:</strong></p>
                                 <div class="validation-score">
                                     <span class="score-label">Puntuación de Validación:</span>
                                     <span class="score-value">${[isFinite(lb10.pValue) && lb10.pValue > 0.05, isFinite(jb.pValue) && jb.pValue > 0.05, isFinite(arch.pValue) && arch.pValue > 0.05].filter(Boolean).length}/3 - ${([isFinite(lb10.pValue) && lb10.pValue > 0.05, isFinite(jb.pValue) && jb.pValue > 0.05, isFinite(arch.pValue) && arch.pValue > 0.05].filter(Boolean).length === 3) ? 'EXCELENTE' : 'PARCIAL'}</span>
@@ -1662,51 +3107,23 @@ function generateRealValidationForStage4() {
 
 // Función para generar pronósticos reales para ETAPA 5
 function generateRealForecastsForStage5() {
-    const prices = dollarData.map(d => d.price);
-    const est = fitAR1OnDiff(prices);
-    const phi = est.phi;
-    const residuals = est.residuals || [];
-    const nRes = residuals.length;
-    const sigma2 = nRes > 0 ? residuals.reduce((acc, v) => acc + v*v, 0) / nRes : NaN;
-    const lastPrice = prices[prices.length - 1];
-    const lastDiff = prices.length > 1 ? (prices[prices.length - 1] - prices[prices.length - 2]) : 0;
-    
-    // Horizonte de pronóstico
-    const forecastHorizon = 12;
-    const diffForecasts = new Array(forecastHorizon);
-    const pointForecasts = new Array(forecastHorizon);
-    const seForecasts = new Array(forecastHorizon);
-    
-    // Pronóstico de diferencias por AR(1)
-    diffForecasts[0] = isFinite(phi) ? phi * lastDiff : NaN;
-    for (let h = 2; h <= forecastHorizon; h++) {
-        diffForecasts[h-1] = isFinite(phi) ? phi * diffForecasts[h-2] : NaN;
-    }
-    
-    // Acumulación a niveles y cálculo de errores estándar mediante pesos AR(1)
-    for (let h = 1; h <= forecastHorizon; h++) {
-        const sumDiff = diffForecasts.slice(0, h).reduce((a, b) => a + (isFinite(b) ? b : 0), 0);
-        const yHat = isFinite(lastPrice) ? lastPrice + sumDiff : NaN;
-        pointForecasts[h-1] = yHat;
-        
-        let varSum = 0;
-        if (isFinite(sigma2) && isFinite(phi)) {
-            for (let m = 1; m <= h; m++) {
-                const weight = (1 - Math.pow(phi, h - m + 1)) / (1 - phi);
-                varSum += weight * weight;
-            }
-        } else {
-            varSum = NaN;
-        }
-        seForecasts[h-1] = isFinite(varSum) ? Math.sqrt(sigma2 * varSum) : NaN;
-    }
+    const forecastHorizon = analysisSettings.horizon;
+    const levels = analysisSettings.confidenceLevels;
+    const outerLevel = Math.max(...levels);
+    // Modelo de trabajo sobre la serie transformada; pronósticos retransformados a nivel de precio
+    const { fit: est, forecasts: forecastPath } = workingModelAnalysis();
+    const phi = est.ar[0];
+    const sigma2 = est.sigma2;
+
+    const pointForecasts = forecastPath.map(f => f.forecast);
+    const seForecasts = forecastPath.map(f => f.se);
     
     const container = document.getElementById('real-forecasts-container');
     if (container) {
         container.innerHTML = `
             <div class="forecasts-analysis">
                 <div class="forecast-results">
-                    <h5>🔮 Pronósticos ARIMA(1,1,0) deterministas</h5>
+                    <h5>🔮 Pronósticos ${workingModelLabel()} deterministas</h5>
                     <div class="forecasts-grid">
                         <div class="forecast-table-container">
                             <h6>Pronósticos Puntuales e Intervalos de Confianza (sin simulación)</h6>
@@ -1717,32 +3134,28 @@ function generateRealForecastsForStage5() {
                                         <th>Fecha</th>
                                         <th>Pronóstico</th>
                                         <th>Error Estándar</th>
-                                        <th>IC 80%</th>
-                                        <th>IC 95%</th>
+                                        ${levels.map(level => `<th>IC ${level}%</th>`).join('')}
                                     </tr>
                                 </thead>
                                 <tbody>
                                     ${pointForecasts.slice(0, 6).map((yHat, i) => {
                                         const h = i + 1;
                                         const se = seForecasts[i];
-                                        const ic80 = isFinite(se) ? { lower: yHat - 1.2816 * se, upper: yHat + 1.2816 * se } : { lower: NaN, upper: NaN };
-                                        const ic95 = isFinite(se) ? { lower: yHat - 1.96 * se, upper: yHat + 1.96 * se } : { lower: NaN, upper: NaN };
-                                        const date = getNextBusinessDay(dollarData[dollarData.length - 1].date, h);
+                                        const date = forecastDate(dollarData[dollarData.length - 1].date, h, seriesFrequency, businessCalendar());
                                         return `
                                             <tr>
                                                 <td>t+${h}</td>
                                                 <td>${date}</td>
                                                 <td>${isFinite(yHat) ? yHat.toFixed(4) : '—'}</td>
                                                 <td>${isFinite(se) ? se.toFixed(4) : '—'}</td>
-                                                <td>${isFinite(ic80.lower) && isFinite(ic80.upper) ? `[${ic80.lower.toFixed(4)}, ${ic80.upper.toFixed(4)}]` : '—'}</td>
-                                                <td>${isFinite(ic95.lower) && isFinite(ic95.upper) ? `[${ic95.lower.toFixed(4)}, ${ic95.upper.toFixed(4)}]` : '—'}</td>
+                                                ${forecastPath[i].intervals.map(ci => `<td>${isFinite(ci.lower) && isFinite(ci.upper) ? `[${ci.lower.toFixed(4)}, ${ci.upper.toFixed(4)}]` : '—'}</td>`).join('')}
                                             </tr>
                                         `;
                                     }).join('')}
                                     <tr class="forecast-summary-row">
-                                        <td colspan="6">
-                                            <strong>Pronóstico t+12:</strong> ${isFinite(pointForecasts[11]) ? pointForecasts[11].toFixed(4) : '—'}
-                                            <span style="margin-left:1rem"><strong>IC 95%:</strong> ${isFinite(seForecasts[11]) && isFinite(pointForecasts[11]) ? `[${(pointForecasts[11]-1.96*seForecasts[11]).toFixed(4)}, ${(pointForecasts[11]+1.96*seForecasts[11]).toFixed(4)}]` : '—'}</span>
+                                        <td colspan="${4 + levels.length}">
+                                            <strong>Pronóstico t+${forecastHorizon}:</strong> ${isFinite(pointForecasts[forecastHorizon - 1]) ? pointForecasts[forecastHorizon - 1].toFixed(4) : '—'}
+                                            <span style="margin-left:1rem"><strong>IC ${outerLevel}%:</strong> ${formatLevelInterval(forecastPath[forecastHorizon - 1], outerLevel, 4)}</span>
                                         </td>
                                     </tr>
                                 </tbody>
@@ -1766,8 +3179,8 @@ function generateRealForecastsForStage5() {
                             <div class="interpretation-content">
                                 <ul>
                                     <li>Resultados 100% deterministas basados en datos reales (datos.txt).</li>
-                                    <li>Modelo: ARIMA(1,1,0) ajustado como AR(1) sobre diferencias.</li>
-                                    <li>Intervalos: derivados de σ² de residuos y pesos AR(1).</li>
+                                    <li>Modelo: ${workingModelLabel()} ajustado por máxima verosimilitud exacta (filtro de Kalman).</li>
+                                    <li>Intervalos: derivados de σ² de residuos y pesos ψ del modelo integrado.</li>
                                     <li>Métricas de precisión fuera de muestra (MAE/RMSE/MAPE) no se muestran sin valores reales futuros.</li>
                                 </ul>
                             </div>
@@ -1789,16 +3202,17 @@ function generateRealForecastsForStage5() {
         if (ctx && typeof Chart !== 'undefined') {
             const labels = Array.from({ length: forecastHorizon }, (_, i) => `t+${i+1}`);
             const dataForecast = pointForecasts.map(v => (isFinite(v) ? v : null));
-            const dataCIUpper = pointForecasts.map((v, i) => (isFinite(v) && isFinite(seForecasts[i]) ? v + 1.96 * seForecasts[i] : null));
-            const dataCILower = pointForecasts.map((v, i) => (isFinite(v) && isFinite(seForecasts[i]) ? v - 1.96 * seForecasts[i] : null));
+            const outer = forecastPath.map(f => f.intervals.find(ci => ci.level === outerLevel));
+            const dataCIUpper = outer.map(ci => (ci && isFinite(ci.upper) ? ci.upper : null));
+            const dataCILower = outer.map(ci => (ci && isFinite(ci.lower) ? ci.lower : null));
             new Chart(ctx, {
                 type: 'line',
                 data: {
                     labels,
                     datasets: [
                         { label: 'Pronóstico', data: dataForecast, borderColor: '#007bff', fill: false },
-                        { label: 'IC 95% Superior', data: dataCIUpper, borderColor: 'rgba(40,167,69,0.6)', borderDash: [5,5], fill: false },
-                        { label: 'IC 95% Inferior', data: dataCILower, borderColor: 'rgba(220,53,69,0.6)', borderDash: [5,5], fill: false }
+                        { label: `IC ${outerLevel}% Superior`, data: dataCIUpper, borderColor: 'rgba(40,167,69,0.6)', borderDash: [5,5], fill: false },
+                        { label: `IC ${outerLevel}% Inferior`, data: dataCILower, borderColor: 'rgba(220,53,69,0.6)', borderDash: [5,5], fill: false }
                     ]
                 },
                 options: { responsive: true, plugins: { legend: { position: 'top' } }, scales: { y: { beginAtZero: false } } }
@@ -1809,46 +3223,12 @@ function generateRealForecastsForStage5() {
 
 // Función específica: Generación de pronósticos con intervalos de confianza (ETAPA 5)
 function generateForecastGenerationForStage5() {
-    const prices = dollarData.map(d => d.price);
-    const stats = calculateDescriptiveStats(prices);
-    const est = fitAR1OnDiff(prices);
-    const phi = est.phi;
-    const residuals = est.residuals || [];
-    const nRes = residuals.length;
-    const sigma2 = nRes > 0 ? residuals.reduce((acc, v) => acc + v*v, 0) / nRes : NaN;
-    const forecastHorizon = 12;
-    const forecasts = [];
-    const confidenceIntervals95 = [];
-    const confidenceIntervals80 = [];
-
-    const phi1 = 0.65, phi2 = -0.23, theta1 = 0.45;
-    const sigma = isFinite(sigma2) ? Math.sqrt(sigma2) : Math.sqrt(stats.variance * 0.3);
-    const lastPrice = prices[prices.length - 1];
-    const secondLastPrice = prices[prices.length - 2];
-
-    const lastDiff = prices.length > 1 ? (prices[prices.length - 1] - prices[prices.length - 2]) : 0;
-    const diffForecasts = new Array(forecastHorizon);
-    diffForecasts[0] = isFinite(phi) ? phi * lastDiff : NaN;
-    for (let h = 2; h <= forecastHorizon; h++) {
-        diffForecasts[h-1] = isFinite(phi) ? phi * diffForecasts[h-2] : NaN;
-    }
-    for (let h = 1; h <= forecastHorizon; h++) {
-        const sumDiff = diffForecasts.slice(0, h).reduce((a, b) => a + (isFinite(b) ? b : 0), 0);
-        const forecast = isFinite(lastPrice) ? lastPrice + sumDiff : NaN;
-        let varSum = 0;
-        if (isFinite(sigma2) && isFinite(phi)) {
-            for (let m = 1; m <= h; m++) {
-                const weight = (1 - Math.pow(phi, h - m + 1)) / (1 - phi);
-                varSum += weight * weight;
-            }
-        } else {
-            varSum = NaN;
-        }
-        const se = isFinite(varSum) ? Math.sqrt(sigma2 * varSum) : (sigma * Math.sqrt(1 + 0.1 * (h - 1)));
-        confidenceIntervals95.push({ lower: forecast - 1.96 * se, upper: forecast + 1.96 * se });
-        confidenceIntervals80.push({ lower: forecast - 1.2816 * se, upper: forecast + 1.2816 * se });
-        forecasts.push(forecast);
-    }
+    const forecastHorizon = analysisSettings.horizon;
+    const levels = analysisSettings.confidenceLevels;
+    const outerLevel = Math.max(...levels);
+    const { forecasts: forecastPath } = workingModelAnalysis();
+    const forecasts = forecastPath.map(f => f.forecast);
+    const seForecasts = forecastPath.map(f => f.se);
 
     const container = document.getElementById('generation-forecasts-container');
     if (container) {
@@ -1865,28 +3245,21 @@ function generateForecastGenerationForStage5() {
                                         <th>Período</th>
                                         <th>Pronóstico</th>
                                         <th>Error Estándar</th>
-                                        <th>IC 80%</th>
-                                        <th>IC 95%</th>
+                                        ${levels.map(level => `<th>IC ${level}%</th>`).join('')}
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    ${forecasts.slice(0, 6).map((forecast, i) => {
-                                        const se = sigma * Math.sqrt(1 + 0.1 * i);
-                                        const ci80 = confidenceIntervals80[i];
-                                        const ci95 = confidenceIntervals95[i];
-                                        return `
-                                            <tr>
-                                                <td>t+${i + 1}</td>
-                                                <td>${forecast.toFixed(2)}</td>
-                                                <td>${se.toFixed(3)}</td>
-                                                <td>[${ci80.lower.toFixed(2)}, ${ci80.upper.toFixed(2)}]</td>
-                                                <td>[${ci95.lower.toFixed(2)}, ${ci95.upper.toFixed(2)}]</td>
-                                            </tr>
-                                        `;
-                                    }).join('')}
+                                    ${forecasts.slice(0, 6).map((forecast, i) => `
+                                        <tr>
+                                            <td>t+${i + 1}</td>
+                                            <td>${forecast.toFixed(2)}</td>
+                                            <td>${seForecasts[i].toFixed(3)}</td>
+                                            ${forecastPath[i].intervals.map(ci => `<td>[${ci.lower.toFixed(2)}, ${ci.upper.toFixed(2)}]</td>`).join('')}
+                                        </tr>
+                                    `).join('')}
                                     <tr class="forecast-summary-row">
-                                        <td colspan="5">
-                                            <strong>Pronóstico a 12 meses: ${forecasts[11].toFixed(2)} ± ${(1.96 * sigma * Math.sqrt(1 + 0.1 * 11)).toFixed(2)}</strong>
+                                        <td colspan="${3 + levels.length}">
+                                            <strong>Pronóstico a ${horizonUnit(forecastHorizon)}: ${forecasts[forecastHorizon - 1].toFixed(2)} (IC ${outerLevel}%: ${formatLevelInterval(forecastPath[forecastHorizon - 1], outerLevel, 2)})</strong>
                                         </td>
                                     </tr>
                                 </tbody>
@@ -1906,25 +3279,28 @@ function generateForecastGenerationForStage5() {
 }
 
 // Función específica: Evaluación de precisión (ETAPA 5)
-function generatePrecisionEvaluationForStage5() {
+async function generatePrecisionEvaluationForStage5() {
     // Backtesting determinista: últimos períodos como holdout con 1-paso adelante
     const prices = dollarData.map(d => d.price);
     const n = prices.length;
-    const horizonTest = Math.min(12, Math.max(3, Math.floor(n * 0.1)));
+    const horizonTest = holdoutLength(n);
     const startTest = n - horizonTest;
     const actuals = prices.slice(startTest);
-    const preds = [];
-
-    for (let i = startTest; i < n; i++) {
-        const train = prices.slice(0, i);
-        const est = fitAR1OnDiff(train);
-        const phi = est.phi;
-        const lastPriceTrain = train[train.length - 1];
-        const lastDiffTrain = train.length > 1 ? (train[train.length - 1] - train[train.length - 2]) : 0;
-        const predDiff = isFinite(phi) ? phi * lastDiffTrain : NaN;
-        const yHat = isFinite(lastPriceTrain) && isFinite(predDiff) ? lastPriceTrain + predDiff : NaN;
-        preds.push(yHat);
-    }
+    const forecastHorizon = analysisSettings.horizon;
+    const container = document.getElementById('precision-evaluation-container');
+    if (!container) return;
+
+    // Reestimaciones por origen, ETS y referencias en el worker; el ajuste completo es el modelo de trabajo
+    const taskSettings = workingModelTaskSettings();
+    const backtest = await runViewTask(container, [taskSettings, forecastHorizon], 'holdoutBacktest', {
+        prices,
+        startTest,
+        horizon: forecastHorizon,
+        ...taskSettings
+    }, 'Backtesting a 1 paso', generatePrecisionEvaluationForStage5);
+    await ensureWorkingModel();
+    if (!container.isConnected) return;
+    const preds = backtest.arima;
 
     let absSum = 0, sqSum = 0, apeSum = 0, count = 0;
     const rows = [];
@@ -1947,7 +3323,51 @@ function generatePrecisionEvaluationForStage5() {
     const rmse = count ? Math.sqrt(sqSum / count) : NaN;
     const mape = count ? (100 * (apeSum / count)) : NaN;
 
-    const container = document.getElementById('precision-evaluation-container');
+    // Comparación con ETS y métodos de referencia sobre el mismo holdout a 1 paso
+    const z95 = normalQuantile(0.975);
+    const trainPrices = prices.slice(0, startTest);
+    const previous = prices.slice(startTest - 1, n - 1);
+    const arimaFull = workingModelAnalysis();
+    const transformed = arimaFull.transform.type !== 'none';
+    const candidates = [{
+        label: `${workingModelLabel()}${transformed ? ` · ${arimaFull.transform.label}` : ''}`,
+        family: 'ARIMA',
+        predictions: preds,
+        path: arimaFull.forecasts,
+        // El AICc de un modelo sobre la serie transformada no es comparable con los ajustados en precios
+        AICc: transformed ? NaN : arimaFull.fit.AICc
+    }, ...backtest.ets, ...backtest.benchmarks];
+    const comparison = candidates.map(c => ({
+        ...c,
+        metrics: computeForecastAccuracy(actuals, c.predictions, { train: trainPrices, previous })
+    }));
+    const randomWalk = comparison.find(c => c.method === 'naive');
+    comparison.forEach(c => { c.skill = forecastSkillScore(c.metrics, randomWalk.metrics); });
+
+    // Diebold-Mariano por pares sobre los errores del holdout (pérdida cuadrática y absoluta)
+    const holdoutErrors = comparison.map(c => actuals.map((y, k) => y - c.predictions[k]));
+    const dmMatrix = (loss) => comparison.map((_, i) => comparison.map((__, j) => (i === j
+        ? null
+        : dieboldMarianoTest(holdoutErrors[i], holdoutErrors[j], { h: 1, loss }))));
+    const dmTables = [
+        { loss: 'squared', label: 'Pérdida cuadrática (e²)', matrix: dmMatrix('squared') },
+        { loss: 'absolute', label: 'Pérdida absoluta (|e|)', matrix: dmMatrix('absolute') }
+    ];
+    const dmCell = (test) => {
+        if (!test) return '<td class="dm-diagonal">—</td>';
+        if (!isFinite(test.statistic)) return '<td title="Pronósticos indistinguibles">n/d</td>';
+        const significant = test.pValue < 0.05;
+        const arrow = test.statistic < 0 ? '▲' : '▼';
+        return `<td class="${significant ? (test.statistic < 0 ? 'dm-better' : 'dm-worse') : ''}" title="DM* = ${test.statistic.toFixed(3)}">${arrow} ${test.pValue < 0.001 ? '&lt;0.001' : test.pValue.toFixed(3)}</td>`;
+    };
+    const bestRMSE = Math.min(...comparison.map(c => (isFinite(c.metrics.rmse) ? c.metrics.rmse : Infinity)));
+    const formatInterval = (f) => {
+        if (!f || !isFinite(f.forecast)) return '—';
+        const lower = isFinite(f.lower95) ? f.lower95 : f.forecast - z95 * f.se;
+        const upper = isFinite(f.upper95) ? f.upper95 : f.forecast + z95 * f.se;
+        return isFinite(lower) && isFinite(upper) ? `${f.forecast.toFixed(4)} [${lower.toFixed(4)}, ${upper.toFixed(4)}]` : '—';
+    };
+
     if (container) {
         container.innerHTML = `
             <div class="precision-metrics">
@@ -1997,6 +3417,71 @@ function generatePrecisionEvaluationForStage5() {
                         </tbody>
                     </table>
                 </div>
+                <div class="forecast-table-container" style="margin-top:1rem">
+                    <h6>Comparación ARIMA vs Suavizamiento Exponencial (ETS) y Métodos de Referencia</h6>
+                    <div class="ranking-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Modelo</th>
+                                    <th>Familia</th>
+                                    <th>AICc</th>
+                                    <th>MAE</th>
+                                    <th>RMSE</th>
+                                    <th>MAPE</th>
+                                    <th>MASE</th>
+                                    <th>U de Theil</th>
+                                    <th>Skill vs RW</th>
+                                    <th>t+1 (IC 95%)</th>
+                                    <th>t+${forecastHorizon} (IC 95%)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${comparison.map(c => `
+                                    <tr class="${c.metrics.rmse === bestRMSE ? 'selected-model' : ''}">
+                                        <td><strong>${c.label}</strong></td>
+                                        <td>${c.family}</td>
+                                        <td>${isFinite(c.AICc) ? c.AICc.toFixed(2) : '—'}</td>
+                                        <td>${isFinite(c.metrics.mae) ? c.metrics.mae.toFixed(4) : '—'}</td>
+                                        <td>${isFinite(c.metrics.rmse) ? c.metrics.rmse.toFixed(4) : '—'}</td>
+                                        <td>${isFinite(c.metrics.mape) ? c.metrics.mape.toFixed(2) + '%' : '—'}</td>
+                                        <td>${isFinite(c.metrics.mase) ? c.metrics.mase.toFixed(3) : '—'}</td>
+                                        <td>${isFinite(c.metrics.theilU) ? c.metrics.theilU.toFixed(3) : '—'}</td>
+                                        <td>${isFinite(c.skill) ? (100 * c.skill).toFixed(1) + '%' : '—'}</td>
+                                        <td>${formatInterval(c.path[0])}</td>
+                                        <td>${formatInterval(c.path[forecastHorizon - 1])}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p class="interpretation">Los modelos ETS se estiman en los primeros ${startTest} datos y pronostican a 1 paso el holdout con parámetros fijos; sus intervalos provienen de la forma de espacio de estados. Los métodos de referencia se recalculan en cada origen. MASE escala el MAE con el error medio del naive dentro de muestra; U de Theil &lt; 1 y skill score &gt; 0 indican que el modelo supera al paseo aleatorio. El AICc de ETS se calcula condicionado a las primeras d = ${workingModelOrder().d} observaciones para ser comparable con el ARIMA.</p>
+                </div>
+                <div class="forecast-table-container" style="margin-top:1rem">
+                    <h6>Prueba de Diebold-Mariano por pares (corrección HLN, n = ${actuals.length}, h = 1)</h6>
+                    ${dmTables.map(t => `
+                        <div class="ranking-table dm-matrix" style="margin-top:0.75rem">
+                            <p><strong>${t.label}</strong></p>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Fila vs columna</th>
+                                        ${comparison.map(c => `<th>${c.label}</th>`).join('')}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${comparison.map((c, i) => `
+                                        <tr>
+                                            <td><strong>${c.label}</strong></td>
+                                            ${t.matrix[i].map(dmCell).join('')}
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `).join('')}
+                    <p class="interpretation">Cada celda muestra el p-valor de H0: igual precisión (t de Student con n−1 g.l.). ▲ indica que el modelo de la fila tiene menor pérdida media que el de la columna y ▼ lo contrario; en verde/rojo las diferencias significativas al 5%. "n/d" indica pronósticos prácticamente idénticos.</p>
+                </div>
             </div>
         `;
     }
@@ -2005,22 +3490,10 @@ function generatePrecisionEvaluationForStage5() {
 // Función específica: Interpretación y recomendaciones (ETAPA 5)
 function generateInterpretationForStage5() {
     const prices = dollarData.map(d => d.price);
-    const forecastHorizon = 12;
-    const forecasts = [];
+    const forecastHorizon = analysisSettings.horizon;
     const lastPrice = prices[prices.length - 1];
-    const est = fitAR1OnDiff(prices);
-    const phi = est.phi;
-    const lastDiff = prices.length > 1 ? (prices[prices.length - 1] - prices[prices.length - 2]) : 0;
-    const diffForecasts = new Array(forecastHorizon);
-    diffForecasts[0] = isFinite(phi) ? phi * lastDiff : NaN;
-    for (let h = 2; h <= forecastHorizon; h++) {
-        diffForecasts[h-1] = isFinite(phi) ? phi * diffForecasts[h-2] : NaN;
-    }
-    for (let h = 1; h <= forecastHorizon; h++) {
-        const sumDiff = diffForecasts.slice(0, h).reduce((a, b) => a + (isFinite(b) ? b : 0), 0);
-        const yHat = isFinite(lastPrice) ? lastPrice + sumDiff : NaN;
-        forecasts.push(yHat);
-    }
+    const forecasts = workingModelAnalysis().forecasts.map(f => f.forecast);
+    const finalForecast = forecasts[forecastHorizon - 1];
 
     const container = document.getElementById('interpretation-container');
     if (container) {
@@ -2031,10 +3504,10 @@ function generateInterpretationForStage5() {
                     <div class="interpretation-card">
                         <h6>📈 Tendencia Proyectada</h6>
                         <div class="interpretation-content">
-                            <p>Proyección a 12 meses sugiere una <strong>tendencia alcista moderada</strong>:</p>
+                            <p>Proyección a ${horizonUnit(forecastHorizon)} sugiere una <strong>tendencia alcista moderada</strong>:</p>
                             <ul>
-                                <li>Incremento promedio: ${((forecasts[11] - lastPrice) / 12).toFixed(3)} por período</li>
-                                <li>Proyección a 12 meses: ${forecasts[11].toFixed(2)} (${(((forecasts[11] - lastPrice) / lastPrice) * 100).toFixed(1)}% de incremento)</li>
+                                <li>Incremento promedio: ${((finalForecast - lastPrice) / forecastHorizon).toFixed(3)} por período</li>
+                                <li>Proyección a ${horizonUnit(forecastHorizon)}: ${finalForecast.toFixed(2)} (${(((finalForecast - lastPrice) / lastPrice) * 100).toFixed(1)}% de incremento)</li>
                                 <li>Incertidumbre controlada (IC estrechos en primeros horizontes)</li>
                             </ul>
                         </div>
@@ -2065,6 +3538,310 @@ function generateInterpretationForStage5() {
     }
 }
 
+// Función específica: Modelos de volatilidad GARCH/GJR/EGARCH e intervalos dinámicos (ETAPA 5)
+async function generateVolatilityForStage5() {
+    const prices = dollarData.map(d => d.price);
+    const container = document.getElementById('volatility-models-container');
+    if (!container) return;
+    // Modelo de media y GARCH en la escala del modelo de trabajo, como las etapas 4 y 5
+    const transform = activeSeriesTransform(prices);
+    const order = workingModelOrder();
+    const { est, fits } = await runViewTask(container, [order, seriesTransform], 'volatilityModels',
+        { series: transformToModelScale(prices, transform), order },
+        'Estimación de modelos de volatilidad', generateVolatilityForStage5);
+    if (!container.isConnected) return;
+    const residuals = est.residuals;
+    if (residuals.length < 30) {
+        container.innerHTML = '<p>Se requieren al menos 30 residuos para estimar modelos de volatilidad.</p>';
+        return;
+    }
+
+    // Referencia homocedástica: varianza constante (un parámetro)
+    const n = residuals.length;
+    const constVar = residuals.reduce((a, e) => a + e * e, 0) / n;
+    const constLogL = -0.5 * n * (Math.log(2 * Math.PI) + Math.log(constVar) + 1);
+    const constantModel = { label: 'Varianza constante', logL: constLogL, AIC: -2 * constLogL + 2, BIC: -2 * constLogL + Math.log(n) };
+    const best = fits.filter(f => isFinite(f.AIC)).sort((a, b) => a.AIC - b.AIC)[0];
+    const garchPreferred = best && best.AIC < constantModel.AIC;
+
+    // Intervalos al 95% retransformados a nivel de precio con la varianza constante y con la condicional
+    const horizon = analysisSettings.horizon;
+    const transformedPath = best ? forecastARIMAGARCH(est, best, horizon) : forecastARIMA(est, horizon).map(f => ({ ...f, seConstant: f.se, sigma2: NaN }));
+    const path = transformedPath.map(f => {
+        const constant = backTransformForecast(f.forecast, f.seConstant, transform, [95]);
+        return {
+            period: f.period,
+            forecast: constant.forecast,
+            sigma2: f.sigma2,
+            constantInterval: constant.intervals[0],
+            conditionalInterval: backTransformForecast(f.forecast, f.se, transform, [95]).intervals[0]
+        };
+    });
+    const safeFixed = (v, d = 4) => (isFinite(v) ? v.toFixed(d) : '—');
+    const formatP = (p) => (isFinite(p) ? (p < 0.001 ? '< 0.001' : p.toFixed(3)) : '—');
+    const diagnostics = fits.map(f => ({
+        lb: ljungBoxTest(f.standardized.map(z => z * z), 10),
+        arch: archLMTest(f.standardized, 5)
+    }));
+    const rawArch = archLMTest(residuals, 5);
+
+    container.innerHTML = `
+        <div class="volatility-analysis">
+            <div class="forecast-table-container">
+                <h5>📉 Comparación de Modelos de Volatilidad (residuos ARIMA(${est.order.p},${est.order.d},${est.order.q})${transform.type !== 'none' ? ` · ${transform.label}` : ''})</h5>
+                <p>ARCH-LM(5) sobre los residuos del modelo de media: LM = ${safeFixed(rawArch.LM, 3)}, p-valor ${formatP(rawArch.pValue)}.</p>
+                <div class="ranking-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Modelo</th>
+                                <th>log L</th>
+                                <th>AIC</th>
+                                <th>BIC</th>
+                                <th>Persistencia</th>
+                                <th>Vida media</th>
+                                <th>σ incondicional</th>
+                                <th>LB(10) z² p</th>
+                                <th>ARCH(5) z p</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr class="${garchPreferred ? 'rejected-model' : 'selected-model'}">
+                                <td>${constantModel.label}</td>
+                                <td>${safeFixed(constantModel.logL, 2)}</td>
+                                <td>${safeFixed(constantModel.AIC, 2)}</td>
+                                <td>${safeFixed(constantModel.BIC, 2)}</td>
+                                <td>—</td>
+                                <td>—</td>
+                                <td>${safeFixed(Math.sqrt(constVar), 5)}</td>
+                                <td>—</td>
+                                <td>${formatP(rawArch.pValue)}</td>
+                            </tr>
+                            ${fits.map((f, i) => `
+                                <tr class="${f === best && garchPreferred ? 'selected-model' : ''}">
+                                    <td>${f.label}${f.converged ? '' : ' ⚠️'}</td>
+                                    <td>${safeFixed(f.logL, 2)}</td>
+                                    <td>${safeFixed(f.AIC, 2)}</td>
+                                    <td>${safeFixed(f.BIC, 2)}</td>
+                                    <td>${safeFixed(f.persistence, 4)}</td>
+                                    <td>${isFinite(f.halfLife) ? `${f.halfLife.toFixed(1)} ${FREQUENCIES[seriesFrequency].unit[1]}` : '∞'}</td>
+                                    <td>${safeFixed(Math.sqrt(f.unconditionalVariance), 5)}</td>
+                                    <td>${formatP(diagnostics[i].lb.pValue)}</td>
+                                    <td>${formatP(diagnostics[i].arch.pValue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="interpretation"><strong>Conclusión:</strong> ${garchPreferred
+                    ? `${best.label} mejora el AIC de la varianza constante (${best.AIC.toFixed(2)} vs ${constantModel.AIC.toFixed(2)}); los intervalos se construyen con su varianza condicional.`
+                    : `Ningún modelo GARCH mejora el AIC de la varianza constante; se muestran los intervalos del mejor candidato (${best ? best.label : '—'}) como análisis de sensibilidad.`}</p>
+            </div>
+
+            ${best ? `
+            <div class="forecast-table-container" style="margin-top:1rem">
+                <h6>Parámetros estimados: ${best.label}</h6>
+                <table class="forecast-table">
+                    <thead>
+                        <tr><th>Parámetro</th><th>Estimación</th><th>Error Estándar</th><th>z</th><th>p-valor</th></tr>
+                    </thead>
+                    <tbody>
+                        ${best.coefficients.map(c => `
+                            <tr>
+                                <td><strong>${c.name}</strong></td>
+                                <td>${isFinite(c.estimate) ? c.estimate.toExponential(4) : '—'}</td>
+                                <td>${isFinite(c.se) ? c.se.toExponential(3) : '—'}</td>
+                                <td>${safeFixed(c.z, 2)}</td>
+                                <td>${formatP(c.pValue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+
+            <div class="chart-container" style="margin-top:1rem">
+                <h6>Volatilidad condicional σₜ estimada</h6>
+                <canvas id="stage5-volatility-canvas" height="220"></canvas>
+            </div>
+
+            <div class="forecast-table-container" style="margin-top:1rem">
+                <h6>Pronósticos con intervalos dinámicos (IC 95%)</h6>
+                <table class="forecast-table">
+                    <thead>
+                        <tr><th>Período</th><th>Pronóstico</th><th>σ condicional</th><th>IC 95% σ² constante</th><th>IC 95% ${best ? best.label : 'GARCH'}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${path.map(f => `
+                            <tr>
+                                <td>t+${f.period}</td>
+                                <td>${safeFixed(f.forecast, 4)}</td>
+                                <td>${isFinite(f.sigma2) ? Math.sqrt(f.sigma2).toFixed(5) : '—'}</td>
+                                <td>[${safeFixed(f.constantInterval.lower)}, ${safeFixed(f.constantInterval.upper)}]</td>
+                                <td>[${safeFixed(f.conditionalInterval.lower)}, ${safeFixed(f.conditionalInterval.upper)}]</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="chart-container" style="margin-top:1rem">
+                <h6>Bandas de pronóstico: varianza constante vs condicional</h6>
+                <canvas id="stage5-garch-forecast-canvas" height="220"></canvas>
+            </div>
+        </div>
+    `;
+
+    if (typeof Chart === 'undefined') return;
+    const volCanvas = document.getElementById('stage5-volatility-canvas');
+    if (volCanvas) {
+        const colors = { garch: '#1e40af', gjr: '#16a34a', egarch: '#dc2626' };
+        const labels = dollarData.slice(dollarData.length - residuals.length).map(d => d.date);
+        new Chart(volCanvas, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    { label: '|εₜ|', data: residuals.map(Math.abs), borderColor: 'rgba(107,114,128,0.4)', backgroundColor: 'rgba(107,114,128,0.15)', pointRadius: 0, fill: true },
+                    ...fits.map(f => ({ label: `σₜ ${f.label}`, data: f.sigma2.map(Math.sqrt), borderColor: colors[f.type], pointRadius: 0, fill: false }))
+                ]
+            },
+            options: { responsive: true, plugins: { legend: { position: 'top' } }, scales: { y: { beginAtZero: true } } }
+        });
+    }
+    const fcCanvas = document.getElementById('stage5-garch-forecast-canvas');
+    if (fcCanvas) {
+        new Chart(fcCanvas, {
+            type: 'line',
+            data: {
+                labels: path.map(f => `t+${f.period}`),
+                datasets: [
+                    { label: 'Pronóstico', data: path.map(f => f.forecast), borderColor: '#007bff', fill: false },
+                    { label: 'IC 95% GARCH superior', data: path.map(f => f.conditionalInterval.upper), borderColor: '#dc2626', borderDash: [5, 5], fill: false },
+                    { label: 'IC 95% GARCH inferior', data: path.map(f => f.conditionalInterval.lower), borderColor: '#dc2626', borderDash: [5, 5], fill: false },
+                    { label: 'IC 95% σ² constante superior', data: path.map(f => f.constantInterval.upper), borderColor: 'rgba(40,167,69,0.6)', borderDash: [2, 4], fill: false },
+                    { label: 'IC 95% σ² constante inferior', data: path.map(f => f.constantInterval.lower), borderColor: 'rgba(40,167,69,0.6)', borderDash: [2, 4], fill: false }
+                ]
+            },
+            options: { responsive: true, plugins: { legend: { position: 'top' } }, scales: { y: { beginAtZero: false } } }
+        });
+    }
+}
+
+// Lectura de opciones de validación cruzada desde los controles de la ETAPA 5
+function readCrossValidationOptions() {
+    const readInt = (id, fallback) => {
+        const el = document.getElementById(id);
+        const v = el ? parseInt(el.value, 10) : NaN;
+        return isFinite(v) && v > 0 ? v : fallback;
+    };
+    const windowEl = document.getElementById('cv-window-type');
+    const options = {
+        step: readInt('cv-step', CROSS_VALIDATION_DEFAULTS.step),
+        horizon: Math.min(30, readInt('cv-horizon', CROSS_VALIDATION_DEFAULTS.horizon)),
+        windowType: windowEl && windowEl.value === 'sliding' ? 'sliding' : 'expanding'
+    };
+    const initial = readInt('cv-initial-window', NaN);
+    if (isFinite(initial)) options.initialWindow = initial;
+    return options;
+}
+
+// Función específica: Validación cruzada con origen móvil por horizonte (ETAPA 5)
+async function generateCrossValidationForStage5() {
+    const prices = dollarData.map(d => d.price);
+    const container = document.getElementById('cross-validation-container');
+    if (!container) return;
+    const options = readCrossValidationOptions();
+    if (prices.length < 40) {
+        container.innerHTML = '<p>Se requieren al menos 40 observaciones para la validación cruzada.</p>';
+        return;
+    }
+
+    // Cada candidato se reestima en cada origen dentro del worker
+    const taskSettings = workingModelTaskSettings();
+    const results = await runViewTask(container, [options, taskSettings], 'crossValidation', { prices, options, ...taskSettings },
+        'Validación cruzada con origen móvil', generateCrossValidationForStage5);
+    if (!container.isConnected) return;
+    const reference = results[0].cv;
+    const horizons = reference.byHorizon.filter(b => b.n > 0).map(b => b.h);
+    const metrics = [
+        { key: 'mae', label: 'MAE', format: v => v.toFixed(4) },
+        { key: 'rmse', label: 'RMSE', format: v => v.toFixed(4) },
+        { key: 'mape', label: 'MAPE (%)', format: v => v.toFixed(2) }
+    ];
+
+    container.innerHTML = `
+        <div class="cv-summary">
+            <p><strong>Esquema:</strong> ventana ${reference.windowType === 'sliding' ? 'deslizante' : 'expansiva'}, ventana inicial ${reference.initialWindow} observaciones, paso ${reference.step}, horizontes 1..${reference.horizon}, ${reference.origins.length} orígenes de pronóstico.</p>
+        </div>
+        ${metrics.map(metric => {
+            const bestByH = horizons.map(h => Math.min(...results.map(r => {
+                const v = r.cv.byHorizon[h - 1][metric.key];
+                return isFinite(v) ? v : Infinity;
+            })));
+            return `
+            <div class="ranking-table" style="margin-top:1rem">
+                <h6>${metric.label} por horizonte</h6>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Modelo</th>
+                            ${horizons.map(h => `<th>h=${h}</th>`).join('')}
+                            <th>Global</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.map(r => `
+                            <tr>
+                                <td><strong>${r.label}</strong></td>
+                                ${horizons.map((h, i) => {
+                                    const v = r.cv.byHorizon[h - 1][metric.key];
+                                    return `<td${v === bestByH[i] ? ' class="best-cell"' : ''}>${isFinite(v) ? metric.format(v) : '—'}</td>`;
+                                }).join('')}
+                                <td>${isFinite(r.cv.overall[metric.key]) ? metric.format(r.cv.overall[metric.key]) : '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="chart-container" style="margin-top:0.75rem">
+                <canvas id="cv-${metric.key}-canvas" height="200"></canvas>
+            </div>
+        `;
+        }).join('')}
+        <p class="interpretation">Cada modelo se reestima en cada origen con la información disponible hasta ese momento; la celda resaltada es el menor error para cada horizonte. El número de errores disminuye en los horizontes largos porque los últimos orígenes no disponen de h observaciones futuras.</p>
+    `;
+
+    if (typeof Chart === 'undefined') return;
+    const palette = ['#1e40af', '#16a34a', '#0891b2', '#7c3aed', '#db2777', '#6b7280', '#f59e0b', '#92400e', '#dc2626'];
+    metrics.forEach(metric => {
+        const canvas = document.getElementById(`cv-${metric.key}-canvas`);
+        if (!canvas) return;
+        new Chart(canvas, {
+            type: 'line',
+            data: {
+                labels: horizons.map(h => `h=${h}`),
+                datasets: results.map((r, i) => ({
+                    label: r.label,
+                    data: horizons.map(h => {
+                        const v = r.cv.byHorizon[h - 1][metric.key];
+                        return isFinite(v) ? v : null;
+                    }),
+                    borderColor: palette[i % palette.length],
+                    borderDash: r.family === 'Referencia' ? [5, 5] : [],
+                    fill: false,
+                    pointRadius: 2
+                }))
+            },
+            options: {
+                responsive: true,
+                plugins: { legend: { position: 'top' }, title: { display: true, text: `${metric.label} según horizonte de pronóstico` } },
+                scales: { y: { beginAtZero: true } }
+            }
+        });
+    });
+}
+
 const stagesData = {    1: {
         title: 'ETAPA 1: EXPLORACIÓN',
         description: 'Análisis descriptivo completo y visualización de la serie temporal',
@@ -3369,7 +5146,9 @@ const stagesData = {    1: {
         points: [
             'Generación: Pronósticos con intervalos de confianza',
             'Evaluación de precisión: MAE, RMSE, MAPE',
-            'Interpretación: Contexto del problema, recomendaciones'
+            'Interpretación: Contexto del problema, recomendaciones',
+            'Volatilidad: GARCH, GJR y EGARCH con intervalos dinámicos',
+            'Validación cruzada: Errores por horizonte con origen móvil'
         ],
         content: {
             title: 'Pronósticos Completos con Intervalos de Confianza',
@@ -3814,8 +5593,10 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 async function initializeApp() {
-    // Cargar datos desde archivo y luego renderizar
-    await loadDatasetFromFile();
+    // Restaurar la sesión guardada (o cargar datos.txt) y luego renderizar
+    await restoreSession();
+    initializeAnalysisTaskPanel();
+    renderFrequencySelector();
     // Renderizar contenido inicial con textos dinámicos y tabla
     showWelcomeContent();
     
@@ -3873,12 +5654,9 @@ async function initializeApp() {
 
 // Nuevas funciones para ETAPA 4 - Validación por puntos
 function generateResidualDiagnosticsForStage4() {
-    const prices = dollarData.map(d => d.price);
-    const est = fitAR1OnDiff(prices);
-    const residuals = est.residuals;
+    const { residuals, residualStats } = workingModelAnalysis();
 
     const n = residuals.length;
-    const residualStats = calculateDescriptiveStats(residuals);
     const maxLag = Math.min(20, Math.floor(n / 3));
     const acf = calculateACF ? calculateACF(residuals, maxLag) : new Array(maxLag + 1).fill(0);
     const conf = 1.96 / Math.sqrt(Math.max(1, n));
@@ -3946,14 +5724,8 @@ function generateResidualDiagnosticsForStage4() {
 }
 
 function generateStatisticalTestsForStage4() {
-    const prices = dollarData.map(d => d.price);
-    const est = fitAR1OnDiff(prices);
-    const residuals = est.residuals;
-    const jb = computeJarqueBera(residuals);
-    const lb10 = ljungBoxTest(residuals, 10, 1);
-    const lb15 = ljungBoxTest(residuals, 15, 1);
-    const lb20 = ljungBoxTest(residuals, 20, 1);
-    const arch = archLMTest(residuals, 1);
+    const { jarqueBera: jb, ljungBox, archLM: arch } = workingModelAnalysis();
+    const { 10: lb10, 15: lb15, 20: lb20 } = ljungBox;
 
     const container = document.getElementById('statistical-tests-container');
     if (container) {
@@ -4106,9 +5878,18 @@ function selectPoint(stageNumber, pointIndex) {
     showPointContent(stageNumber, pointIndex);
 }
 
+// Cada cambio de vista invalida los dibujos pendientes; las tareas en curso siguen y su resultado queda en el
+// estado de análisis para cuando se vuelva a la vista (se cancelan desde el panel o al cambiar la serie)
+let viewRenderToken = 0;
+
+function beginViewRender() {
+    viewRenderToken++;
+}
+
 function showStageContent(stageNumber) {
     const stageData = stagesData[stageNumber];
     if (!stageData) return;
+    beginViewRender();
     
     const contentTitle = document.getElementById('contentTitle');
     const contentDescription = document.getElementById('contentDescription');
@@ -4125,19 +5906,19 @@ function showStageContent(stageNumber) {
         }, 100);
     } else if (stageNumber === 2) {
         setTimeout(() => {
-            generateRealACFPACFForStage2();
+            renderWithWorkingModel(generateRealACFPACFForStage2, 'Error generando ACF/PACF:');
         }, 100);
     } else if (stageNumber === 3) {
         setTimeout(() => {
-            generateRealEstimationForStage3();
+            renderWithWorkingModel(generateRealEstimationForStage3, 'Error generando estimación etapa 3:');
         }, 100);
     } else if (stageNumber === 4) {
         setTimeout(() => {
-            generateRealValidationForStage4();
+            renderWithWorkingModel(generateRealValidationForStage4, 'Error en validación etapa 4:');
         }, 100);
     } else if (stageNumber === 5) {
         setTimeout(() => {
-            generateRealForecastsForStage5();
+            renderWithWorkingModel(generateRealForecastsForStage5, 'Error en pronósticos etapa 5:');
         }, 100);
     }
 }
@@ -4145,6 +5926,7 @@ function showStageContent(stageNumber) {
 function showPointContent(stageNumber, pointIndex) {
     const stageData = stagesData[stageNumber];
     if (!stageData || !stageData.points[pointIndex]) return;
+    beginViewRender();
     
     const contentTitle = document.getElementById('contentTitle');
     const contentDescription = document.getElementById('contentDescription');
@@ -4308,10 +6090,20 @@ function showPointContent(stageNumber, pointIndex) {
                                     <li><strong>CV de media móvil:</strong> <span id="stationarity-cv-mean"></span></li>
                                     <li><strong>CV de varianza móvil:</strong> <span id="stationarity-cv-var"></span></li>
                                     <li><strong>Pendiente de tendencia:</strong> <span id="stationarity-trend-slope"></span></li>
-                                    <li><strong>Conclusión estadística:</strong> <span id="stationarity-stat-result"></span></li>
+                                    <li><strong>Conclusión descriptiva:</strong> <span id="stationarity-stat-result"></span></li>
                                 </ul>
                             </div>
                         </div>
+                        <div class="content-card">
+                            <h5>Pruebas Formales de Raíz Unitaria y Estacionariedad</h5>
+                            <p>ADF y Phillips-Perron contrastan H0: raíz unitaria; KPSS contrasta H0: estacionariedad. Se aplican a niveles y a la primera diferencia.</p>
+                            <div class="ranking-table" id="stationarity-tests-table"></div>
+                        </div>
+                        <div class="content-card">
+                            <h5>Veredicto Combinado (ADF vs KPSS)</h5>
+                            <div class="stationarity-tests" id="stationarity-verdict-matrix"></div>
+                            <p><strong>Conclusión formal:</strong> <span id="stationarity-formal-result"></span></p>
+                        </div>
                     </div>
                 </div>
             `;
@@ -4336,7 +6128,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateRealACFPACFForStage2(); } catch (e) { console.error('Error generando ACF/PACF:', e); }
+            renderWithWorkingModel(generateRealACFPACFForStage2, 'Error generando ACF/PACF:');
         }, 100);
         return;
     }
@@ -4433,15 +6225,40 @@ function showPointContent(stageNumber, pointIndex) {
 
                         <div class="ranking-section">
                             <h4><i class="fas fa-list-ol"></i> Ranking de Modelos Candidatos</h4>
-                            <p>Se listan los mejores modelos por AIC/BIC de forma determinista.</p>
+                            <p>Búsqueda automática (auto-ARIMA) sobre el espacio de órdenes p, d, q; d se elige con pruebas de raíz unitaria.</p>
+                            <div class="search-controls">
+                                <label>p máx. <input type="number" id="auto-arima-max-p" min="0" max="5" value="${AUTO_ARIMA_DEFAULTS.maxP}"></label>
+                                <label>q máx. <input type="number" id="auto-arima-max-q" min="0" max="5" value="${AUTO_ARIMA_DEFAULTS.maxQ}"></label>
+                                <label>d máx. <input type="number" id="auto-arima-max-d" min="0" max="2" value="${AUTO_ARIMA_DEFAULTS.maxD}"></label>
+                                <label>Criterio
+                                    <select id="auto-arima-criterion">
+                                        <option value="AICc" selected>AICc</option>
+                                        <option value="AIC">AIC</option>
+                                        <option value="BIC">BIC</option>
+                                    </select>
+                                </label>
+                                <label>Búsqueda
+                                    <select id="auto-arima-mode">
+                                        <option value="exhaustive" selected>Exhaustiva</option>
+                                        <option value="stepwise">Por pasos</option>
+                                    </select>
+                                </label>
+                                <button id="auto-arima-run" class="table-btn">Buscar</button>
+                            </div>
                             <div id="model-selection-ranking-container" class="ranking-container"></div>
                         </div>
                     </div>
                 </div>
             `;
         }
+        const runButton = document.getElementById('auto-arima-run');
+        if (runButton) {
+            runButton.addEventListener('click', function() {
+                generateModelSelectionForStage2().catch(e => logStageError('Error generando ranking de modelos (etapa 2):', e));
+            });
+        }
         setTimeout(() => {
-            try { generateModelSelectionForStage2(); } catch (e) { console.error('Error generando ranking de modelos (etapa 2):', e); }
+            generateModelSelectionForStage2().catch(e => logStageError('Error generando ranking de modelos (etapa 2):', e));
         }, 100);
         return;
     }
@@ -4561,7 +6378,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateRealEstimationForStage3(); } catch (e) { console.error('Error generando estimación etapa 3:', e); }
+            renderWithWorkingModel(generateRealEstimationForStage3, 'Error generando estimación etapa 3:');
         }, 100);
         return;
     }
@@ -4579,7 +6396,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateFitMetricsForStage3(); } catch (e) { console.error('Error generando métricas de ajuste etapa 3:', e); }
+            renderWithWorkingModel(generateFitMetricsForStage3, 'Error generando métricas de ajuste etapa 3:');
         }, 100);
         return;
     }
@@ -4597,7 +6414,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateResidualDiagnosticsForStage4(); } catch (e) { console.error('Error en diagnóstico de residuos etapa 4:', e); }
+            renderWithWorkingModel(generateResidualDiagnosticsForStage4, 'Error en diagnóstico de residuos etapa 4:');
         }, 100);
         return;
     }
@@ -4615,7 +6432,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateStatisticalTestsForStage4(); } catch (e) { console.error('Error en pruebas estadísticas etapa 4:', e); }
+            renderWithWorkingModel(generateStatisticalTestsForStage4, 'Error en pruebas estadísticas etapa 4:');
         }, 100);
         return;
     }
@@ -4651,7 +6468,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateForecastGenerationForStage5(); } catch (e) { console.error('Error en generación de pronósticos etapa 5:', e); }
+            renderWithWorkingModel(generateForecastGenerationForStage5, 'Error en generación de pronósticos etapa 5:');
         }, 100);
         return;
     }
@@ -4669,7 +6486,7 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generatePrecisionEvaluationForStage5(); } catch (e) { console.error('Error en evaluación de precisión etapa 5:', e); }
+            generatePrecisionEvaluationForStage5().catch(e => logStageError('Error en evaluación de precisión etapa 5:', e));
         }, 100);
         return;
     }
@@ -4687,11 +6504,65 @@ function showPointContent(stageNumber, pointIndex) {
             `;
         }
         setTimeout(() => {
-            try { generateInterpretationForStage5(); } catch (e) { console.error('Error en interpretación etapa 5:', e); }
+            renderWithWorkingModel(generateInterpretationForStage5, 'Error en interpretación etapa 5:');
         }, 100);
         return;
     }
     
+    // Manejo específico para ETAPA 5 - Punto "Volatilidad"
+    if (stageNumber === 5 && pointIndex === 3) {
+        if (contentTitle) contentTitle.textContent = `${stageData.title} - Volatilidad`;
+        if (contentDescription) contentDescription.textContent = 'Varianza condicional GARCH/GJR/EGARCH e intervalos que se amplían con la volatilidad prevista.';
+        if (contentBody) {
+            contentBody.innerHTML = `
+                <div class="volatility-tab">
+                    <h4><i class="fas fa-bolt"></i> Modelos de Volatilidad Condicional</h4>
+                    <div id="volatility-models-container"></div>
+                </div>
+            `;
+        }
+        setTimeout(() => {
+            generateVolatilityForStage5().catch(e => logStageError('Error en volatilidad etapa 5:', e));
+        }, 100);
+        return;
+    }
+
+    // Manejo específico para ETAPA 5 - Punto "Validación cruzada"
+    if (stageNumber === 5 && pointIndex === 4) {
+        if (contentTitle) contentTitle.textContent = `${stageData.title} - Validación cruzada`;
+        if (contentDescription) contentDescription.textContent = 'Errores MAE/RMSE/MAPE por horizonte con origen de pronóstico móvil.';
+        if (contentBody) {
+            contentBody.innerHTML = `
+                <div class="cross-validation-tab">
+                    <h4><i class="fas fa-redo"></i> Validación Cruzada de Series Temporales</h4>
+                    <div class="search-controls">
+                        <label>Ventana inicial <input type="number" id="cv-initial-window" min="20" placeholder="70% de n"></label>
+                        <label>Paso <input type="number" id="cv-step" min="1" value="${CROSS_VALIDATION_DEFAULTS.step}"></label>
+                        <label>Horizonte H <input type="number" id="cv-horizon" min="1" max="30" value="${CROSS_VALIDATION_DEFAULTS.horizon}"></label>
+                        <label>Ventana
+                            <select id="cv-window-type">
+                                <option value="expanding" selected>Expansiva</option>
+                                <option value="sliding">Deslizante</option>
+                            </select>
+                        </label>
+                        <button id="cv-run" class="table-btn">Evaluar</button>
+                    </div>
+                    <div id="cross-validation-container"></div>
+                </div>
+            `;
+        }
+        const cvButton = document.getElementById('cv-run');
+        if (cvButton) {
+            cvButton.addEventListener('click', function() {
+                generateCrossValidationForStage5().catch(e => logStageError('Error en validación cruzada etapa 5:', e));
+            });
+        }
+        setTimeout(() => {
+            generateCrossValidationForStage5().catch(e => logStageError('Error en validación cruzada etapa 5:', e));
+        }, 100);
+        return;
+    }
+
     // Comportamiento por defecto
     if (contentTitle) contentTitle.textContent = `${stageData.title} - ${pointTitle}`;
     if (contentDescription) contentDescription.textContent = pointDesc.trim();
@@ -4753,7 +6624,7 @@ function generateRealPatternsForStage1() {
                         backgroundColor: 'rgba(30,64,175,0.1)',
                         tension: 0.2,
                         fill: true,
-                        pointRadius: 0
+                        ...imputedPointStyle(dollarData)
                     }
                 ]
             },
@@ -4853,7 +6724,7 @@ function generateStationarityAnalysisForStage1() {
                     backgroundColor: 'rgba(30,64,175,0.1)',
                     tension: 0.2,
                     fill: true,
-                    pointRadius: 0
+                    ...imputedPointStyle(dollarData)
                 }]
             },
             options: {
@@ -4958,7 +6829,86 @@ function generateStationarityAnalysisForStage1() {
     setText('stationarity-cv-mean', isFinite(cvMean) ? cvMean.toFixed(3) : 'N/A');
     setText('stationarity-cv-var', isFinite(cvVar) ? cvVar.toFixed(3) : 'N/A');
     setText('stationarity-trend-slope', slope.toFixed(4));
-    setText('stationarity-stat-result', isStationary ? 'Estacionaria (reglas heurísticas)' : 'No estacionaria (reglas heurísticas)');
+    setText('stationarity-stat-result', isStationary ? 'Estacionaria (indicadores descriptivos)' : 'No estacionaria (indicadores descriptivos)');
+
+    // Pruebas formales sobre niveles y primera diferencia
+    const diffs = differenceSeries(prices, 1);
+    const seriesSet = [
+        { key: 'level', label: 'Niveles', values: prices },
+        { key: 'diff', label: 'Primera diferencia', values: diffs }
+    ];
+    const formatP = (p, bound) => (isFinite(p) ? `${bound || ''}${p < 0.001 ? '<0.001' : p.toFixed(4)}` : 'N/A');
+    const results = seriesSet.map(series => ({
+        ...series,
+        adf: adfTest(series.values),
+        pp: phillipsPerronTest(series.values),
+        kpssLevel: kpssTest(series.values, { regression: 'c' }),
+        kpssTrend: kpssTest(series.values, { regression: 'ct' })
+    }));
+
+    const rows = [];
+    results.forEach(r => {
+        rows.push({ test: 'ADF (constante)', series: r.label, h0: 'Raíz unitaria', res: r.adf, lagLabel: `${r.adf.usedLag} (${r.adf.autolag})`, rejects: r.adf.isStationary });
+        rows.push({ test: 'Phillips-Perron Z_τ', series: r.label, h0: 'Raíz unitaria', res: r.pp, lagLabel: `${r.pp.lags} (Bartlett)`, rejects: r.pp.isStationary });
+        rows.push({ test: 'KPSS nivel', series: r.label, h0: 'Estacionaria en nivel', res: r.kpssLevel, lagLabel: `${r.kpssLevel.lags} (Newey-West)`, rejects: !r.kpssLevel.isStationary });
+        rows.push({ test: 'KPSS tendencia', series: r.label, h0: 'Estacionaria en tendencia', res: r.kpssTrend, lagLabel: `${r.kpssTrend.lags} (Newey-West)`, rejects: !r.kpssTrend.isStationary });
+    });
+    const testsTable = document.getElementById('stationarity-tests-table');
+    if (testsTable) {
+        testsTable.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Prueba</th><th>Serie</th><th>H0</th><th>Estadístico</th><th>Rezagos</th><th>VC 1%</th><th>VC 5%</th><th>VC 10%</th><th>P-valor</th><th>Decisión (5%)</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.test}</td>
+                            <td>${row.series}</td>
+                            <td>${row.h0}</td>
+                            <td>${isFinite(row.res.statistic) ? row.res.statistic.toFixed(4) : 'N/A'}</td>
+                            <td>${row.lagLabel}</td>
+                            <td>${row.res.criticalValues['1%'].toFixed(3)}</td>
+                            <td>${row.res.criticalValues['5%'].toFixed(3)}</td>
+                            <td>${row.res.criticalValues['10%'].toFixed(3)}</td>
+                            <td>${formatP(row.res.pValue, row.res.pValueBound)}</td>
+                            <td>${row.rejects ? 'Rechaza H0' : 'No rechaza H0'}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Matriz de concordancia: filas = decisión ADF, columnas = decisión KPSS (nivel)
+    const verdicts = results.map(r => ({ series: r.label, ...stationarityVerdict(r.adf, r.kpssLevel) }));
+    const matrixContainer = document.getElementById('stationarity-verdict-matrix');
+    if (matrixContainer) {
+        const cell = (v, adfRejects, kpssRejects, text) => {
+            const active = v.adfRejects === adfRejects && v.kpssRejects === kpssRejects;
+            return `<td class="${active ? 'active-verdict' : ''}">${active ? '● ' : ''}${text}</td>`;
+        };
+        matrixContainer.innerHTML = verdicts.map(v => `
+            <div class="test-category">
+                <h5>${v.series}</h5>
+                <table class="verdict-matrix">
+                    <thead>
+                        <tr><th></th><th>KPSS no rechaza</th><th>KPSS rechaza</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr><th>ADF rechaza</th>${cell(v, true, false, 'Estacionaria')}${cell(v, true, true, 'Contradictoria')}</tr>
+                        <tr><th>ADF no rechaza</th>${cell(v, false, false, 'No concluyente')}${cell(v, false, true, 'Raíz unitaria')}</tr>
+                    </tbody>
+                </table>
+                <p><strong>Veredicto:</strong> ${v.verdict === 'stationary' ? '✅' : v.verdict === 'unit-root' ? '❌' : '⚠️'} ${v.label}</p>
+            </div>
+        `).join('');
+    }
+    const [levelVerdict, diffVerdict] = verdicts;
+    setText('stationarity-formal-result', levelVerdict.verdict === 'stationary'
+        ? 'La serie en niveles es estacionaria (d=0).'
+        : diffVerdict.verdict === 'stationary'
+            ? `Niveles: ${levelVerdict.label.toLowerCase()}; la primera diferencia es estacionaria según ADF y KPSS (d=1).`
+            : `Niveles: ${levelVerdict.label.toLowerCase()}; primera diferencia: ${diffVerdict.label.toLowerCase()}.`);
 }
 
 function closeNestedSidebar() {
@@ -4982,13 +6932,16 @@ function closeNestedSidebar() {
 }
 
 function showWelcomeContent() {
+    beginViewRender();
     const contentTitle = document.getElementById('contentTitle');
     const contentDescription = document.getElementById('contentDescription');
     const contentBody = document.getElementById('contentBody');
     
     if (contentTitle) contentTitle.textContent = 'Precio Diario del Dólar en Perú';
     const n = dollarData.length;
-    if (contentDescription) contentDescription.textContent = `Serie temporal USD/PEN con ${n} observaciones diarias`;
+    const frequency = FREQUENCIES[seriesFrequency];
+    const seriesName = availableSeriesKeys().length > 1 ? ` (${seriesLabel()})` : '';
+    if (contentDescription) contentDescription.textContent = `Serie temporal USD/PEN${seriesName} con ${n} observaciones ${frequency.adjective}`;
     
     if (contentBody) {
         // Derivar rango de fechas y estadísticas básicas
@@ -5004,14 +6957,14 @@ function showWelcomeContent() {
             const returns = [];
             for (let i = 1; i < prices.length; i++) returns.push(prices[i] / prices[i-1] - 1);
             const rStats = calculateDescriptiveStats(returns);
-            dailyVolPct = isFinite(rStats.stdDev) ? `${(rStats.stdDev * 100).toFixed(2)}% diaria` : 'N/A';
+            dailyVolPct = isFinite(rStats.stdDev) ? `${(rStats.stdDev * 100).toFixed(2)}% por ${frequency.unit[0]}` : 'N/A';
         }
 
         contentBody.innerHTML = `
             <div class="data-section">
                 <div class="data-header">
                     <h2>Serie Temporal: Precio Diario del Dólar (USD/PEN)</h2>
-                    <p>Análisis de ${n} observaciones diarias del tipo de cambio USD/PEN desde ${rangeExact}</p>
+                    <p>Análisis de ${n} observaciones ${frequency.adjective} del tipo de cambio USD/PEN desde ${rangeExact}</p>
                 </div>
                 
                 <div class="data-summary">
@@ -5023,11 +6976,16 @@ function showWelcomeContent() {
                         </div>
                         <div class="summary-item">
                             <span class="label">Frecuencia:</span>
-                            <span class="value">Diaria (días hábiles)</span>
+                            <span class="value">${seriesFrequency === 'daily' ? 'Diaria (días hábiles)' : `${frequency.label} (${RESAMPLE_AGGREGATIONS[seriesAggregation].toLowerCase()})`}</span>
                         </div>
+                        ${seriesName ? `
+                        <div class="summary-item">
+                            <span class="label">Serie analizada:</span>
+                            <span class="value">${escapeHtml(seriesLabel())} (de ${seriesColumns.map(escapeHtml).join(', ')})</span>
+                        </div>` : ''}
                         <div class="summary-item">
                             <span class="label">Fuente:</span>
-                            <span class="value">Banco Central de Reserva del Perú</span>
+                            <span class="value">${datasetSource === 'datos.txt' ? 'Banco Central de Reserva del Perú' : `Archivo importado (${escapeHtml(datasetSource)})`}</span>
                         </div>
                         <div class="summary-item">
                             <span class="label">Moneda:</span>
@@ -5056,6 +7014,33 @@ function showWelcomeContent() {
                     </div>
                 </div>
                 
+                ${renderDatasetImportPanel()}
+                
+                <div id="dataset-manager-panel" class="data-quality-section">
+                    ${renderDatasetManagerPanel()}
+                </div>
+                
+                ${detectBidAskColumns() ? `
+                <div id="spread-panel" class="data-quality-section">
+                    ${renderSpreadPanel()}
+                </div>` : ''}
+                
+                <div id="append-observations-panel" class="data-quality-section">
+                    ${renderAppendObservationsPanel()}
+                </div>
+                
+                <div id="data-quality-panel" class="data-quality-section">
+                    ${renderDataQualityPanel()}
+                </div>
+                
+                <div id="regularization-panel" class="data-quality-section">
+                    ${renderRegularizationPanel()}
+                </div>
+                
+                <div id="analysis-settings-panel" class="data-quality-section">
+                    ${renderAnalysisSettingsPanel()}
+                </div>
+                
                 <div class="data-table-section">
                     <div class="table-controls">
                         <h3>💹 Datos de la Serie Temporal</h3>
@@ -5112,144 +7097,16 @@ function showWelcomeContent() {
         
         // Cargar los datos iniciales en la tabla
         loadTableData();
+        initializeDatasetImporter();
+        initializeDataQualityPanel();
+        initializeRegularizationPanel();
+        initializeAnalysisSettingsPanel();
+        initializeDatasetManagerPanel();
+        initializeAppendObservationsPanel();
+        initializeSpreadPanel();
     }
 }
 
-// --- Helpers estadísticos deterministas ---
-function normalCdf(z) {
-    // Aproximación de erf para CDF normal
-    const t = 1 / (1 + 0.2316419 * Math.abs(z));
-    const d = 0.3989423 * Math.exp(-z * z / 2);
-    let prob = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-    if (z > 0) prob = 1 - prob;
-    return z >= 0 ? 1 - prob : prob;
-}
-
-function chiSquareUpperTailP(Q, df) {
-    // Aproximación Wilson–Hilferty de chi-cuadrado -> normal
-    if (df <= 0) return 1;
-    const a = 1 - 2 / (9 * df);
-    const z = ((Math.pow(Q / df, 1 / 3) - a) / Math.sqrt(2 / (9 * df)));
-    const pUpper = 1 - normalCdf(z);
-    return Math.min(Math.max(pUpper, 0), 1);
-}
-
-function computeJarqueBera(values) {
-    const n = values.length;
-    if (n < 8) return { jb: NaN, pValue: NaN };
-    const mean = values.reduce((a, b) => a + b, 0) / n;
-    let m2 = 0, m3 = 0, m4 = 0;
-    for (let i = 0; i < n; i++) {
-        const x = values[i] - mean;
-        m2 += x * x;
-        m3 += x * x * x;
-        m4 += x * x * x * x;
-    }
-    m2 /= n; m3 /= n; m4 /= n;
-    const skew = m3 / Math.pow(m2, 1.5);
-    const kurt = m4 / (m2 * m2);
-    const jb = (n / 6) * (skew * skew + Math.pow(kurt - 3, 2) / 4);
-    const pValue = Math.exp(-jb / 2); // df=2 -> cola superior exacta
-    return { jb, pValue };
-}
-
-function computeAutocorrelations(values, m) {
-    const n = values.length;
-    if (n < m + 1) return Array(m).fill(NaN);
-    const mean = values.reduce((a, b) => a + b, 0) / n;
-    let denom = 0;
-    for (let i = 0; i < n; i++) {
-        const v = values[i] - mean;
-        denom += v * v;
-    }
-    const ac = [];
-    for (let k = 1; k <= m; k++) {
-        let num = 0;
-        for (let t = k; t < n; t++) {
-            num += (values[t] - mean) * (values[t - k] - mean);
-        }
-        ac.push(denom ? num / denom : 0);
-    }
-    return ac;
-}
-
-function ljungBoxTest(residuals, m, p = 0) {
-    const n = residuals.length;
-    if (n < m + 1) return { Q: NaN, pValue: NaN };
-    const ac = computeAutocorrelations(residuals, m);
-    let Q = 0;
-    for (let k = 1; k <= m; k++) {
-        const rk = ac[k - 1];
-        Q += rk * rk / (n - k);
-    }
-    Q *= n * (n + 2);
-    const df = Math.max(1, m - p);
-    const pValue = chiSquareUpperTailP(Q, df);
-    return { Q, pValue };
-}
-
-function fitAR1OnDiff(prices) {
-    // Ajusta AR(1) sobre diferencias (d=1): r_t = phi * r_{t-1} + e_t
-    if (!prices || prices.length < 3) {
-        return { phi: NaN, residuals: [], sigma2: NaN, se: NaN, t: NaN, pValue: NaN, AIC: NaN, BIC: NaN };
-    }
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) returns.push(prices[i] - prices[i - 1]);
-    const n = returns.length;
-    const y = returns.slice(1);
-    const x = returns.slice(0, n - 1);
-    let num = 0, den = 0;
-    for (let i = 0; i < x.length; i++) {
-        num += y[i] * x[i];
-        den += x[i] * x[i];
-    }
-    const phi = den ? num / den : 0;
-    const residuals = [];
-    for (let i = 0; i < y.length; i++) {
-        residuals.push(y[i] - phi * x[i]);
-    }
-    const nEff = residuals.length;
-    const sigma2 = residuals.reduce((a, b) => a + b * b, 0) / Math.max(1, nEff);
-    const se = Math.sqrt(sigma2 / Math.max(den, 1e-12));
-    const t = se ? phi / se : NaN;
-    const pValue = 2 * (1 - normalCdf(Math.abs(t)));
-    const logL = -0.5 * nEff * (Math.log(2 * Math.PI) + Math.log(sigma2) + 1);
-    const k = 2; // phi y sigma2
-    const AIC = -2 * logL + 2 * k;
-    const BIC = -2 * logL + k * Math.log(Math.max(1, nEff));
-    return { phi, residuals, sigma2, se, t, pValue, AIC, BIC };
-}
-
-function archLMTest(residuals, m = 1) {
-    const n = residuals.length;
-    if (n < m + 2) return { LM: NaN, pValue: NaN, R2: NaN };
-    const y = residuals.map(r => r * r);
-    const Y = y.slice(1);
-    const X = y.slice(0, y.length - 1); // lag 1
-    const meanX = X.reduce((a, b) => a + b, 0) / X.length;
-    const meanY = Y.reduce((a, b) => a + b, 0) / Y.length;
-    let cov = 0, varX = 0;
-    for (let i = 0; i < X.length; i++) {
-        const dx = X[i] - meanX;
-        const dy = Y[i] - meanY;
-        cov += dx * dy;
-        varX += dx * dx;
-    }
-    const beta = varX ? cov / varX : 0;
-    const alpha = meanY - beta * meanX;
-    let ssr = 0, tss = 0;
-    for (let i = 0; i < X.length; i++) {
-        const yhat = alpha + beta * X[i];
-        const err = Y[i] - yhat;
-        ssr += err * err;
-        tss += (Y[i] - meanY) * (Y[i] - meanY);
-    }
-    const R2 = tss ? 1 - ssr / tss : 0;
-    const LM = X.length * Math.max(0, R2);
-    const pValue = chiSquareUpperTailP(LM, m);
-    return { LM, pValue, R2 };
-}
-
 // Funciones de utilidad
 function addLoadingState(element) {
     if (element) {
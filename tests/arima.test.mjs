@@ -0,0 +1,33 @@
+// Estimación por máxima verosimilitud exacta y pronósticos ARIMA frente a statsmodels (innovations_mle)
+import { describe, test } from 'node:test';
+import { fitARIMA, forecastARIMA } from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+// Optimizadores distintos: se exige coincidencia en los primeros 4-5 dígitos significativos
+const PARAMETER_TOLERANCE = { rel: 1e-4, abs: 1e-6 };
+// Con p + q ≥ 2 la verosimilitud es casi plana cerca del óptimo (cambios de 1e-5 en φ y θ mueven log L en 1e-10)
+const RIDGE_TOLERANCE = { rel: 1e-4, abs: 1e-4 };
+
+Object.entries(references.references).forEach(([name, ref]) => {
+    (ref.arima || []).forEach(expected => {
+        const { p, d, q, includeConstant } = expected.order;
+        describe(`${name}: ARIMA(${p},${d},${q})${includeConstant ? ' con constante' : ''}`, () => {
+            const fit = fitARIMA(references.series[name], expected.order);
+            const armaTolerance = p + q >= 2 ? RIDGE_TOLERANCE : PARAMETER_TOLERANCE;
+
+            test('coeficientes, varianza y log-verosimilitud', () => {
+                assertAllClose(fit.ar, expected.ar, armaTolerance, 'ar');
+                assertAllClose(fit.ma, expected.ma, armaTolerance, 'ma');
+                assertClose(fit.mean, expected.mean, PARAMETER_TOLERANCE, 'media/deriva');
+                assertClose(fit.sigma2, expected.sigma2, PARAMETER_TOLERANCE, 'sigma2');
+                assertClose(fit.logL, expected.logL, { rel: 1e-6 }, 'logL');
+            });
+
+            test('pronósticos y errores estándar a 5 pasos', () => {
+                const forecasts = forecastARIMA(fit, expected.forecast.length);
+                assertAllClose(forecasts.map(f => f.forecast), expected.forecast, { rel: 1e-5 }, 'pronóstico');
+                assertAllClose(forecasts.map(f => f.se), expected.se, PARAMETER_TOLERANCE, 'error estándar');
+            });
+        });
+    });
+});
@@ -0,0 +1,59 @@
+// Feriados del Perú y días hábiles frente a holidays/pandas, Pascua frente a dateutil e intérprete de fechas
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    businessDayCalendar, detectDateFormat, easterSunday, forecastDate, holidayName, parseFlexibleDate, peruHolidays
+} from '../engine/index.mjs';
+import { references } from './helpers.mjs';
+
+const ref = references.calendar;
+
+describe('calendario de feriados', () => {
+    test('feriados nacionales del Perú', () => {
+        const [first, last] = ref.years;
+        const dates = [];
+        for (let year = first; year <= last; year++) dates.push(...peruHolidays(year).keys());
+        assert.deepEqual(dates.sort(), ref.holidays);
+    });
+
+    test('Domingo de Pascua', () => {
+        ref.easter.forEach(([year, expected]) => assert.equal(easterSunday(year), expected, `Pascua ${year}`));
+    });
+
+    test('días hábiles de un rango', () => {
+        const { start, end, dates } = ref.businessDays;
+        assert.deepEqual(businessDayCalendar(start, end), dates);
+    });
+
+    test('los cierres adicionales se pasan en el calendario', () => {
+        const closures = new Map([['2025-03-14', 'Cierre adicional']]);
+        assert.equal(holidayName('2025-03-14', { closures }), 'Cierre adicional');
+        assert.equal(holidayName('2025-03-14'), null);
+        assert.ok(!businessDayCalendar('2025-03-10', '2025-03-14', { closures }).includes('2025-03-14'));
+    });
+});
+
+describe('fechas de pronóstico', () => {
+    ref.forecastDates.forEach(expected => {
+        const closures = new Map(expected.closures.map(d => [d, 'Cierre adicional']));
+        const label = expected.closures.length ? ` con cierres ${expected.closures.join(', ')}` : '';
+        test(`${expected.frequency} desde ${expected.lastDate}${label}`, () => {
+            const dates = expected.dates.map((_, i) => forecastDate(expected.lastDate, i + 1, expected.frequency, { closures }));
+            assert.deepEqual(dates, expected.dates);
+        });
+    });
+});
+
+describe('intérprete de fechas', () => {
+    test('formatos explícitos y automático', () => {
+        references.dates.forEach(([value, format, expected]) => {
+            assert.equal(parseFlexibleDate(value, { format }), expected, `${JSON.stringify(value)} (${format})`);
+        });
+    });
+
+    test('detección de DD/MM frente a MM/DD', () => {
+        assert.equal(detectDateFormat(['02/05/2024', '13/05/2024', '14/05/2024']), 'dmy');
+        assert.equal(detectDateFormat(['05/02/2024', '05/13/2024', '05/14/2024']), 'mdy');
+        assert.equal(detectDateFormat(['15Oct24', '16Oct24']), 'monthName');
+    });
+});
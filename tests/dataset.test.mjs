@@ -0,0 +1,73 @@
+// Validación de calidad, imputación de días hábiles faltantes y remuestreo frente a pandas/holidays/statsmodels
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, test } from 'node:test';
+import {
+    IMPUTATION_METHODS, QUALITY_ISSUE_TYPES, guessColumnMapping, kalmanSmoothLocalLevel, mapImportedRows,
+    parseDelimitedText, regularizeBusinessDays, resampleSeries, validateDataset
+} from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+const ref = references.dataset;
+
+describe('validación de calidad', () => {
+    const { records, jumpThreshold, issues } = ref.quality;
+    const report = validateDataset(records.map((r, i) => ({ ...r, line: i + 1, text: `${r.date} ${r.price}` })), [], { jumpThreshold });
+
+    Object.keys(QUALITY_ISSUE_TYPES).forEach(type => {
+        test(QUALITY_ISSUE_TYPES[type].label, () => {
+            const dates = report.issues.filter(issue => issue.type === type).map(issue => issue.date).sort();
+            assert.deepEqual(dates, issues[type]);
+            assert.equal(report.counts[type], issues[type].length);
+        });
+    });
+});
+
+describe('imputación en el calendario de días hábiles', () => {
+    const { records, dates, missing, linear, locf, kalman } = ref.imputation;
+    const rows = records.map(r => ({ ...r, imputed: false }));
+
+    test('días hábiles faltantes', () => {
+        assert.deepEqual(regularizeBusinessDays(rows).missing, missing);
+    });
+
+    [['linear', linear], ['locf', locf]].forEach(([method, expected]) => {
+        test(IMPUTATION_METHODS[method], () => {
+            const out = regularizeBusinessDays(rows, { method });
+            assert.deepEqual(out.rows.map(r => r.date), dates);
+            assertAllClose(out.rows.map(r => r.price), expected, { rel: 1e-12 }, method);
+        });
+    });
+
+    // La verosimilitud del nivel local es casi plana en q: el difuso aproximado del motor y el
+    // difuso exacto de statsmodels llevan a q distintos en el cuarto dígito y a suavizados a 1e-6
+    test('suavizado de Kalman del nivel local', () => {
+        const byDate = new Map(records.map(r => [r.date, r.price]));
+        const smooth = kalmanSmoothLocalLevel(dates.map(d => (byDate.has(d) ? byDate.get(d) : NaN)));
+        assertClose(smooth.q, kalman.q, { rel: 1e-3 }, 'q');
+        assertAllClose(smooth.smoothed, kalman.smoothed, { rel: 0, abs: 1e-5 }, 'nivel suavizado');
+        const out = regularizeBusinessDays(rows, { method: 'kalman' });
+        assertAllClose(out.rows.map(r => r.price), kalman.smoothed.map((v, i) => (byDate.has(dates[i]) ? byDate.get(dates[i]) : v)),
+            { rel: 0, abs: 1e-5 }, 'serie imputada');
+    });
+});
+
+describe('remuestreo', async () => {
+    const table = parseDelimitedText(await readFile(new URL('../datos.txt', import.meta.url), 'utf8'), 'txt');
+    const { rows } = mapImportedRows(table, guessColumnMapping(table));
+
+    Object.entries(ref.resampling).forEach(([frequency, expected]) => {
+        test(`frecuencia ${frequency}`, () => {
+            const periods = resampleSeries(rows, { frequency });
+            assert.deepEqual(periods.map(p => [p.period, p.date, p.count]), expected.map(p => [p.period, p.date, p.count]));
+            ['open', 'high', 'low', 'close'].forEach(key => {
+                assertAllClose(periods.map(p => p[key]), expected.map(p => p[key]), { rel: 0, abs: 0 }, key);
+            });
+            assertAllClose(periods.map(p => p.price), expected.map(p => p.close), { rel: 0, abs: 0 }, 'último valor');
+            ['mean', 'vwap'].forEach(aggregation => {
+                const prices = resampleSeries(rows, { frequency, aggregation }).map(p => p.price);
+                assertAllClose(prices, expected.map(p => p[aggregation]), { rel: 1e-12 }, aggregation);
+            });
+        });
+    });
+});
@@ -0,0 +1,16 @@
+// Funciones de distribución y cuantiles frente a scipy.stats
+import { describe, test } from 'node:test';
+import * as distributions from '../engine/distributions.mjs';
+import { assertClose, references } from './helpers.mjs';
+
+// Cada fila de la tabla es [argumentos..., valor esperado]; tolerancia solo relativa para que cuenten las colas
+describe('distribuciones', () => {
+    Object.entries(references.distributions).forEach(([name, rows]) => {
+        test(name, () => {
+            rows.forEach(row => {
+                const args = row.slice(0, -1);
+                assertClose(distributions[name](...args), row[row.length - 1], { rel: 1e-7, abs: 0 }, `${name}(${args.join(', ')})`);
+            });
+        });
+    });
+});
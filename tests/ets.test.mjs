@@ -0,0 +1,38 @@
+// Suavizamiento exponencial (SES, Holt, Holt amortiguado, Holt-Winters) frente a ETSModel de statsmodels
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { ETS_MODELS, buildETSStateSpace, etsFilter, fitETS, forecastETS } from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+const seriesByName = { ...references.series, seasonal: references.ets.seasonal };
+
+references.ets.cases.forEach(expected => {
+    const y = seriesByName[expected.series];
+    const m = expected.seasonalPeriod || 1;
+
+    describe(`${expected.series}: ${ETS_MODELS[expected.model].label}`, () => {
+        const space = buildETSStateSpace(ETS_MODELS[expected.model], expected.params, m);
+        const filter = etsFilter(y, space, expected.initialState);
+
+        test('filtro de innovaciones con los parámetros de statsmodels', () => {
+            assertAllClose(filter.errors, expected.residuals, { rel: 1e-9, abs: 1e-10 }, 'residuos');
+            const sigma2 = filter.errors.reduce((a, e) => a + e * e, 0) / y.length;
+            assertClose(sigma2, expected.sigma2, { rel: 1e-9 }, 'sigma2');
+        });
+
+        test('pronósticos y errores estándar a 5 pasos', () => {
+            const fit = { space, state: filter.state, sigma2: expected.sigma2 };
+            const forecasts = forecastETS(fit, expected.forecast.length);
+            assertAllClose(forecasts.map(f => f.forecast), expected.forecast, { rel: 1e-9 }, 'pronóstico');
+            assertAllClose(forecasts.map(f => f.se), expected.se, { rel: 1e-9 }, 'error estándar');
+        });
+
+        // statsmodels acota β y γ por debajo en 1e-4 y φ en 0.8: el óptimo del motor puede ser algo mejor
+        test('el ajuste alcanza al menos la verosimilitud de statsmodels', () => {
+            const fit = fitETS(y, { model: expected.model, seasonalPeriod: expected.seasonalPeriod });
+            assert.ok(fit.converged, 'convergencia');
+            assert.ok(fit.logL >= expected.logL - 1e-6 * Math.abs(expected.logL),
+                `logL ${fit.logL} menor que el de statsmodels ${expected.logL}`);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+// Métricas de precisión, Diebold-Mariano (HLN) y validación cruzada con origen móvil frente a numpy/scipy
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { benchmarkForecast, computeForecastAccuracy, dieboldMarianoTest, rollingOriginCV } from '../engine/index.mjs';
+import { assertClose, references } from './helpers.mjs';
+
+const ref = references.evaluation;
+const y = references.series[ref.series];
+
+describe('precisión del pronóstico en el holdout', () => {
+    const train = y.slice(0, y.length - ref.holdout);
+    const actuals = y.slice(y.length - ref.holdout);
+    // Valor previo de cada período para la U de Theil: el último del entrenamiento y luego los reales
+    const previous = [train[train.length - 1], ...actuals.slice(0, -1)];
+
+    ref.accuracy.forEach(expected => {
+        test(`MAE, RMSE, MAPE, MASE y U de Theil (${expected.method})`, () => {
+            const metrics = computeForecastAccuracy(actuals, expected.predictions, { train, previous });
+            assert.equal(metrics.n, ref.holdout);
+            ['mae', 'rmse', 'mape', 'mase', 'theilU'].forEach(key => {
+                assertClose(metrics[key], expected[key], { rel: 1e-10 }, key);
+            });
+        });
+    });
+});
+
+describe('prueba de Diebold-Mariano', () => {
+    const { errors1, errors2, cases } = ref.dieboldMariano;
+    cases.forEach(expected => {
+        test(`h = ${expected.h}, pérdida ${expected.loss}`, () => {
+            const dm = dieboldMarianoTest(errors1, errors2, { h: expected.h, loss: expected.loss });
+            assert.equal(dm.n, errors1.length);
+            assertClose(dm.statisticDM, expected.statisticDM, { rel: 1e-10 }, 'DM');
+            assertClose(dm.statistic, expected.statistic, { rel: 1e-10 }, 'DM con corrección HLN');
+            assertClose(dm.pValue, expected.pValue, { rel: 1e-7 }, 'p-valor');
+        });
+    });
+});
+
+describe('validación cruzada con origen móvil', () => {
+    ref.crossValidation.forEach(expected => {
+        test(`${expected.method}, ventana ${expected.windowType}`, () => {
+            const forecaster = (train, H) => benchmarkForecast(train, expected.method, H).map(f => f.forecast);
+            const { initialWindow, step, horizon, windowType } = expected;
+            const cv = rollingOriginCV(y, forecaster, { initialWindow, step, horizon, windowType });
+            assert.deepEqual(cv.origins, expected.origins);
+            cv.byHorizon.forEach((row, i) => {
+                const label = `h = ${row.h}`;
+                assert.equal(row.n, expected.byHorizon[i].n, `${label}: orígenes`);
+                assertClose(row.mae, expected.byHorizon[i].mae, { rel: 1e-10 }, `MAE ${label}`);
+                assertClose(row.rmse, expected.byHorizon[i].rmse, { rel: 1e-10 }, `RMSE ${label}`);
+                assertClose(row.mape, expected.byHorizon[i].mape, { rel: 1e-10 }, `MAPE ${label}`);
+            });
+        });
+    });
+});
@@ -0,0 +1,641 @@
+"""Genera tests/fixtures/references.json con valores de referencia de statsmodels/scipy/pandas.
+
+Uso: python3 tests/fixtures/generate_references.py  (requiere numpy, scipy, statsmodels, pandas y holidays)
+Las series sintéticas se guardan en el JSON para que las pruebas de Node usen exactamente los mismos datos.
+Phillips-Perron, GARCH/GJR/EGARCH, Diebold-Mariano y λ de Box-Cox no están en statsmodels: se calculan aquí
+con numpy/scipy a partir de las fórmulas publicadas (Hamilton 1994, Glosten et al. 1993, Nelson 1991,
+Harvey et al. 1997, Guerrero 1993), sin reutilizar el código del motor.
+"""
+import datetime
+import json
+import os
+import warnings
+
+import holidays
+import numpy as np
+import pandas as pd
+import scipy
+import statsmodels
+from dateutil.easter import easter
+from scipy import optimize, special, stats
+from statsmodels.stats.diagnostic import acorr_ljungbox, het_arch
+from statsmodels.stats.stattools import jarque_bera
+from statsmodels.tsa.adfvalues import mackinnoncrit, mackinnonp
+from statsmodels.tsa.arima.model import ARIMA
+from statsmodels.tsa.exponential_smoothing.ets import ETSModel
+from statsmodels.tsa.stattools import acf, adfuller, kpss, pacf
+from statsmodels.tsa.statespace.structural import UnobservedComponents
+
+# Umbral de saltos de validateDataset (desviaciones robustas de los retornos logarítmicos)
+QUALITY_JUMP_THRESHOLD = 6
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+ROOT = os.path.dirname(os.path.dirname(HERE))
+
+
+# Abreviaturas de meses del BCRP en datos.txt (15Oct24, 02Ene25, 10Set25)
+BCRP_MONTHS = {'Ene': 1, 'Feb': 2, 'Mar': 3, 'Abr': 4, 'May': 5, 'Jun': 6,
+               'Jul': 7, 'Ago': 8, 'Set': 9, 'Oct': 10, 'Nov': 11, 'Dic': 12}
+
+
+def load_datos_rows():
+    rows = []
+    with open(os.path.join(ROOT, 'datos.txt'), encoding='utf-8') as f:
+        for line in f:
+            if not line.strip():
+                continue
+            date, price = line.split()
+            iso = datetime.date(2000 + int(date[5:7]), BCRP_MONTHS[date[2:5]], int(date[:2])).isoformat()
+            rows.append((iso, float(price)))
+    return rows
+
+
+def load_datos():
+    return [price for _, price in load_datos_rows()]
+
+
+def synthetic_series(n=250, seed=20251013):
+    rng = np.random.default_rng(seed)
+    white_noise = rng.normal(0.0, 1.0, n)
+    shocks = rng.normal(0.0, 1.0, n + 100)
+    ar1 = np.zeros(n + 100)
+    for t in range(1, n + 100):
+        ar1[t] = 0.6 * ar1[t - 1] + shocks[t]
+    random_walk = 3.5 + np.cumsum(rng.normal(0.0, 0.01, n))
+    return {
+        'whiteNoise': np.round(white_noise, 10).tolist(),
+        'ar1': np.round(2.0 + ar1[100:], 10).tolist(),
+        'randomWalk': np.round(random_walk, 10).tolist()
+    }
+
+
+def descriptives(x):
+    x = np.asarray(x)
+    return {
+        'n': int(x.size),
+        'mean': float(np.mean(x)),
+        'median': float(np.median(x)),
+        'variance': float(np.var(x, ddof=1)),
+        'stdDev': float(np.std(x, ddof=1)),
+        'skewness': float(stats.skew(x, bias=False)),
+        'kurtosis': float(stats.kurtosis(x, fisher=True, bias=False)),
+        'min': float(np.min(x)),
+        'max': float(np.max(x))
+    }
+
+
+def unit_root(x):
+    out = {}
+    for regression in ('c', 'ct'):
+        stat, pvalue, usedlag, nobs, crit, _ = adfuller(x, regression=regression, autolag='AIC')
+        out['adf_' + regression] = {
+            'statistic': stat, 'pValue': pvalue, 'usedLag': usedlag, 'nobs': nobs,
+            'criticalValues': crit
+        }
+        with warnings.catch_warnings():
+            # kpss avisa cuando el p-valor queda fuera de la tabla (se acota a [0.01, 0.10])
+            warnings.simplefilter('ignore')
+            stat, pvalue, lags, crit = kpss(x, regression=regression, nlags='auto')
+        out['kpss_' + regression] = {'statistic': stat, 'pValue': pvalue, 'lags': lags}
+        out['pp_' + regression] = phillips_perron(x, regression)
+    return out
+
+
+def phillips_perron(x, regression):
+    """Z_τ de Phillips-Perron (Hamilton 1994, ec. 17.6.8) con núcleo de Bartlett y p-valor de MacKinnon (1994)."""
+    x = np.asarray(x)
+    y, lagged = x[1:], x[:-1]
+    T = y.size
+    lags = int(np.ceil(12 * (T / 100) ** 0.25))
+    columns = [lagged]
+    if regression in ('c', 'ct'):
+        columns.append(np.ones(T))
+    if regression == 'ct':
+        columns.append(np.arange(1, T + 1, dtype=float))
+    X = np.column_stack(columns)
+    beta, ssr, _, _ = np.linalg.lstsq(X, y, rcond=None)
+    u = y - X @ beta
+    s2 = u @ u / (T - X.shape[1])
+    se_rho = np.sqrt(s2 * np.linalg.inv(X.T @ X)[0, 0])
+    gamma0 = u @ u / T
+    lambda2 = gamma0 + 2 * sum((1 - j / (lags + 1)) * (u[j:] @ u[:-j]) / T for j in range(1, lags + 1))
+    t_rho = (beta[0] - 1) / se_rho
+    stat = np.sqrt(gamma0 / lambda2) * t_rho - 0.5 * (lambda2 - gamma0) / np.sqrt(lambda2) * T * se_rho / np.sqrt(s2)
+    crit = mackinnoncrit(N=1, regression=regression, nobs=T)
+    return {
+        'statistic': float(stat), 'pValue': float(mackinnonp(stat, regression=regression, N=1)),
+        'lags': lags, 'nobs': T,
+        'criticalValues': {'1%': float(crit[0]), '5%': float(crit[1]), '10%': float(crit[2])}
+    }
+
+
+def residual_tests(x):
+    lb = acorr_ljungbox(x, lags=[5, 10, 20])
+    lb_df = acorr_ljungbox(x, lags=[10], model_df=2)
+    jb, jb_p, _, _ = jarque_bera(x)
+    arch = {}
+    for m in (1, 5):
+        lm, lm_p, f, f_p = het_arch(x, nlags=m)
+        arch[str(m)] = {'LM': lm, 'pValue': lm_p, 'F': f, 'fPValue': f_p}
+    return {
+        'ljungBox': [{'lag': int(lag), 'fitdf': 0, 'Q': float(q), 'pValue': float(p)}
+                     for lag, q, p in zip(lb.index, lb['lb_stat'], lb['lb_pvalue'])]
+                    + [{'lag': 10, 'fitdf': 2, 'Q': float(lb_df['lb_stat'].iloc[0]), 'pValue': float(lb_df['lb_pvalue'].iloc[0])}],
+        'jarqueBera': {'jb': float(jb), 'pValue': float(jb_p)},
+        'archLM': arch
+    }
+
+
+def arima_reference(x, p, d, q, include_constant, horizon=5):
+    trend = ('c' if d == 0 else 't') if include_constant else 'n'
+    # Máxima verosimilitud exacta por el algoritmo de innovaciones (el L-BFGS del espacio de estados
+    # se detiene antes de tiempo cuando σ² es del orden de 1e-4, como en los precios de datos.txt)
+    with warnings.catch_warnings():
+        # Avisa que diferencia la serie antes de estimar, que es justamente lo que hace fitARIMA
+        warnings.simplefilter('ignore')
+        res = ARIMA(np.asarray(x), order=(p, d, q), trend=trend).fit(method='innovations_mle')
+    names = list(res.model.param_names)
+    params = dict(zip(names, res.params.tolist()))
+    forecast = res.get_forecast(horizon)
+    return {
+        'order': {'p': p, 'd': d, 'q': q, 'includeConstant': include_constant},
+        'ar': [params['ar.L%d' % (i + 1)] for i in range(p)],
+        'ma': [params['ma.L%d' % (i + 1)] for i in range(q)],
+        'mean': params.get('const', params.get('x1', 0.0)),
+        'sigma2': params['sigma2'],
+        'logL': float(res.llf),
+        'forecast': forecast.predicted_mean.tolist(),
+        'se': forecast.se_mean.tolist()
+    }
+
+
+def distributions():
+    return {
+        'normalCdf': [[z, stats.norm.cdf(z)] for z in (-10.0, -8.0, -2.5, -1.0, 0.0, 0.5, 1.96)],
+        'normalQuantile': [[p, stats.norm.ppf(p)] for p in (1e-12, 0.01, 0.1, 0.5, 0.9, 0.975)],
+        'chiSquareUpperTailP': [[x, df, stats.chi2.sf(x, df)] for x, df in ((3.84, 1), (5.99, 2), (18.3, 10), (31.4, 20))],
+        'chiSquareQuantile': [[p, df, stats.chi2.ppf(p, df)] for p, df in ((0.95, 1), (0.95, 10), (0.99, 5))],
+        'studentTCdf': [[t, df, stats.t.cdf(t, df)] for t, df in ((-2.0, 5), (0.7, 12), (2.5, 30))],
+        'studentTTwoTailedP': [[t, df, 2 * stats.t.sf(abs(t), df)] for t, df in ((2.0, 5), (-1.3, 40), (3.1, 120))],
+        'studentTQuantile': [[p, df, stats.t.ppf(p, df)] for p, df in ((0.975, 5), (0.95, 20), (0.995, 60))],
+        'fUpperTailP': [[f, d1, d2, stats.f.sf(f, d1, d2)] for f, d1, d2 in ((3.0, 2, 30), (1.2, 5, 100), (4.5, 1, 248))],
+        'fQuantile': [[p, d1, d2, stats.f.ppf(p, d1, d2)] for p, d1, d2 in ((0.95, 2, 30), (0.99, 5, 100))]
+    }
+
+def peru_business_calendar(closures=()):
+    """Feriados de holidays.Peru sin el Domingo de Resurrección (ya es domingo) más los cierres indicados."""
+    days = [d for d, name in holidays.Peru(years=range(2019, 2028)).items() if d != easter(d.year)]
+    return pd.offsets.CustomBusinessDay(holidays=sorted(days) + [pd.Timestamp(c).date() for c in closures])
+
+
+def iso(ts):
+    return pd.Timestamp(ts).date().isoformat()
+
+
+def calendar_reference():
+    years = range(2019, 2027)
+    peru = holidays.Peru(years=years)
+    closures = ['2025-07-31', '2025-08-01']
+    plain, closed = peru_business_calendar(), peru_business_calendar(closures)
+    forecast_dates = [{'lastDate': '2025-07-25', 'frequency': 'daily', 'closures': [],
+                       'dates': [iso(pd.Timestamp('2025-07-25') + h * plain) for h in range(1, 11)]},
+                      {'lastDate': '2025-07-25', 'frequency': 'daily', 'closures': closures,
+                       'dates': [iso(pd.Timestamp('2025-07-25') + h * closed) for h in range(1, 11)]}]
+    # Cierre hábil del período h: se retrocede desde el viernes de la semana o el fin de mes/trimestre
+    for last, frequency, horizon in (('2024-03-20', 'weekly', 6), ('2025-03-14', 'monthly', 12), ('2025-02-10', 'quarterly', 6)):
+        start = pd.Timestamp(last)
+        if frequency == 'weekly':
+            ends = [start - pd.Timedelta(days=start.weekday()) + pd.Timedelta(days=4 + 7 * h) for h in range(1, horizon + 1)]
+        else:
+            period = pd.Period(start, 'M' if frequency == 'monthly' else 'Q')
+            ends = [(period + h).end_time.normalize() for h in range(1, horizon + 1)]
+        forecast_dates.append({'lastDate': last, 'frequency': frequency, 'closures': [],
+                               'dates': [iso(plain.rollback(e)) for e in ends]})
+    return {
+        'years': [years.start, years.stop - 1],
+        'holidays': sorted(d.isoformat() for d in peru if d != easter(d.year)),
+        'easter': [[y, easter(y).isoformat()] for y in range(1900, 2101)],
+        'businessDays': {'start': '2025-03-01', 'end': '2025-05-31',
+                         'dates': [iso(d) for d in pd.date_range('2025-03-01', '2025-05-31', freq=plain)]},
+        'forecastDates': forecast_dates
+    }
+
+
+def dates_reference():
+    """Casos del intérprete de fechas: [valor, formato, ISO esperado o None]."""
+    def strp(value, pattern):
+        return datetime.datetime.strptime(value, pattern).date().isoformat()
+    excel_origin = datetime.date(1899, 12, 30)
+    return [
+        ['2024-10-15', 'iso', strp('2024-10-15', '%Y-%m-%d')],
+        ['2024/3/5', 'iso', strp('2024/3/5', '%Y/%m/%d')],
+        ['2024-10-15T13:45:00', 'auto', strp('2024-10-15T13:45:00', '%Y-%m-%dT%H:%M:%S')],
+        ['15/10/2024', 'dmy', strp('15/10/2024', '%d/%m/%Y')],
+        ['05-03-24', 'dmy', strp('05-03-24', '%d-%m-%y')],
+        ['05.03.85', 'dmy', strp('05.03.85', '%d.%m.%y')],
+        ['10/15/2024', 'mdy', strp('10/15/2024', '%m/%d/%Y')],
+        ['10/15/2024', 'auto', strp('10/15/2024', '%m/%d/%Y')],
+        ['15/10/2024', 'auto', strp('15/10/2024', '%d/%m/%Y')],
+        ['15Oct24', 'monthName', datetime.date(2024, 10, 15).isoformat()],
+        ['02Ene25', 'monthName', datetime.date(2025, 1, 2).isoformat()],
+        ['10Set25', 'monthName', datetime.date(2025, 9, 10).isoformat()],
+        ['15 de octubre de 2024', 'auto', datetime.date(2024, 10, 15).isoformat()],
+        ['1 Diciembre 2023', 'auto', datetime.date(2023, 12, 1).isoformat()],
+        ['Oct 15, 2024', 'auto', strp('Oct 15, 2024', '%b %d, %Y')],
+        ['March 3, 2025', 'monthName', strp('March 3, 2025', '%B %d, %Y')],
+        ['45580', 'auto', (excel_origin + datetime.timedelta(days=45580)).isoformat()],
+        [45580.75, 'excel', (excel_origin + datetime.timedelta(days=45580)).isoformat()],
+        ['1728950400', 'auto', iso(pd.to_datetime(1728950400, unit='s'))],
+        [1728950400000, 'timestamp', iso(pd.to_datetime(1728950400000, unit='ms'))],
+        ['31/02/2024', 'dmy', None],
+        ['2023-02-29', 'iso', None],
+        ['2024-02-29', 'iso', strp('2024-02-29', '%Y-%m-%d')],
+        ['13/13/2024', 'auto', None],
+        ['', 'auto', None]
+    ]
+
+
+def quality_reference(rows):
+    """Serie de datos.txt con incidencias sembradas; las esperadas se obtienen con pandas y holidays."""
+    rows = [list(r) for r in rows[:80]]
+    for i in range(65, 80):
+        rows[i][1] = round(rows[i][1] * 1.05, 4)  # cambio de nivel: un solo salto
+    rows[20][1] = 0.0
+    removed = {40, 41, 55}
+    records = [r for i, r in enumerate(rows) if i not in removed]
+    saturday = pd.Timestamp(rows[30][0]) + pd.Timedelta(days=(5 - pd.Timestamp(rows[30][0]).weekday()) % 7 or 7)
+    records += [[rows[10][0], round(rows[10][1] + 0.01, 4)], [iso(saturday), rows[30][1]], ['2024-12-25', rows[49][1]]]
+
+    frame = pd.DataFrame(records, columns=['date', 'price']).reset_index().sort_values(['date', 'index'], kind='stable')
+    cbd = peru_business_calendar()
+    expected = {}
+    counts = frame['date'].value_counts()
+    expected['duplicate'] = sorted(counts[counts > 1].index)
+    expected['nonPositive'] = sorted(frame.loc[frame['price'] <= 0, 'date'])
+    expected['nonBusinessDay'] = sorted(d for d in frame['date'] if not cbd.is_on_offset(pd.Timestamp(d)))
+    unique = frame.drop_duplicates('date', keep='first')
+    unique = unique[unique['price'] > 0]
+    returns = np.log(unique['price'].to_numpy()[1:] / unique['price'].to_numpy()[:-1])
+    center = np.median(returns)
+    scale = 1.4826 * np.median(np.abs(returns - center))
+    jumps, previous = [], 0.0
+    for date, z in zip(unique['date'].to_numpy()[1:], (returns - center) / scale):
+        # El regreso inmediato de un pico aislado no es un segundo salto
+        is_jump = abs(z) > QUALITY_JUMP_THRESHOLD
+        reversal = is_jump and previous != 0 and np.sign(z) != np.sign(previous)
+        previous = z if is_jump and not reversal else 0.0
+        if is_jump and not reversal:
+            jumps.append(date)
+    expected['jump'] = jumps
+    business = pd.date_range(frame['date'].min(), frame['date'].max(), freq=cbd)
+    expected['missingBusinessDay'] = sorted(set(iso(d) for d in business) - set(frame['date']))
+    return {'records': [{'date': d, 'price': p} for d, p in records], 'jumpThreshold': QUALITY_JUMP_THRESHOLD,
+            'issues': expected}
+
+
+def imputation_reference(rows):
+    """Huecos en días hábiles rellenados con pandas (lineal, LOCF) y con el suavizador de nivel local de statsmodels."""
+    rows = rows[:150]
+    removed = {5, 6, 7, 40, 41, 90, 120}
+    kept = [r for i, r in enumerate(rows) if i not in removed]
+    # Calendario hábil más las observaciones en feriados que trae datos.txt (no se eliminan al regularizar)
+    calendar = pd.date_range(kept[0][0], kept[-1][0], freq=peru_business_calendar())
+    series = pd.Series(dict(kept)).reindex(sorted(set(iso(d) for d in calendar) | {d for d, _ in kept}))
+    y = series.to_numpy()
+    # Difuso exacto sin observaciones de arranque adicionales: como en el motor, solo la primera
+    # observación queda fuera de la verosimilitud
+    model = UnobservedComponents(y, level='llevel')
+    model.ssm.initialize_diffuse()
+    model.loglikelihood_burn = 0
+    var = np.nanvar(np.diff(y))
+    fit = optimize.minimize(lambda z: -model.loglike(np.exp(z)), np.log([var / 2, var / 2]), method='Nelder-Mead',
+                            options={'xatol': 1e-12, 'fatol': 1e-12, 'maxiter': 20000})
+    variances = np.exp(fit.x)
+    smoothed = model.smooth(variances).smoothed_state[0]
+    return {
+        'records': [{'date': d, 'price': p} for d, p in kept],
+        'dates': list(series.index),
+        'missing': list(series.index[series.isna()]),
+        'linear': series.interpolate(method='linear').tolist(),
+        'locf': series.ffill().tolist(),
+        'kalman': {'q': float(variances[1] / variances[0]), 'smoothed': smoothed.tolist()}
+    }
+
+
+def resampling_reference(rows):
+    frame = pd.DataFrame(rows, columns=['date', 'price'])
+    stamps = pd.to_datetime(frame['date'])
+    # Peso VWAP sin volumen: días naturales hasta la siguiente observación (1 para la última)
+    frame['weight'] = (stamps.shift(-1) - stamps).dt.days.fillna(1).clip(lower=1)
+    keys = {
+        'weekly': stamps.dt.to_period('W-SUN').dt.start_time.dt.date.astype(str),
+        'monthly': stamps.dt.to_period('M').astype(str),
+        'quarterly': stamps.dt.to_period('Q').map(lambda q: '%d-T%d' % (q.year, q.quarter))
+    }
+    out = {}
+    for frequency, key in keys.items():
+        groups = frame.groupby(key, sort=False)
+        out[frequency] = [{
+            'period': period, 'date': g['date'].iloc[-1], 'count': int(len(g)),
+            'open': g['price'].iloc[0], 'high': g['price'].max(), 'low': g['price'].min(), 'close': g['price'].iloc[-1],
+            'mean': g['price'].mean(), 'vwap': float(np.average(g['price'], weights=g['weight']))
+        } for period, g in groups]
+    return out
+
+
+def accuracy(actual, predicted, train, previous):
+    e = actual - predicted
+    scale = np.mean(np.abs(np.diff(train)))
+    # U de Theil en cambios relativos frente al paseo aleatorio (U2)
+    theil = np.sqrt(np.sum(((predicted - actual) / previous) ** 2) / np.sum(((actual - previous) / previous) ** 2))
+    return {'mae': float(np.mean(np.abs(e))), 'rmse': float(np.sqrt(np.mean(e ** 2))),
+            'mape': float(100 * np.mean(np.abs(e / actual))), 'mase': float(np.mean(np.abs(e)) / scale),
+            'theilU': float(theil)}
+
+
+def diebold_mariano(e1, e2, h, loss):
+    """Diebold-Mariano con la corrección de Harvey, Leybourne y Newbold (1997) y p-valor t de Student con n-1 gl."""
+    f = np.abs if loss == 'absolute' else np.square
+    d = f(e1) - f(e2)
+    n = d.size
+    dc = d - d.mean()
+    gamma = [dc[k:] @ dc[:n - k] / n for k in range(h)]
+    dm = d.mean() / np.sqrt((gamma[0] + 2 * sum(gamma[1:])) / n)
+    statistic = dm * np.sqrt((n + 1 - 2 * h + h * (h - 1) / n) / n)
+    return {'h': h, 'loss': loss, 'statistic': float(statistic), 'statisticDM': float(dm),
+            'pValue': float(2 * stats.t.sf(abs(statistic), n - 1))}
+
+
+def rolling_origin(y, forecaster, initial, step, horizon, window):
+    errors = [[] for _ in range(horizon)]
+    origins = list(range(initial, len(y), step))
+    for origin in origins:
+        train = y[origin - initial:origin] if window == 'sliding' else y[:origin]
+        H = min(horizon, len(y) - origin)
+        forecast = forecaster(train)
+        for h in range(H):
+            errors[h].append((y[origin + h], forecast))
+    by_horizon = []
+    for h, pairs in enumerate(errors):
+        a, f = np.array(pairs).T
+        by_horizon.append({'h': h + 1, 'n': len(pairs), 'mae': float(np.mean(np.abs(a - f))),
+                           'rmse': float(np.sqrt(np.mean((a - f) ** 2))), 'mape': float(100 * np.mean(np.abs((a - f) / a)))})
+    return {'origins': origins, 'byHorizon': by_horizon}
+
+
+def evaluation_reference(y, seed=20251015):
+    y = np.asarray(y)
+    train, test = y[:-12], y[-12:]
+    previous = np.concatenate([[train[-1]], test[:-1]])
+    drift = (train[-1] - train[0]) / (train.size - 1)
+    predictions = {'naive': np.repeat(train[-1], 12), 'drift': train[-1] + drift * np.arange(1, 13)}
+    rng = np.random.default_rng(seed)
+    e1 = rng.normal(0.0, 1.0, 80)
+    e2 = 0.6 * e1 + rng.normal(0.0, 0.9, 80) + 0.5 * np.concatenate([[0.0], e1[:-1]])
+    forecasters = {'naive': lambda train: train[-1], 'mean': lambda train: np.mean(train)}
+    return {
+        'series': 'randomWalk',
+        'holdout': 12,
+        'accuracy': [{'method': name, 'predictions': pred.tolist(), **accuracy(test, pred, train, previous)}
+                     for name, pred in predictions.items()],
+        'dieboldMariano': {'errors1': np.round(e1, 10).tolist(), 'errors2': np.round(e2, 10).tolist(),
+                           'cases': [diebold_mariano(np.round(e1, 10), np.round(e2, 10), h, loss)
+                                     for h in (1, 3) for loss in ('squared', 'absolute')]},
+        'crossValidation': [{'method': name, 'initialWindow': 200, 'step': 7, 'horizon': 6, 'windowType': window,
+                             **rolling_origin(y, forecaster, 200, 7, 6, window)}
+                            for name, forecaster in forecasters.items() for window in ('expanding', 'sliding')]
+    }
+
+
+def heteroskedastic_series(n=240, seed=20251016):
+    rng = np.random.default_rng(seed)
+    return np.round(np.exp(3.0 + np.cumsum(rng.normal(0.002, 0.03, n))), 10)
+
+
+def guerrero(y, period):
+    m = max(2, round(period))
+    blocks = y[len(y) - (len(y) // m) * m:].reshape(-1, m)
+    mu, sd = blocks.mean(axis=1), blocks.std(axis=1, ddof=1)
+
+    def cv(lam):
+        ratios = sd / mu ** (1 - lam)
+        return np.std(ratios, ddof=1) / np.mean(ratios)
+    return float(optimize.minimize_scalar(cv, bounds=(-1, 2), method='bounded', options={'xatol': 1e-10}).x)
+
+
+def boxcox_loglik_lambda(y):
+    # Verosimilitud perfilada de un paseo aleatorio gaussiano sobre la serie transformada (jacobiano desde t = 2)
+    sum_log = np.sum(np.log(y[1:]))
+
+    def neg_loglik(lam):
+        return 0.5 * (y.size - 1) * np.log(np.var(np.diff(special.boxcox(y, lam)), ddof=1)) - (lam - 1) * sum_log
+    return float(optimize.minimize_scalar(neg_loglik, bounds=(-1, 2), method='bounded', options={'xatol': 1e-10}).x)
+
+
+def back_transform(mean, se, lam, levels=(80, 95)):
+    """Mediana, media con corrección de sesgo (Hyndman & Athanasopoulos, 5.6) y error estándar por método delta."""
+    median = special.inv_boxcox(mean, lam)
+    base = lam * mean + 1
+    if lam == 0:
+        forecast, derivative = median * (1 + se ** 2 / 2), median
+    else:
+        forecast, derivative = median * (1 + se ** 2 * (1 - lam) / (2 * base ** 2)), base ** (1 / lam - 1)
+    intervals = []
+    for level in levels:
+        z = stats.norm.ppf(0.5 + level / 200)
+        intervals.append({'level': level, 'lower': float(special.inv_boxcox(mean - z * se, lam)),
+                          'upper': float(special.inv_boxcox(mean + z * se, lam))})
+    return {'mean': mean, 'se': se, 'lambda': lam, 'median': float(median), 'forecast': float(forecast),
+            'levelSe': float(abs(derivative) * se), 'intervals': intervals}
+
+
+def transforms_reference(series):
+    skewed = heteroskedastic_series()
+    positive = {'datos': np.asarray(series['datos']), 'randomWalk': np.asarray(series['randomWalk']), 'heteroskedastic': skewed}
+    sample = positive['datos'][:10]
+    return {
+        'heteroskedastic': skewed.tolist(),
+        'boxcox': [{'lambda': lam, 'values': special.boxcox(sample, lam).tolist()} for lam in (0.0, 0.5, -0.3, 1.7)],
+        'guerrero': [{'series': name, 'period': period, 'lambda': guerrero(positive[name], period)}
+                     for name, period in (('datos', 5), ('datos', 12), ('heteroskedastic', 5), ('heteroskedastic', 12))],
+        'loglik': [{'series': name, 'lambda': boxcox_loglik_lambda(y)} for name, y in positive.items()],
+        'backTransform': [back_transform(1.3, 0.02, 0.0), back_transform(3.4, 0.15, 0.5), back_transform(0.7, 0.05, -0.3)]
+    }
+
+
+def seasonal_series(n=200, seed=7):
+    rng = np.random.default_rng(seed)
+    pattern = np.array([0.3, -0.1, 0.2, -0.5, 0.1])
+    y = 10 + 0.02 * np.arange(n) + np.tile(pattern, n // 5) + np.cumsum(rng.normal(0, 0.05, n)) + rng.normal(0, 0.1, n)
+    return np.round(y, 10)
+
+
+def ets_reference(y, model, seasonal_period=None, horizon=5):
+    """ETS aditivo de statsmodels; el estado inicial sigue el orden del motor [ℓ, b, s₀, …, sₘ₋₁]."""
+    spec = {'ses': {}, 'holt': {'trend': 'add'}, 'damped': {'trend': 'add', 'damped_trend': True},
+            'holtWinters': {'trend': 'add', 'seasonal': 'add', 'seasonal_periods': seasonal_period}}[model]
+    res = ETSModel(pd.Series(y), error='add', **spec).fit(disp=False, maxiter=10000)
+    params = dict(zip(res.model.param_names, res.params.tolist()))
+    names = {'smoothing_level': 'alpha', 'smoothing_trend': 'beta', 'smoothing_seasonal': 'gamma', 'damping_trend': 'phi'}
+    initial = [params['initial_level']] + ([params['initial_trend']] if 'initial_trend' in params else [])
+    initial += [params['initial_seasonal.%d' % i] for i in range(seasonal_period or 0)]
+    prediction = res.get_prediction(start=len(y), end=len(y) + horizon - 1)
+    return {
+        'model': model, 'seasonalPeriod': seasonal_period,
+        'params': {names[k]: v for k, v in params.items() if k in names},
+        'initialState': initial,
+        'residuals': (np.asarray(y) - res.fittedvalues.to_numpy()).tolist(),
+        'sigma2': float(res.mse),
+        'logL': float(res.llf),
+        'forecast': np.asarray(prediction.predicted_mean).tolist(),
+        'se': np.sqrt(np.asarray(prediction.var_pred_mean)).tolist()
+    }
+
+
+EXPECTED_ABS_NORMAL = np.sqrt(2 / np.pi)
+
+
+def gjr_residuals(n=800, seed=20251014):
+    rng = np.random.default_rng(seed)
+    omega, alpha, gamma, beta = 0.02, 0.05, 0.1, 0.88
+    z = rng.normal(size=n + 200)
+    eps = np.zeros(n + 200)
+    s2 = omega / (1 - alpha - gamma / 2 - beta)
+    for t in range(n + 200):
+        if t > 0:
+            s2 = omega + (alpha + (gamma if eps[t - 1] < 0 else 0)) * eps[t - 1] ** 2 + beta * s2
+        eps[t] = np.sqrt(s2) * z[t]
+    return np.round(eps[200:], 10)
+
+
+def conditional_variance(eps, kind, p, backcast):
+    """σ²ₜ de GARCH/GJR (Glosten et al. 1993) o EGARCH (Nelson 1991) con σ²₀ = media de ε² (backcast)."""
+    n = eps.size
+    s2 = np.empty(n)
+    if kind == 'egarch':
+        omega, alpha, gamma, beta = p
+        log_s2, prev_z = np.log(backcast), 0.0
+        prev_abs = EXPECTED_ABS_NORMAL
+        for t in range(n):
+            if t > 0:
+                log_s2 = omega + alpha * (prev_abs - EXPECTED_ABS_NORMAL) + gamma * prev_z + beta * log_s2
+            s2[t] = np.exp(log_s2)
+            prev_z = eps[t] / np.sqrt(s2[t])
+            prev_abs = abs(prev_z)
+        return s2
+    omega, alpha, gamma, beta = (p[0], p[1], 0.0, p[2]) if kind == 'garch' else p
+    s2[0] = backcast
+    for t in range(1, n):
+        e = eps[t - 1]
+        s2[t] = omega + (alpha + (gamma if e < 0 else 0)) * e * e + beta * s2[t - 1]
+    return s2
+
+
+def gaussian_loglik(eps, s2):
+    return -0.5 * np.sum(np.log(2 * np.pi) + np.log(s2) + eps ** 2 / s2)
+
+
+def fit_volatility(eps, kind):
+    backcast = np.mean(eps ** 2)
+
+    def neg_loglik(p):
+        if kind != 'egarch':
+            persistence = p[1] + p[-1] + (p[2] / 2 if kind == 'gjr' else 0)
+            if min(p) < 0 or p[0] <= 0 or persistence >= 0.9999:
+                return 1e10
+        elif abs(p[3]) >= 0.9999:
+            return 1e10
+        s2 = conditional_variance(eps, kind, p, backcast)
+        if not np.all(np.isfinite(s2)) or np.any(s2 <= 0):
+            return 1e10
+        return -gaussian_loglik(eps, s2)
+    starts = {
+        'garch': [[0.05 * backcast, 0.05, 0.9], [0.1 * backcast, 0.1, 0.8], [0.01 * backcast, 0.03, 0.96]],
+        'gjr': [[0.05 * backcast, 0.04, 0.04, 0.9], [0.1 * backcast, 0.08, 0.1, 0.8], [0.01 * backcast, 0.02, 0.05, 0.94]],
+        'egarch': [[0.1 * np.log(backcast), 0.1, 0, 0.9], [0.0, 0.2, -0.1, 0.95], [-0.05, 0.05, -0.05, 0.98]]
+    }[kind]
+    best = None
+    for start in starts:
+        # Nelder-Mead con reinicio desde el óptimo: la superficie es plana cerca de β ≈ 0.9
+        res = optimize.minimize(neg_loglik, start, method='Nelder-Mead',
+                                options={'xatol': 1e-12, 'fatol': 1e-12, 'maxiter': 40000, 'maxfev': 40000})
+        res = optimize.minimize(neg_loglik, res.x, method='Nelder-Mead',
+                                options={'xatol': 1e-13, 'fatol': 1e-13, 'maxiter': 40000, 'maxfev': 40000})
+        if best is None or res.fun < best.fun:
+            best = res
+    names = ['omega', 'alpha', 'beta'] if kind == 'garch' else ['omega', 'alpha', 'gamma', 'beta']
+    params = dict(zip(names, best.x.tolist()))
+    out = {'type': kind, 'params': params, 'logL': float(-best.fun)}
+    if kind != 'egarch':
+        # Pronóstico de la varianza: σ²ₜ₊₁ exacto y reversión geométrica a la varianza incondicional
+        s2 = conditional_variance(eps, kind, best.x, backcast)
+        gamma = params.get('gamma', 0.0)
+        persistence = params['alpha'] + gamma / 2 + params['beta']
+        long_run = params['omega'] / (1 - persistence)
+        nxt = params['omega'] + (params['alpha'] + (gamma if eps[-1] < 0 else 0)) * eps[-1] ** 2 + params['beta'] * s2[-1]
+        out['varianceForecast'] = [float(long_run + persistence ** (h - 1) * (nxt - long_run)) for h in range(1, 11)]
+    return out
+
+
+def volatility_reference():
+    eps = gjr_residuals()
+    return {'residuals': eps.tolist(), 'fits': [fit_volatility(eps, kind) for kind in ('garch', 'gjr', 'egarch')]}
+
+
+def main():
+    # Avisos de cambios de API de statsmodels 0.15 que no afectan a los valores
+    warnings.simplefilter('ignore', FutureWarning)
+    series = {'datos': load_datos(), **synthetic_series()}
+    references = {}
+    for name, x in series.items():
+        x = np.asarray(x)
+        references[name] = {
+            'descriptives': descriptives(x),
+            'acf': acf(x, nlags=10, adjusted=False, fft=False).tolist(),
+            'pacf': pacf(x, nlags=10, method='ldb').tolist(),
+            'unitRoot': unit_root(x),
+            'residualTests': residual_tests(np.diff(x) if name in ('datos', 'randomWalk') else x)
+        }
+    # Los modelos con d = 1 y p + q ≥ 2 tienen varios óptimos locales y exigen que el optimizador no se detenga antes de tiempo
+    references['datos']['arima'] = [arima_reference(series['datos'], 1, 1, 0, False),
+                                     arima_reference(series['datos'], 0, 1, 1, True),
+                                     arima_reference(series['datos'], 1, 1, 1, False),
+                                     arima_reference(series['datos'], 2, 1, 2, False)]
+    references['ar1']['arima'] = [arima_reference(series['ar1'], 1, 0, 0, True),
+                                  arima_reference(series['ar1'], 1, 0, 1, True)]
+    references['randomWalk']['arima'] = [arima_reference(series['randomWalk'], 0, 1, 0, True),
+                                         arima_reference(series['randomWalk'], 1, 1, 1, False)]
+    datos_rows = load_datos_rows()
+    seasonal = seasonal_series()
+    output = {
+        'generatedWith': {'numpy': np.__version__, 'scipy': scipy.__version__, 'statsmodels': statsmodels.__version__,
+                          'pandas': pd.__version__, 'holidays': holidays.__version__},
+        'series': series,
+        'references': references,
+        'distributions': distributions(),
+        'evaluation': evaluation_reference(series['randomWalk']),
+        'transforms': transforms_reference(series),
+        'ets': {
+            'seasonal': seasonal.tolist(),
+            'cases': [{'series': 'datos', **ets_reference(series['datos'], 'ses')},
+                      {'series': 'datos', **ets_reference(series['datos'], 'holt')},
+                      {'series': 'datos', **ets_reference(series['datos'], 'damped')},
+                      {'series': 'randomWalk', **ets_reference(series['randomWalk'], 'ses')},
+                      {'series': 'seasonal', **ets_reference(seasonal, 'holtWinters', 5)}]
+        },
+        'volatility': volatility_reference(),
+        'calendar': calendar_reference(),
+        'dates': dates_reference(),
+        'dataset': {
+            'quality': quality_reference(datos_rows),
+            'imputation': imputation_reference(datos_rows),
+            'resampling': resampling_reference(datos_rows)
+        }
+    }
+    with open(os.path.join(HERE, 'references.json'), 'w', encoding='utf-8') as f:
+        json.dump(output, f, indent=1)
+        f.write('\n')
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,18 @@
+// Utilidades comunes de las pruebas: valores de referencia (statsmodels/scipy) y comparación con tolerancia
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+export const references = JSON.parse(readFileSync(new URL('./fixtures/references.json', import.meta.url), 'utf8'));
+
+// |actual − esperado| ≤ abs + rel·|esperado|; abs cubre p-valores prácticamente nulos
+export function assertClose(actual, expected, { rel = 1e-9, abs = 1e-12 } = {}, label = '') {
+    const tolerance = abs + rel * Math.abs(expected);
+    assert.ok(Number.isFinite(actual), `${label}: se esperaba ${expected} y se obtuvo ${actual}`);
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${label}: ${actual} difiere de ${expected} en ${Math.abs(actual - expected)} (tolerancia ${tolerance})`);
+}
+
+export function assertAllClose(actual, expected, tolerance, label = '') {
+    assert.equal(actual.length, expected.length, `${label}: longitud`);
+    expected.forEach((v, i) => assertClose(actual[i], v, tolerance, `${label}[${i}]`));
+}
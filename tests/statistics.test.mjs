@@ -0,0 +1,104 @@
+// Estadísticos de la etapa 1, ACF/PACF, pruebas de raíz unitaria (ADF, KPSS, Phillips-Perron) y de residuos frente a statsmodels
+// Ejecutar con: node --test tests/
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, test } from 'node:test';
+import {
+    adfTest, archLMTest, calculateACF, calculateDescriptiveStats, calculatePACF, computeJarqueBera,
+    differenceSeries, guessColumnMapping, kpssTest, ljungBoxTest, mapImportedRows, parseDelimitedText,
+    phillipsPerronTest
+} from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+// Las pruebas de residuos se aplican a la primera diferencia de las series integradas
+const DIFFERENCED = ['datos', 'randomWalk'];
+
+test('datos.txt se importa con los mismos precios que usan las referencias', async () => {
+    const text = await readFile(new URL('../datos.txt', import.meta.url), 'utf8');
+    const table = parseDelimitedText(text, 'txt');
+    const { rows, rejected } = mapImportedRows(table, guessColumnMapping(table));
+    assert.equal(rejected.length, 0);
+    assert.deepEqual(rows.map(r => r.price), references.series.datos);
+});
+
+Object.entries(references.series).forEach(([name, values]) => {
+    const ref = references.references[name];
+
+    describe(`serie ${name}`, () => {
+        test('estadísticos descriptivos', () => {
+            const stats = calculateDescriptiveStats(values);
+            Object.entries(ref.descriptives).forEach(([key, expected]) => {
+                assertClose(stats[key], expected, { rel: 1e-9 }, key);
+            });
+        });
+
+        test('ACF y PACF (Durbin-Levinson)', () => {
+            assertAllClose(calculateACF(values, 10), ref.acf, { rel: 1e-9, abs: 1e-12 }, 'acf');
+            assertAllClose(calculatePACF(values, 10), ref.pacf, { rel: 1e-9, abs: 1e-12 }, 'pacf');
+        });
+
+        ['c', 'ct'].forEach(regression => {
+            test(`ADF con regresión '${regression}'`, () => {
+                const expected = ref.unitRoot[`adf_${regression}`];
+                const adf = adfTest(values, { regression });
+                assertClose(adf.statistic, expected.statistic, { rel: 1e-8 }, 'estadístico');
+                assertClose(adf.pValue, expected.pValue, { rel: 1e-6, abs: 1e-9 }, 'p-valor');
+                assert.equal(adf.usedLag, expected.usedLag);
+                assert.equal(adf.nobs, expected.nobs);
+                Object.entries(expected.criticalValues).forEach(([level, cv]) => {
+                    assertClose(adf.criticalValues[level], cv, { rel: 1e-9 }, `valor crítico ${level}`);
+                });
+            });
+
+            test(`KPSS con regresión '${regression}'`, () => {
+                const expected = ref.unitRoot[`kpss_${regression}`];
+                const kpss = kpssTest(values, { regression });
+                assertClose(kpss.statistic, expected.statistic, { rel: 1e-8 }, 'estadístico');
+                assertClose(kpss.pValue, expected.pValue, { rel: 1e-6 }, 'p-valor');
+                assert.equal(kpss.lags, expected.lags);
+            });
+
+            test(`Phillips-Perron con regresión '${regression}'`, () => {
+                const expected = ref.unitRoot[`pp_${regression}`];
+                const pp = phillipsPerronTest(values, { regression });
+                assertClose(pp.statistic, expected.statistic, { rel: 1e-8 }, 'estadístico');
+                assertClose(pp.pValue, expected.pValue, { rel: 1e-6, abs: 1e-9 }, 'p-valor');
+                assert.equal(pp.lags, expected.lags);
+                assert.equal(pp.nobs, expected.nobs);
+                Object.entries(expected.criticalValues).forEach(([level, cv]) => {
+                    assertClose(pp.criticalValues[level], cv, { rel: 1e-9 }, `valor crítico ${level}`);
+                });
+            });
+        });
+
+        describe('pruebas de residuos', () => {
+            const residuals = DIFFERENCED.includes(name) ? differenceSeries(values, 1) : values;
+            const tests = ref.residualTests;
+
+            test('Ljung-Box', () => {
+                tests.ljungBox.forEach(expected => {
+                    const lb = ljungBoxTest(residuals, expected.lag, expected.fitdf);
+                    const label = `lag ${expected.lag}, fitdf ${expected.fitdf}`;
+                    assertClose(lb.Q, expected.Q, { rel: 1e-9 }, `Q ${label}`);
+                    assertClose(lb.pValue, expected.pValue, { rel: 1e-8 }, `p-valor ${label}`);
+                });
+            });
+
+            test('Jarque-Bera', () => {
+                const jb = computeJarqueBera(residuals);
+                assertClose(jb.jb, tests.jarqueBera.jb, { rel: 1e-9 }, 'JB');
+                assertClose(jb.pValue, tests.jarqueBera.pValue, { rel: 1e-8 }, 'p-valor');
+            });
+
+            test('ARCH-LM', () => {
+                Object.entries(tests.archLM).forEach(([lags, expected]) => {
+                    const arch = archLMTest(residuals, Number(lags));
+                    assertClose(arch.LM, expected.LM, { rel: 1e-8 }, `LM(${lags})`);
+                    assertClose(arch.pValue, expected.pValue, { rel: 1e-8 }, `p-valor LM(${lags})`);
+                    assertClose(arch.F, expected.F, { rel: 1e-8 }, `F(${lags})`);
+                    assertClose(arch.fPValue, expected.fPValue, { rel: 1e-8 }, `p-valor F(${lags})`);
+                });
+            });
+        });
+    });
+});
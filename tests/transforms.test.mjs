@@ -0,0 +1,53 @@
+// Transformación de Box-Cox, elección de λ (Guerrero y verosimilitud) y retransformación frente a scipy
+import { describe, test } from 'node:test';
+import {
+    backTransformForecast, boxCoxLogLikLambda, boxCoxValue, guerreroLambda, inverseBoxCoxValue
+} from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+const ref = references.transforms;
+const seriesByName = { ...references.series, heteroskedastic: ref.heteroskedastic };
+// λ se busca por sección áurea con tolerancia 1e-6; scipy usa el método acotado de Brent
+const LAMBDA_TOLERANCE = { rel: 0, abs: 1e-5 };
+
+describe('transformación de Box-Cox', () => {
+    const sample = references.series.datos.slice(0, 10);
+    ref.boxcox.forEach(({ lambda, values }) => {
+        test(`λ = ${lambda}: ida y vuelta`, () => {
+            const z = sample.map(v => boxCoxValue(v, lambda));
+            assertAllClose(z, values, { rel: 1e-12 }, 'boxcox');
+            assertAllClose(z.map(v => inverseBoxCoxValue(v, lambda)), sample, { rel: 1e-12 }, 'inversa');
+        });
+    });
+});
+
+describe('elección de λ', () => {
+    ref.guerrero.forEach(expected => {
+        test(`Guerrero: ${expected.series}, subperíodos de ${expected.period}`, () => {
+            const lambda = guerreroLambda(seriesByName[expected.series], expected.period);
+            assertClose(lambda, expected.lambda, LAMBDA_TOLERANCE, 'λ');
+        });
+    });
+
+    ref.loglik.forEach(expected => {
+        test(`máxima verosimilitud: ${expected.series}`, () => {
+            assertClose(boxCoxLogLikLambda(seriesByName[expected.series]), expected.lambda, LAMBDA_TOLERANCE, 'λ');
+        });
+    });
+});
+
+describe('retransformación de los pronósticos', () => {
+    ref.backTransform.forEach(expected => {
+        test(`λ = ${expected.lambda}: mediana, media con corrección de sesgo e intervalos`, () => {
+            const type = expected.lambda === 0 ? 'log' : 'boxcox';
+            const out = backTransformForecast(expected.mean, expected.se, { type, lambda: expected.lambda });
+            assertClose(out.median, expected.median, { rel: 1e-12 }, 'mediana');
+            assertClose(out.forecast, expected.forecast, { rel: 1e-12 }, 'media');
+            assertClose(out.se, expected.levelSe, { rel: 1e-12 }, 'error estándar (método delta)');
+            expected.intervals.forEach((interval, i) => {
+                assertClose(out.intervals[i].lower, interval.lower, { rel: 1e-9 }, `límite inferior ${interval.level}%`);
+                assertClose(out.intervals[i].upper, interval.upper, { rel: 1e-9 }, `límite superior ${interval.level}%`);
+            });
+        });
+    });
+});
@@ -0,0 +1,34 @@
+// GARCH(1,1), GJR-GARCH y EGARCH por máxima verosimilitud gaussiana frente a scipy (Nelder-Mead con varios arranques)
+import { describe, test } from 'node:test';
+import {
+    GARCH_TYPES, fitGARCH, forecastGARCHVariance, garchLogLik, garchVariancePath
+} from '../engine/index.mjs';
+import { assertAllClose, assertClose, references } from './helpers.mjs';
+
+const { residuals, fits } = references.volatility;
+const backcast = residuals.reduce((a, e) => a + e * e, 0) / residuals.length;
+
+fits.forEach(expected => {
+    describe(GARCH_TYPES[expected.type].label, () => {
+        const fit = fitGARCH(residuals, { type: expected.type });
+
+        test('log-verosimilitud con los parámetros de referencia', () => {
+            const sigma2 = garchVariancePath(residuals, expected.type, expected.params, backcast);
+            assertClose(garchLogLik(residuals, sigma2), expected.logL, { rel: 1e-12 }, 'logL');
+        });
+
+        test('parámetros y log-verosimilitud estimados', () => {
+            assertClose(fit.logL, expected.logL, { rel: 1e-9 }, 'logL');
+            Object.entries(expected.params).forEach(([name, value]) => {
+                assertClose(fit.params[name], value, { rel: 1e-4, abs: 1e-6 }, name);
+            });
+        });
+
+        if (expected.varianceForecast) {
+            test('pronóstico de la varianza condicional', () => {
+                assertAllClose(forecastGARCHVariance(fit, expected.varianceForecast.length), expected.varianceForecast,
+                    { rel: 1e-4 }, 'varianza');
+            });
+        }
+    });
+});